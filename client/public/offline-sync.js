@@ -0,0 +1,308 @@
+// Service worker that keeps scans, claims and location updates made without a
+// connection. Requests that cannot reach the server are stored in an IndexedDB
+// outbox and answered with 202 { queued: true }. They are replayed in the order
+// they were made once the connection returns, and pages are told about every
+// change to the outbox with { type: 'queue', entries } messages.
+//
+// Browsers can be shared, so every entry belongs to the user whose token made
+// the request. It is only ever replayed with that user's token, and pages drop
+// other users' entries when someone signs in or out.
+
+const DB_NAME = 'addwise-offline';
+const STORE = 'outbox';
+const SYNC_TAG = 'replay-outbox';
+
+// Requests that can be captured offline. `timeField` is filled with the capture
+// time so the server can record when the scan or location actually happened.
+const QUEUEABLE = [
+  { kind: 'scan', method: 'POST', pattern: /\/api\/qrcodes\/verify$/, timeField: 'scannedAt' },
+  { kind: 'claim', method: 'POST', pattern: /\/api\/qrcodes$/ },
+  { kind: 'location', method: 'PUT', pattern: /\/api\/qrcodes\/([0-9a-f]{24})\/location$/, timeField: 'recordedAt' }
+];
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request against the outbox and resolve with its result once committed
+const withStore = async (mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+};
+
+// Entries come back in key order, which is the order they were queued in
+const listEntries = () => withStore('readonly', store => store.getAll());
+const getEntry = (id) => withStore('readonly', store => store.get(id));
+const addEntry = (entry) => withStore('readwrite', store => store.add(entry));
+const putEntry = (entry) => withStore('readwrite', store => store.put(entry));
+const deleteEntry = (id) => withStore('readwrite', store => store.delete(id));
+
+// Pages never see the stored Authorization header
+const publicEntry = ({ token, ...entry }) => entry;
+
+// The user an Authorization header was issued to. The signature is the server's
+// business; the id only decides whose queue an entry is in.
+const userIdOf = (authorization) => {
+  const payload = (authorization || '').replace(/^Bearer /, '').split('.')[1];
+  if (!payload) return null;
+  try {
+    return JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/'))).userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const broadcast = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+};
+
+const publishQueue = async () => {
+  const entries = await listEntries();
+  await broadcast({ type: 'queue', entries: entries.map(publicEntry) });
+};
+
+const jsonResponse = (status, data) => new Response(JSON.stringify(data), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// Browsers without Background Sync rely on pages asking for a replay when they
+// come back online
+const requestSync = async () => {
+  if (!self.registration.sync) return;
+  try {
+    await self.registration.sync.register(SYNC_TAG);
+  } catch (error) {
+    console.error('Background sync registration failed:', error);
+  }
+};
+
+const queueRequest = async (request, rule, text) => {
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (error) {
+    return null;
+  }
+  if (rule.timeField && !body[rule.timeField]) {
+    body[rule.timeField] = new Date().toISOString();
+  }
+
+  // Requests nobody signed in for cannot be replayed for anyone
+  const token = request.headers.get('Authorization');
+  const userId = userIdOf(token);
+  if (!userId) return null;
+
+  const match = new URL(request.url).pathname.match(rule.pattern);
+  const entry = {
+    kind: rule.kind,
+    url: request.url,
+    method: request.method,
+    body,
+    token,
+    userId,
+    claimId: rule.kind === 'location' ? match[1] : null,
+    queuedAt: new Date().toISOString(),
+    status: 'pending',
+    attempts: 0,
+    error: null
+  };
+  entry.id = await addEntry(entry);
+
+  await requestSync();
+  await publishQueue();
+  return entry;
+};
+
+// Send a queueable request, keeping it in the outbox if the server cannot be reached.
+// Responses from the server, errors included, go to the page unchanged.
+const sendOrQueue = async (request, rule) => {
+  const text = await request.clone().text();
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const entry = await queueRequest(request, rule, text);
+    if (!entry) throw error;
+    return jsonResponse(202, {
+      message: 'You are offline. This change will be synced when the connection returns.',
+      queued: true,
+      queueId: entry.id,
+      kind: entry.kind
+    });
+  }
+};
+
+// The connection can drop after the server applied a request but before its
+// response arrived. Replaying such a request reports a conflict with itself.
+const isAlreadyApplied = (entry, data) => {
+  if (entry.kind === 'claim') {
+    return data.code === 'QR_ALREADY_OWNED';
+  }
+  if (entry.kind === 'location' && data.code === 'LOCATION_CONFLICT' && data.location) {
+    return Number(data.location.lat) === Number(entry.body.lat) && Number(data.location.lng) === Number(entry.body.lng);
+  }
+  return false;
+};
+
+const failureMessage = (response, data) => {
+  if (response.status === 401) {
+    return 'Your session expired. Sign in again, then retry.';
+  }
+  return data.errors?.[0]?.msg || data.message || 'The server refused this change';
+};
+
+// Replay pending entries oldest first, each with the token it was queued with.
+// Replay stops at the first entry that cannot reach the server, so a later change
+// is never applied before an earlier one. Resolves with true once nothing is left
+// waiting for the connection.
+const replayPending = async () => {
+  const entries = (await listEntries()).filter(entry => entry.status === 'pending');
+  let complete = true;
+
+  for (const entry of entries) {
+    let response;
+    try {
+      response = await fetch(entry.url, {
+        method: entry.method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: entry.token
+        },
+        body: JSON.stringify(entry.body)
+      });
+    } catch (error) {
+      complete = false;
+      break;
+    }
+
+    // Server trouble is temporary; keep the entry and try again later
+    if (response.status >= 500 || response.status === 429) {
+      await putEntry({ ...entry, attempts: entry.attempts + 1 });
+      complete = false;
+      break;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (response.ok || isAlreadyApplied(entry, data)) {
+      await deleteEntry(entry.id);
+      await broadcast({ type: 'synced', entry: publicEntry(entry), data });
+    } else {
+      // Refused changes, conflicts included, wait for the user to retry or discard them
+      await putEntry({
+        ...entry,
+        status: 'failed',
+        attempts: entry.attempts + 1,
+        error: {
+          status: response.status,
+          code: data.code || null,
+          message: failureMessage(response, data)
+        }
+      });
+    }
+  }
+
+  await publishQueue();
+  return complete;
+};
+
+// Only one replay runs at a time; overlapping requests share it
+let replaying = null;
+const replayQueue = () => {
+  if (!replaying) {
+    replaying = replayPending().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+// Put a failed entry back in the queue. `overwrite` resends a conflicting
+// location so it replaces the newer one on the server. A fresh token from the
+// page replaces the stored one only if it belongs to the same user, so an
+// entry whose session expired can still be sent.
+const retryEntry = async (id, token, overwrite) => {
+  const entry = await getEntry(id);
+  if (!entry) return publishQueue();
+  await putEntry({
+    ...entry,
+    token: token && userIdOf(token) === entry.userId ? token : entry.token,
+    body: overwrite ? { ...entry.body, overwrite: true } : entry.body,
+    status: 'pending',
+    error: null
+  });
+  return replayQueue();
+};
+
+const discardEntry = async (id) => {
+  await deleteEntry(id);
+  await publishQueue();
+};
+
+// Drop every entry that does not belong to `userId`; all of them when `userId` is null
+const keepEntriesOf = async (userId) => {
+  const entries = await listEntries();
+  for (const entry of entries) {
+    if (entry.userId !== userId) {
+      await deleteEntry(entry.id);
+    }
+  }
+  await publishQueue();
+};
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const { pathname } = new URL(request.url);
+  const rule = QUEUEABLE.find(r => r.method === request.method && r.pattern.test(pathname));
+  if (rule) {
+    event.respondWith(sendOrQueue(request, rule));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  // Rejecting makes the browser try the sync again later
+  event.waitUntil(replayQueue().then(complete => {
+    if (!complete) throw new Error('Offline queue not fully replayed');
+  }));
+});
+
+// Messages from pages: { type: 'get-queue' | 'replay' | 'retry' | 'discard' | 'keep-user' | 'clear', id, token, overwrite, userId }
+self.addEventListener('message', (event) => {
+  const { type, id, token, overwrite, userId } = event.data || {};
+  const actions = {
+    'get-queue': () => publishQueue(),
+    replay: () => replayQueue(),
+    retry: () => retryEntry(id, token, overwrite),
+    discard: () => discardEntry(id),
+    'keep-user': () => (userId ? keepEntriesOf(userId) : publishQueue()),
+    clear: () => keepEntriesOf(null)
+  };
+  if (actions[type]) {
+    event.waitUntil(actions[type]());
+  }
+});
\ No newline at end of file
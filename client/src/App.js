@@ -19,6 +19,7 @@ import Dashboard from './pages/Dashboard';
 import UserProfile from './pages/UserProfile';
 import AdminDashboard from './pages/AdminDashboard';
 import SuperAdminDashboard from './pages/SuperAdminDashboard';
+import PublicScan from './pages/PublicScan';
 import NotFound from './pages/NotFound';
 
 // Styles
@@ -36,6 +37,7 @@ function App() {
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/q/:code" element={<PublicScan />} />
               
               {/* Protected Routes */}
               <Route 
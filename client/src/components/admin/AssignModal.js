@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI, categoryAPI } from '../../services/api';
+
+// Pre-assign codes to a user or a department. `source` is either { codes } or
+// { batchId, name }, in which case the next free codes of the batch are assigned.
+const AssignModal = ({ source, onClose, onAssigned }) => {
+  const [form, setForm] = useState({ target: 'user', email: '', department: '', count: 1, purpose: '', category: '' });
+  const [categories, setCategories] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    categoryAPI.getCategories()
+      .then(response => setCategories(response.data.categories))
+      .catch(err => console.error('Failed to load item categories:', err));
+  }, []);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await adminAPI.assignQrCodes({
+        ...(source.codes ? { codes: source.codes } : { batchId: source.batchId, count: Number(form.count) }),
+        ...(form.target === 'user' ? { email: form.email.trim() } : { department: form.department.trim() }),
+        purpose: form.purpose.trim() || undefined,
+        category: form.category || undefined
+      });
+      toast.success(response.data.message);
+      onAssigned && onAssigned(response.data.codes);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to assign QR codes.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">
+          {source.codes ? `Assign ${source.codes.length} QR code(s)` : `Assign codes from "${source.name}"`}
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Assigned codes appear on the assignee's dashboard to acknowledge. Nobody else can claim them.
+        </p>
+        <form onSubmit={handleSubmit}>
+          {!source.codes && (
+            <>
+              <label className="block text-sm text-gray-700 mb-1">Number of codes</label>
+              <input type="number" name="count" min="1" max="1000" value={form.count} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-2" />
+            </>
+          )}
+          <div className="flex gap-4 mb-2 text-sm">
+            <label><input type="radio" name="target" value="user" checked={form.target === 'user'} onChange={handleChange} className="mr-1" />User</label>
+            <label><input type="radio" name="target" value="department" checked={form.target === 'department'} onChange={handleChange} className="mr-1" />Department</label>
+          </div>
+          {form.target === 'user' ? (
+            <input type="email" name="email" value={form.email} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-2" placeholder="User's email" />
+          ) : (
+            <input type="text" name="department" value={form.department} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-2" placeholder="Department" maxLength={100} />
+          )}
+          <input type="text" name="purpose" value={form.purpose} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-2" placeholder="Purpose to pre-fill (optional)" maxLength={200} />
+          <select name="category" value={form.category} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-2">
+            <option value="">No category</option>
+            {categories.map(category => (
+              <option key={category._id} value={category._id}>{category.name}</option>
+            ))}
+          </select>
+          {error && <div className="text-red-600 mb-2">{error}</div>}
+          <button type="submit" disabled={saving} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+            {saving ? 'Assigning...' : 'Assign'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AssignModal;
\ No newline at end of file
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+
+const SOURCE_LABELS = {
+  scanner: 'Camera scan',
+  upload: 'Image upload',
+  public: 'Public page',
+  audit: 'Audit (marked present)'
+};
+
+const BatchScanSummary = ({ batch, onClose }) => {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    const params = Object.fromEntries(Object.entries(range).filter(([, value]) => value !== ''));
+    adminAPI.getBatchScans(batch._id, params)
+      .then(response => setSummary(response.data.summary))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to load batch scans'));
+  }, [batch._id, range]);
+
+  const busiestDay = summary ? Math.max(1, ...summary.daily.map(day => day.count)) : 1;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ maxWidth: '560px', width: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-4">Scans for "{batch.name}"</h3>
+        <div className="flex gap-2 mb-4">
+          <input type="date" value={range.from} onChange={e => setRange({ ...range, from: e.target.value })} className="border rounded px-2 py-1" />
+          <span className="self-center text-gray-500">to</span>
+          <input type="date" value={range.to} onChange={e => setRange({ ...range, to: e.target.value })} className="border rounded px-2 py-1" />
+        </div>
+
+        {summary && (
+          <>
+            <div className="grid grid-cols-2 gap-4 mb-4">
+              <div>
+                <p className="text-sm text-gray-500">Total scans</p>
+                <p className="text-2xl font-bold">{summary.total}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-500">Codes scanned</p>
+                <p className="text-2xl font-bold">{summary.uniqueCodes} / {batch.quantity}</p>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-4 mb-4 text-sm">
+              <div>
+                <p className="font-medium mb-1">By source</p>
+                {Object.entries(summary.bySource).map(([source, count]) => (
+                  <div key={source} className="flex justify-between">
+                    <span>{SOURCE_LABELS[source] || source}</span>
+                    <span>{count}</span>
+                  </div>
+                ))}
+              </div>
+              <div>
+                <p className="font-medium mb-1">By signature</p>
+                {Object.entries(summary.bySignature).map(([signature, count]) => (
+                  <div key={signature} className={`flex justify-between capitalize ${signature === 'forged' && count > 0 ? 'text-red-600 font-medium' : ''}`}>
+                    <span>{signature}</span>
+                    <span>{count}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+            {summary.lastScannedAt && (
+              <p className="text-sm text-gray-600 mb-2">Last scanned {new Date(summary.lastScannedAt).toLocaleString()}</p>
+            )}
+            <div style={{ maxHeight: '200px', overflowY: 'auto' }}>
+              {summary.daily.map(day => (
+                <div key={day.date} className="flex items-center text-xs mb-1">
+                  <span className="w-24 text-gray-600">{day.date}</span>
+                  <div className="flex-1 bg-gray-100 rounded h-3 mr-2">
+                    <div className="bg-blue-500 h-3 rounded" style={{ width: `${(day.count / busiestDay) * 100}%` }} />
+                  </div>
+                  <span className="w-8 text-right">{day.count}</span>
+                </div>
+              ))}
+              {summary.daily.length === 0 && (
+                <p className="text-sm text-gray-500">No scans in this period</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BatchScanSummary;
\ No newline at end of file
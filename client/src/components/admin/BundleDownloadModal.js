@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+import { downloadBlob, getBlobErrorMessage } from '../../utils/download';
+
+// Download codes as a ZIP of images plus a CSV manifest for the print vendor.
+// `source` is either { batchId, name } or { codes }
+const BundleDownloadModal = ({ source, onClose }) => {
+  const [options, setOptions] = useState({ format: 'png', errorCorrectionLevel: 'M', width: 512 });
+  const [downloading, setDownloading] = useState(false);
+
+  const handleChange = (e) => {
+    setOptions({ ...options, [e.target.name]: e.target.value });
+  };
+
+  const handleDownload = async (e) => {
+    e.preventDefault();
+    setDownloading(true);
+    try {
+      const request = { ...options, width: Number(options.width) };
+      if (source.batchId) {
+        request.batchId = source.batchId;
+      } else {
+        request.codes = source.codes;
+      }
+      const response = await adminAPI.downloadQrBundle(request);
+      downloadBlob(response.data, source.name ? `${source.name} QR codes.zip` : 'qrcodes.zip');
+      onClose();
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, 'Failed to download QR codes'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-1">Download ZIP</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {source.batchId ? `All printable codes in "${source.name}"` : `${source.codes.length} selected code(s)`}, with a manifest.csv
+        </p>
+        <form onSubmit={handleDownload}>
+          <label className="block text-sm text-gray-700 mb-1">Image format</label>
+          <select name="format" value={options.format} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-3">
+            <option value="png">PNG</option>
+            <option value="svg">SVG (vector)</option>
+          </select>
+          <label className="block text-sm text-gray-700 mb-1">Error correction</label>
+          <select name="errorCorrectionLevel" value={options.errorCorrectionLevel} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-3">
+            <option value="L">L (7%)</option>
+            <option value="M">M (15%)</option>
+            <option value="Q">Q (25%)</option>
+            <option value="H">H (30%)</option>
+          </select>
+          {options.format === 'png' && (
+            <>
+              <label className="block text-sm text-gray-700 mb-1">Width (pixels)</label>
+              <input type="number" name="width" min="128" max="2048" value={options.width} onChange={handleChange} className="border rounded px-3 py-2 w-full mb-3" />
+            </>
+          )}
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="border px-4 py-2 rounded">Cancel</button>
+            <button type="submit" disabled={downloading} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">
+              {downloading ? 'Preparing...' : 'Download'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BundleDownloadModal;
\ No newline at end of file
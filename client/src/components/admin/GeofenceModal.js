@@ -0,0 +1,78 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+import GeofenceEditor from '../qr/GeofenceEditor';
+import GeofenceAlertList from '../qr/GeofenceAlertList';
+
+// `target` is either { code } or { batchId, name }
+const GeofenceModal = ({ target, onClose }) => {
+  const [geofences, setGeofences] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  const params = target.code ? { code: target.code } : { batchId: target.batchId };
+
+  const fetchGeofences = useCallback(async () => {
+    try {
+      const response = await adminAPI.getGeofences(target.code ? { code: target.code } : { batchId: target.batchId });
+      setGeofences(response.data.geofences);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load geofences');
+    } finally {
+      setLoaded(true);
+    }
+  }, [target.code, target.batchId]);
+
+  useEffect(() => {
+    fetchGeofences();
+  }, [fetchGeofences]);
+
+  const handleCreate = async (fence) => {
+    await adminAPI.createGeofence({ ...params, ...fence });
+    toast.success('Geofence saved');
+    fetchGeofences();
+  };
+
+  const handleToggle = async (fence) => {
+    try {
+      await adminAPI.updateGeofence(fence._id, { active: !fence.active });
+      fetchGeofences();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update geofence');
+    }
+  };
+
+  const handleDelete = async (fence) => {
+    if (!window.confirm(`Delete geofence "${fence.name}"? Its alerts are kept.`)) return;
+    try {
+      await adminAPI.deleteGeofence(fence._id);
+      fetchGeofences();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete geofence');
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ width: '640px', maxWidth: '100%', maxHeight: '90vh', overflowY: 'auto' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-4">
+          Geofences for {target.code ? `QR code ${target.code}` : `batch "${target.name}"`}
+        </h3>
+        {loaded && (
+          <GeofenceEditor
+            geofences={geofences}
+            onCreate={handleCreate}
+            onDelete={handleDelete}
+            onToggle={handleToggle}
+            canDelete={() => true}
+          />
+        )}
+        <div className="mt-6">
+          <GeofenceAlertList loadAlerts={(page) => adminAPI.getGeofenceAlerts({ ...params, page })} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GeofenceModal;
\ No newline at end of file
@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { categoryAPI } from '../../services/api';
+
+const FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Select',
+  serial: 'Serial number'
+};
+
+const emptyField = { label: '', type: 'text', required: false, options: '', min: '', max: '' };
+
+// Editor form state for a stored category; select options are edited as one comma separated line
+const toForm = (category) => ({
+  name: category?.name || '',
+  description: category?.description || '',
+  fields: (category?.fields || []).map(field => ({
+    ...emptyField,
+    ...field,
+    options: (field.options || []).join(', '),
+    min: field.min ?? '',
+    max: field.max ?? ''
+  }))
+});
+
+// Request body for a category from the editor form
+const toRequest = (form) => ({
+  name: form.name.trim(),
+  description: form.description.trim(),
+  fields: form.fields.map(field => ({
+    key: field.key,
+    label: field.label.trim(),
+    type: field.type,
+    required: field.required,
+    options: field.type === 'select' ? field.options.split(',').map(option => option.trim()).filter(Boolean) : undefined,
+    min: field.type === 'number' && field.min !== '' ? Number(field.min) : undefined,
+    max: field.type === 'number' && field.max !== '' ? Number(field.max) : undefined
+  }))
+});
+
+// Admin management of the item categories users pick when claiming a code
+const ItemCategories = () => {
+  const [categories, setCategories] = useState([]);
+  const [editing, setEditing] = useState(null); // { category, form } while the editor is open
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchCategories = () => {
+    categoryAPI.getCategories({ includeArchived: 'true' })
+      .then(response => setCategories(response.data.categories))
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load categories'));
+  };
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const openEditor = (category = null) => {
+    setEditing({ category, form: toForm(category) });
+    setError('');
+  };
+
+  const setForm = (form) => setEditing({ ...editing, form });
+
+  const setField = (idx, changes) => {
+    const fields = editing.form.fields.map((field, i) => (i === idx ? { ...field, ...changes } : field));
+    setForm({ ...editing.form, fields });
+  };
+
+  const moveField = (idx, offset) => {
+    const fields = [...editing.form.fields];
+    [fields[idx], fields[idx + offset]] = [fields[idx + offset], fields[idx]];
+    setForm({ ...editing.form, fields });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const request = toRequest(editing.form);
+      const response = editing.category
+        ? await categoryAPI.updateCategory(editing.category._id, request)
+        : await categoryAPI.createCategory(request);
+      toast.success(response.data.message);
+      setEditing(null);
+      fetchCategories();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save category.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSetActive = async (category, isActive) => {
+    try {
+      await categoryAPI.updateCategory(category._id, { ...toRequest(toForm(category)), isActive });
+      fetchCategories();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update category');
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the "${category.name}" category?`)) return;
+    try {
+      const response = await categoryAPI.deleteCategory(category._id);
+      toast.success(response.data.message);
+      fetchCategories();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete category');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Item Categories</h2>
+        <button onClick={() => openEditor()} className="text-sm bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">
+          New Category
+        </button>
+      </div>
+
+      <table className="table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Fields</th>
+            <th>Items</th>
+            <th>Status</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {categories.map(category => (
+            <tr key={category._id}>
+              <td>
+                <div className="font-medium">{category.name}</div>
+                {category.description && <div className="text-sm text-gray-500">{category.description}</div>}
+              </td>
+              <td className="text-sm">
+                {category.fields.map(field => `${field.label}${field.required ? '*' : ''}`).join(', ') || 'None'}
+              </td>
+              <td>{category.claimCount}</td>
+              <td>
+                <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${category.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                  {category.isActive ? 'Active' : 'Archived'}
+                </span>
+              </td>
+              <td className="whitespace-nowrap">
+                <button onClick={() => openEditor(category)} className="bg-blue-500 text-white px-2 py-1 rounded mr-2 text-sm">Edit</button>
+                <button onClick={() => handleSetActive(category, !category.isActive)} className="bg-gray-500 text-white px-2 py-1 rounded mr-2 text-sm">
+                  {category.isActive ? 'Archive' : 'Restore'}
+                </button>
+                <button onClick={() => handleDelete(category)} className="bg-red-600 text-white px-2 py-1 rounded text-sm">Delete</button>
+              </td>
+            </tr>
+          ))}
+          {categories.length === 0 && (
+            <tr>
+              <td colSpan="5" className="text-center text-gray-500">No categories yet</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {editing && (
+        <div className="modal-overlay">
+          <div className="modal-content" style={{ maxWidth: '720px', width: '100%' }}>
+            <button className="float-right text-gray-400 hover:text-gray-700" onClick={() => setEditing(null)}>&times;</button>
+            <h3 className="text-lg font-semibold mb-4">{editing.category ? `Edit "${editing.category.name}"` : 'New Category'}</h3>
+            <form onSubmit={handleSave}>
+              <input
+                type="text"
+                className="border rounded px-3 py-2 w-full mb-2"
+                placeholder="Name, e.g. Laptop"
+                value={editing.form.name}
+                onChange={e => setForm({ ...editing.form, name: e.target.value })}
+                maxLength={50}
+              />
+              <input
+                type="text"
+                className="border rounded px-3 py-2 w-full mb-4"
+                placeholder="Description (optional)"
+                value={editing.form.description}
+                onChange={e => setForm({ ...editing.form, description: e.target.value })}
+                maxLength={200}
+              />
+
+              <h4 className="font-medium mb-2">Custom fields</h4>
+              <div style={{ maxHeight: '40vh', overflowY: 'auto' }}>
+                {editing.form.fields.map((field, idx) => (
+                  <div key={field.key || `new-${idx}`} className="border rounded p-2 mb-2">
+                    <div className="flex flex-wrap gap-2 items-center">
+                      <input
+                        type="text"
+                        className="border rounded px-2 py-1 flex-1"
+                        placeholder="Label, e.g. Serial number"
+                        value={field.label}
+                        onChange={e => setField(idx, { label: e.target.value })}
+                        maxLength={60}
+                      />
+                      <select
+                        className="border rounded px-2 py-1"
+                        value={field.type}
+                        onChange={e => setField(idx, { type: e.target.value })}
+                        disabled={!!field.key}
+                        title={field.key ? 'Saved fields keep their type' : undefined}
+                      >
+                        {Object.entries(FIELD_TYPES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                      <label className="text-sm">
+                        <input type="checkbox" className="mr-1" checked={field.required} onChange={e => setField(idx, { required: e.target.checked })} />
+                        Required
+                      </label>
+                      <button type="button" onClick={() => moveField(idx, -1)} disabled={idx === 0} className="text-gray-500 px-1">&uarr;</button>
+                      <button type="button" onClick={() => moveField(idx, 1)} disabled={idx === editing.form.fields.length - 1} className="text-gray-500 px-1">&darr;</button>
+                      <button
+                        type="button"
+                        onClick={() => setForm({ ...editing.form, fields: editing.form.fields.filter((f, i) => i !== idx) })}
+                        className="text-red-600 text-sm"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    {field.type === 'select' && (
+                      <input
+                        type="text"
+                        className="border rounded px-2 py-1 w-full mt-2"
+                        placeholder="Options, separated by commas"
+                        value={field.options}
+                        onChange={e => setField(idx, { options: e.target.value })}
+                      />
+                    )}
+                    {field.type === 'number' && (
+                      <div className="flex gap-2 mt-2">
+                        <input type="number" step="any" className="border rounded px-2 py-1 w-32" placeholder="Minimum" value={field.min} onChange={e => setField(idx, { min: e.target.value })} />
+                        <input type="number" step="any" className="border rounded px-2 py-1 w-32" placeholder="Maximum" value={field.max} onChange={e => setField(idx, { max: e.target.value })} />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <button
+                type="button"
+                onClick={() => setForm({ ...editing.form, fields: [...editing.form.fields, { ...emptyField }] })}
+                className="text-sm text-blue-600 mb-4"
+              >
+                + Add field
+              </button>
+
+              {error && <div className="text-red-600 mb-2">{error}</div>}
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={() => setEditing(null)} className="border px-4 py-2 rounded">Cancel</button>
+                <button type="submit" disabled={saving} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+                  {saving ? 'Saving...' : 'Save Category'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemCategories;
\ No newline at end of file
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+import { downloadBlob, getBlobErrorMessage } from '../../utils/download';
+
+// Layout fields the admin can override, all in millimetres except columns and rows
+const LAYOUT_FIELDS = [
+  { name: 'columns', label: 'Columns', step: 1 },
+  { name: 'rows', label: 'Rows', step: 1 },
+  { name: 'labelWidth', label: 'Label width (mm)', step: 0.1 },
+  { name: 'labelHeight', label: 'Label height (mm)', step: 0.1 },
+  { name: 'marginTop', label: 'Top margin (mm)', step: 0.1 },
+  { name: 'marginLeft', label: 'Left margin (mm)', step: 0.1 },
+  { name: 'gapX', label: 'Column gap (mm)', step: 0.1 },
+  { name: 'gapY', label: 'Row gap (mm)', step: 0.1 }
+];
+
+// `source` is either { batchId, name } or { codes }
+const LabelExportModal = ({ source, onClose }) => {
+  const [layouts, setLayouts] = useState({});
+  const [layoutName, setLayoutName] = useState('avery-5160');
+  const [values, setValues] = useState({});
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    adminAPI.getLabelLayouts()
+      .then(response => setLayouts(response.data.layouts))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to load label layouts'));
+  }, []);
+
+  // Reset the measurements to the chosen preset
+  useEffect(() => {
+    const preset = layouts[layoutName];
+    if (preset) {
+      setValues(Object.fromEntries(LAYOUT_FIELDS.map(field => [field.name, preset[field.name]])));
+    }
+  }, [layouts, layoutName]);
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setExporting(true);
+    try {
+      const options = { layout: layoutName, ...values };
+      if (source.batchId) {
+        options.batchId = source.batchId;
+      } else {
+        options.codes = source.codes;
+      }
+      const response = await adminAPI.exportLabels(options);
+      downloadBlob(response.data, source.name ? `${source.name} labels.pdf` : 'qr-labels.pdf');
+      onClose();
+    } catch (error) {
+      toast.error(await getBlobErrorMessage(error, 'Failed to export labels'));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-1">Export Label Sheet</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {source.batchId ? `All printable codes in "${source.name}"` : `${source.codes.length} selected code(s)`}
+        </p>
+        <form onSubmit={handleExport}>
+          <label className="block text-sm text-gray-700 mb-1">Layout</label>
+          <select value={layoutName} onChange={e => setLayoutName(e.target.value)} className="border rounded px-3 py-2 w-full mb-4">
+            {Object.entries(layouts).map(([name, layout]) => (
+              <option key={name} value={name}>{layout.description}</option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            {LAYOUT_FIELDS.map(field => (
+              <div key={field.name}>
+                <label className="block text-xs text-gray-600 mb-1">{field.label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={field.step}
+                  value={values[field.name] ?? ''}
+                  onChange={e => setValues({ ...values, [field.name]: e.target.value })}
+                  className="border rounded px-2 py-1 w-full"
+                />
+              </div>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={exporting}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+          >
+            {exporting ? 'Exporting...' : 'Download PDF'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LabelExportModal;
\ No newline at end of file
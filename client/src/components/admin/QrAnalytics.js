@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGE_PRESETS = {
+  7: 'Last 7 days',
+  30: 'Last 30 days',
+  90: 'Last 90 days',
+  365: 'Last 12 months',
+  custom: 'Custom range'
+};
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const presetRange = (days) => {
+  const today = new Date();
+  return { from: toDateInput(new Date(today.getTime() - (days - 1) * DAY_MS)), to: toDateInput(today) };
+};
+
+const formatDays = (days) => {
+  if (days === null) return '-';
+  return days < 1 ? `${Math.round(days * 24)} hours` : `${days.toFixed(1)} days`;
+};
+
+// Vertical bars for a { period, count } series
+const ColumnChart = ({ series, color }) => {
+  const highest = Math.max(1, ...series.map(point => point.count));
+  return (
+    <div>
+      <div className="flex items-end gap-px h-40 border-b">
+        {series.map(point => (
+          <div
+            key={point.period}
+            title={`${point.period}: ${point.count}`}
+            className={`flex-1 ${color}`}
+            style={{ height: `${(point.count / highest) * 100}%`, minHeight: point.count > 0 ? '2px' : 0 }}
+          />
+        ))}
+      </div>
+      {series.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>{series[0].period}</span>
+          <span>max {highest}</span>
+          <span>{series[series.length - 1].period}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Horizontal bar with a label on the left and a value on the right
+const BarRow = ({ label, value, fraction, color }) => (
+  <div className="flex items-center text-sm mb-1">
+    <span className="w-32 truncate text-gray-700" title={label}>{label}</span>
+    <div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+      <div className={`${color} h-3 rounded`} style={{ width: `${fraction * 100}%` }} />
+    </div>
+    <span className="w-24 text-right">{value}</span>
+  </div>
+);
+
+const ActivityTable = ({ codes, emptyText }) => (
+  <table className="table">
+    <thead>
+      <tr>
+        <th>Code</th>
+        <th>Status</th>
+        <th>Scans</th>
+        <th>Last Scanned</th>
+      </tr>
+    </thead>
+    <tbody>
+      {codes.map(code => (
+        <tr key={code.code}>
+          <td className="font-mono text-sm">{code.code}</td>
+          <td className="capitalize">{code.status}</td>
+          <td>{code.scans}</td>
+          <td>{code.lastScannedAt ? new Date(code.lastScannedAt).toLocaleString() : 'Never'}</td>
+        </tr>
+      ))}
+      {codes.length === 0 && (
+        <tr>
+          <td colSpan="4" className="text-center text-gray-500">{emptyText}</td>
+        </tr>
+      )}
+    </tbody>
+  </table>
+);
+
+const QrAnalytics = () => {
+  const [preset, setPreset] = useState('30');
+  const [range, setRange] = useState(presetRange(30));
+  const [groupBy, setGroupBy] = useState('day');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!range.from || !range.to) return;
+    setLoading(true);
+    adminAPI.getQrAnalytics({ ...range, interval: groupBy })
+      .then(response => setAnalytics(response.data.analytics))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to load QR analytics'))
+      .finally(() => setLoading(false));
+  }, [range, groupBy]);
+
+  const handlePresetChange = (e) => {
+    setPreset(e.target.value);
+    if (e.target.value !== 'custom') {
+      setRange(presetRange(Number(e.target.value)));
+    }
+  };
+
+  const sum = (series) => series.reduce((total, point) => total + point.count, 0);
+  const slowestBucket = analytics ? Math.max(1, ...analytics.timeToClaim.buckets.map(bucket => bucket.count)) : 1;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">QR Analytics</h2>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={preset} onChange={handlePresetChange} className="border rounded px-2 py-1">
+            {Object.entries(RANGE_PRESETS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {preset === 'custom' && (
+            <>
+              <input type="date" value={range.from} onChange={e => setRange({ ...range, from: e.target.value })} className="border rounded px-2 py-1" />
+              <span className="text-gray-500">to</span>
+              <input type="date" value={range.to} onChange={e => setRange({ ...range, to: e.target.value })} className="border rounded px-2 py-1" />
+            </>
+          )}
+          <select value={groupBy} onChange={e => setGroupBy(e.target.value)} className="border rounded px-2 py-1" title="Group codes generated by">
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+        </div>
+      </div>
+
+      {loading && !analytics && <p className="text-gray-500">Loading analytics...</p>}
+
+      {analytics && (
+        <div className={loading ? 'opacity-50' : ''}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div>
+              <p className="text-sm text-gray-500">Codes generated</p>
+              <p className="text-2xl font-bold">{sum(analytics.codesGenerated)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">First claims</p>
+              <p className="text-2xl font-bold">{analytics.timeToClaim.count}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Scans</p>
+              <p className="text-2xl font-bold">{sum(analytics.scansPerDay)}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Held codes with no location</p>
+              <p className="text-2xl font-bold">
+                {analytics.codesWithoutLocation.total} / {analytics.codesWithoutLocation.claimedTotal}
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div>
+              <h3 className="font-medium mb-2">Codes generated per {groupBy}</h3>
+              <ColumnChart series={analytics.codesGenerated} color="bg-blue-500" />
+            </div>
+            <div>
+              <h3 className="font-medium mb-2">Scans per day</h3>
+              <ColumnChart series={analytics.scansPerDay} color="bg-green-500" />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div>
+              <h3 className="font-medium mb-2">Claim rate by batch</h3>
+              <div style={{ maxHeight: '240px', overflowY: 'auto' }}>
+                {analytics.claimRateByBatch.map(row => (
+                  <BarRow
+                    key={row.batch ? row.batch._id : 'none'}
+                    label={row.batch ? row.batch.name : 'No batch'}
+                    value={`${row.claimed} / ${row.total} (${Math.round(row.claimRate * 100)}%)`}
+                    fraction={row.claimRate}
+                    color="bg-purple-500"
+                  />
+                ))}
+                {analytics.claimRateByBatch.length === 0 && (
+                  <p className="text-sm text-gray-500">No codes generated in this period</p>
+                )}
+              </div>
+            </div>
+            <div>
+              <h3 className="font-medium mb-2">Time from generation to first claim</h3>
+              <p className="text-sm text-gray-600 mb-2">
+                Average {formatDays(analytics.timeToClaim.averageDays)}, median {formatDays(analytics.timeToClaim.medianDays)}, longest {formatDays(analytics.timeToClaim.maxDays)}
+              </p>
+              {analytics.timeToClaim.buckets.map(bucket => (
+                <BarRow
+                  key={bucket.label}
+                  label={bucket.label}
+                  value={bucket.count}
+                  fraction={bucket.count / slowestBucket}
+                  color="bg-yellow-500"
+                />
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div>
+              <h3 className="font-medium mb-2">Most active codes</h3>
+              <ActivityTable codes={analytics.mostActiveCodes} emptyText="No scans in this period" />
+            </div>
+            <div>
+              <h3 className="font-medium mb-2">Least active held codes</h3>
+              <ActivityTable codes={analytics.leastActiveCodes} emptyText="No codes are currently held" />
+            </div>
+          </div>
+
+          <h3 className="font-medium mb-2">Held codes with no location</h3>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Status</th>
+                <th>Holder</th>
+                <th>Claimed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analytics.codesWithoutLocation.codes.map(code => (
+                <tr key={code.code}>
+                  <td className="font-mono text-sm">{code.code}</td>
+                  <td className="capitalize">{code.status}</td>
+                  <td>{code.user ? `${code.user.firstName} ${code.user.lastName}` : '-'}</td>
+                  <td>{new Date(code.claimedAt).toLocaleDateString()}</td>
+                </tr>
+              ))}
+              {analytics.codesWithoutLocation.codes.length === 0 && (
+                <tr>
+                  <td colSpan="4" className="text-center text-gray-500">Every held code has a location</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          {analytics.codesWithoutLocation.total > analytics.codesWithoutLocation.codes.length && (
+            <p className="text-sm text-gray-500 mt-2">
+              Showing the {analytics.codesWithoutLocation.codes.length} longest-held of {analytics.codesWithoutLocation.total}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QrAnalytics;
\ No newline at end of file
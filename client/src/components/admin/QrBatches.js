@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+import LabelExportModal from './LabelExportModal';
+import BatchScanSummary from './BatchScanSummary';
+import GeofenceModal from './GeofenceModal';
+import BundleDownloadModal from './BundleDownloadModal';
+import ValidityModal from './ValidityModal';
+import AssignModal from './AssignModal';
+import { fromDateTimeInput, describeValidity } from '../../utils/validity';
+
+const initialForm = { name: '', description: '', department: '', quantity: 1, validFrom: '', validUntil: '' };
+
+const QrBatches = ({ onViewCodes, onBatchesChanged }) => {
+  const [form, setForm] = useState(initialForm);
+  const [generating, setGenerating] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [labelBatch, setLabelBatch] = useState(null);
+  const [bundleBatch, setBundleBatch] = useState(null);
+  const [scanBatch, setScanBatch] = useState(null);
+  const [geofenceBatch, setGeofenceBatch] = useState(null);
+  const [validityBatch, setValidityBatch] = useState(null);
+  const [assignBatch, setAssignBatch] = useState(null);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const response = await adminAPI.getBatches({ page, limit: 5 });
+      setBatches(response.data.batches);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load batches');
+    }
+  }, [page]);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Batch name is required');
+      return;
+    }
+    const quantity = Math.max(1, Math.min(1000, Number(form.quantity)));
+    setGenerating(true);
+    try {
+      const response = await adminAPI.createBatch({
+        name: form.name.trim(),
+        description: form.description.trim() || undefined,
+        department: form.department.trim() || undefined,
+        quantity,
+        validFrom: fromDateTimeInput(form.validFrom),
+        validUntil: fromDateTimeInput(form.validUntil)
+      });
+      toast.success(`Batch "${response.data.batch.name}" created with ${quantity} QR code(s)`);
+      setForm(initialForm);
+      setPage(1);
+      fetchBatches();
+      onBatchesChanged && onBatchesChanged(response.data.batch);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create batch');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleBatchAction = async (batch, action) => {
+    const reason = window.prompt(`Reason to ${action} every code in "${batch.name}" (optional):`);
+    if (reason === null) return;
+    try {
+      const request = {
+        suspend: adminAPI.suspendBatch,
+        reinstate: adminAPI.reinstateBatch,
+        retire: adminAPI.retireBatch
+      }[action];
+      const response = await request(batch._id, reason || undefined);
+      toast.success(response.data.message);
+      fetchBatches();
+      onBatchesChanged && onBatchesChanged(batch);
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} batch`);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4">Generate QR Codes</h2>
+      <form onSubmit={handleGenerate} className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-6">
+        <input
+          type="text"
+          name="name"
+          value={form.name}
+          onChange={handleChange}
+          className="border rounded px-3 py-2"
+          placeholder="Batch name"
+          maxLength={100}
+        />
+        <input
+          type="text"
+          name="description"
+          value={form.description}
+          onChange={handleChange}
+          className="border rounded px-3 py-2 md:col-span-2"
+          placeholder="What are these codes for?"
+          maxLength={500}
+        />
+        <input
+          type="text"
+          name="department"
+          value={form.department}
+          onChange={handleChange}
+          className="border rounded px-3 py-2"
+          placeholder="Department"
+          maxLength={100}
+        />
+        <div className="flex gap-2">
+          <input
+            type="number"
+            name="quantity"
+            min="1"
+            max="1000"
+            value={form.quantity}
+            onChange={handleChange}
+            className="border rounded px-3 py-2 w-24"
+            placeholder="Number of QRs"
+          />
+          <button
+            type="submit"
+            disabled={generating}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
+          >
+            {generating ? 'Generating...' : 'Generate'}
+          </button>
+        </div>
+        <label className="text-sm text-gray-600 md:col-span-2 flex items-center gap-2">
+          Valid from
+          <input type="datetime-local" name="validFrom" value={form.validFrom} onChange={handleChange} className="border rounded px-3 py-2 flex-1" />
+        </label>
+        <label className="text-sm text-gray-600 md:col-span-2 flex items-center gap-2">
+          Valid until
+          <input type="datetime-local" name="validUntil" value={form.validUntil} onChange={handleChange} className="border rounded px-3 py-2 flex-1" />
+        </label>
+      </form>
+
+      <h3 className="text-lg font-semibold text-gray-900 mb-3">Batches</h3>
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Department</th>
+              <th>Quantity</th>
+              <th>Claim Progress</th>
+              <th>Created</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map(batch => (
+              <tr key={batch._id}>
+                <td>
+                  <div className="font-medium">{batch.name}</div>
+                  {batch.description && <div className="text-sm text-gray-500">{batch.description}</div>}
+                  {describeValidity(batch) && <div className="text-xs text-gray-500">{describeValidity(batch)}</div>}
+                </td>
+                <td className="text-sm">{batch.department || 'N/A'}</td>
+                <td className="text-sm">{batch.quantity}</td>
+                <td className="text-sm" style={{ minWidth: 160 }}>
+                  <div className="w-full bg-gray-200 rounded-full h-2 mb-1">
+                    <div
+                      className="bg-green-500 h-2 rounded-full"
+                      style={{ width: `${Math.round(batch.progress.claimRate * 100)}%` }}
+                    />
+                  </div>
+                  {batch.progress.claimed} / {batch.progress.total} claimed
+                  {batch.progress.byStatus.suspended > 0 && `, ${batch.progress.byStatus.suspended} suspended`}
+                  {batch.progress.byStatus.expired > 0 && `, ${batch.progress.byStatus.expired} expired`}
+                  {batch.progress.byStatus.retired > 0 && `, ${batch.progress.byStatus.retired} retired`}
+                </td>
+                <td className="text-sm">
+                  {new Date(batch.createdAt).toLocaleDateString()}
+                  {batch.createdBy && <div className="text-gray-500">{batch.createdBy.firstName} {batch.createdBy.lastName}</div>}
+                </td>
+                <td className="whitespace-nowrap">
+                  <button onClick={() => onViewCodes && onViewCodes(batch._id)} className="bg-blue-500 text-white px-2 py-1 rounded mr-2 text-sm">View Codes</button>
+                  <button onClick={() => setLabelBatch(batch)} className="bg-green-600 text-white px-2 py-1 rounded mr-2 text-sm">Print Labels</button>
+                  <button onClick={() => setBundleBatch(batch)} className="bg-green-700 text-white px-2 py-1 rounded mr-2 text-sm">Download ZIP</button>
+                  <button onClick={() => setScanBatch(batch)} className="bg-gray-600 text-white px-2 py-1 rounded mr-2 text-sm">Scans</button>
+                  <button onClick={() => setGeofenceBatch(batch)} className="bg-teal-600 text-white px-2 py-1 rounded mr-2 text-sm">Geofences</button>
+                  <button onClick={() => setValidityBatch(batch)} className="bg-purple-600 text-white px-2 py-1 rounded mr-2 text-sm">Validity</button>
+                  <button onClick={() => setAssignBatch(batch)} className="bg-purple-500 text-white px-2 py-1 rounded mr-2 text-sm">Assign</button>
+                  {batch.progress.byStatus.suspended > 0 && (
+                    <button onClick={() => handleBatchAction(batch, 'reinstate')} className="bg-blue-500 text-white px-2 py-1 rounded mr-2 text-sm">Reinstate</button>
+                  )}
+                  <button onClick={() => handleBatchAction(batch, 'suspend')} className="bg-orange-500 text-white px-2 py-1 rounded mr-2 text-sm">Suspend</button>
+                  <button onClick={() => handleBatchAction(batch, 'retire')} className="bg-red-600 text-white px-2 py-1 rounded text-sm">Retire</button>
+                </td>
+              </tr>
+            ))}
+            {batches.length === 0 && (
+              <tr>
+                <td colSpan="6" className="text-center text-gray-500">No batches yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4">
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="border rounded px-3 py-1 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNextPage}
+              className="border rounded px-3 py-1 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {labelBatch && (
+        <LabelExportModal
+          source={{ batchId: labelBatch._id, name: labelBatch.name }}
+          onClose={() => setLabelBatch(null)}
+        />
+      )}
+
+      {bundleBatch && (
+        <BundleDownloadModal
+          source={{ batchId: bundleBatch._id, name: bundleBatch.name }}
+          onClose={() => setBundleBatch(null)}
+        />
+      )}
+
+      {scanBatch && (
+        <BatchScanSummary batch={scanBatch} onClose={() => setScanBatch(null)} />
+      )}
+
+      {geofenceBatch && (
+        <GeofenceModal target={{ batchId: geofenceBatch._id, name: geofenceBatch.name }} onClose={() => setGeofenceBatch(null)} />
+      )}
+
+      {assignBatch && (
+        <AssignModal
+          source={{ batchId: assignBatch._id, name: assignBatch.name }}
+          onClose={() => setAssignBatch(null)}
+          onAssigned={() => onBatchesChanged && onBatchesChanged(assignBatch)}
+        />
+      )}
+
+      {validityBatch && (
+        <ValidityModal
+          title={`Validity of every code in "${validityBatch.name}"`}
+          target={validityBatch}
+          onSave={async (validity) => {
+            const response = await adminAPI.setBatchValidity(validityBatch._id, validity);
+            fetchBatches();
+            onBatchesChanged && onBatchesChanged(validityBatch);
+            return response;
+          }}
+          onClose={() => setValidityBatch(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QrBatches;
\ No newline at end of file
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import jsQR from 'jsqr';
+import { adminAPI } from '../../services/api';
+import { downloadBlob, getBlobErrorMessage } from '../../utils/download';
+import { MAX_LOGO_BYTES, resolveExportOptions, renderQrSvg, renderQrPdf } from '../../utils/qrRender';
+
+const initialOptions = {
+  size: 50,
+  errorCorrectionLevel: 'H',
+  quietZone: 4,
+  foreground: '#000000',
+  background: '#ffffff',
+  logoSize: 0.2
+};
+
+// Resolution the preview is rasterised at for the decode check
+const CHECK_SIZE = 600;
+
+// Draw an SVG blob onto a canvas and try to read it back with jsQR
+const decodeSvg = (blob) => new Promise((resolve) => {
+  const url = window.URL.createObjectURL(blob);
+  const img = new window.Image();
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = CHECK_SIZE;
+    canvas.height = CHECK_SIZE;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, CHECK_SIZE, CHECK_SIZE);
+    const imageData = ctx.getImageData(0, 0, CHECK_SIZE, CHECK_SIZE);
+    window.URL.revokeObjectURL(url);
+    resolve(jsQR(imageData.data, CHECK_SIZE, CHECK_SIZE)?.data || null);
+  };
+  img.onerror = () => {
+    window.URL.revokeObjectURL(url);
+    resolve(null);
+  };
+  img.src = url;
+});
+
+// Render one export on the server, or in the browser with the same checks.
+// Resolves with the file as a Blob; rejects with an error message.
+const renderExport = async (renderer, qrCode, options, logo, format) => {
+  if (renderer === 'server') {
+    try {
+      const response = await adminAPI.exportQrCode(qrCode.code, { ...options, format, logo: logo || undefined });
+      return response.data;
+    } catch (err) {
+      throw new Error(await getBlobErrorMessage(err, `Failed to render ${format.toUpperCase()}`));
+    }
+  }
+
+  const { options: resolved, symbol, error } = await resolveExportOptions(qrCode.payload, { ...options, logo });
+  if (error) throw new Error(error);
+  return format === 'svg' ? renderQrSvg(symbol, resolved) : renderQrPdf(symbol, resolved, `QR code ${qrCode.code}`);
+};
+
+// Export one code as SVG or PDF with print options, rendered by the server or
+// in the browser. Both reject options that would make the code unreadable; the
+// preview is additionally decoded in the browser before anything can be saved.
+const QrExportModal = ({ qrCode, onClose }) => {
+  const [renderer, setRenderer] = useState('server');
+  const [options, setOptions] = useState(initialOptions);
+  const [logo, setLogo] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [decodes, setDecodes] = useState(null);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  // Re-render the preview shortly after the options stop changing
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const svg = await renderExport(renderer, qrCode, options, logo, 'svg');
+        const decoded = await decodeSvg(svg);
+        if (cancelled) return;
+        setPreview(svg);
+        setDecodes(decoded === qrCode.payload);
+        setError('');
+      } catch (err) {
+        if (cancelled) return;
+        setPreview(null);
+        setDecodes(null);
+        setError(err.message);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [renderer, qrCode, options, logo]);
+
+  useEffect(() => {
+    if (!preview) {
+      setPreviewUrl(null);
+      return undefined;
+    }
+    const url = window.URL.createObjectURL(preview);
+    setPreviewUrl(url);
+    return () => window.URL.revokeObjectURL(url);
+  }, [preview]);
+
+  const handleChange = (e) => {
+    setOptions({ ...options, [e.target.name]: e.target.value });
+  };
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return setLogo(null);
+    if (!['image/png', 'image/jpeg'].includes(file.type)) return setError('The logo must be a PNG or JPEG image.');
+    if (file.size > MAX_LOGO_BYTES) return setError('The logo cannot exceed 512 KB.');
+    const reader = new FileReader();
+    reader.onload = (event) => setLogo(event.target.result);
+    reader.readAsDataURL(file);
+  };
+
+  const handleDownloadPdf = async () => {
+    setExporting(true);
+    try {
+      const pdf = await renderExport(renderer, qrCode, options, logo, 'pdf');
+      downloadBlob(pdf, `${qrCode.code}.pdf`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ maxWidth: '720px', width: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-1">Export QR Code</h3>
+        <p className="text-sm text-gray-600 mb-4 font-mono">{qrCode.code}</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <div className="grid grid-cols-2 gap-3 mb-3">
+              <div className="col-span-2">
+                <label className="block text-xs text-gray-600 mb-1">Render on</label>
+                <select value={renderer} onChange={(e) => setRenderer(e.target.value)} className="border rounded px-2 py-1 w-full">
+                  <option value="server">Server</option>
+                  <option value="browser">This browser</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Size (mm)</label>
+                <input type="number" name="size" min="10" max="500" value={options.size} onChange={handleChange} className="border rounded px-2 py-1 w-full" />
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Error correction</label>
+                <select name="errorCorrectionLevel" value={options.errorCorrectionLevel} onChange={handleChange} className="border rounded px-2 py-1 w-full">
+                  <option value="L">L (7%)</option>
+                  <option value="M">M (15%)</option>
+                  <option value="Q">Q (25%)</option>
+                  <option value="H">H (30%)</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Quiet zone (modules)</label>
+                <input type="number" name="quietZone" min="0" max="10" value={options.quietZone} onChange={handleChange} className="border rounded px-2 py-1 w-full" />
+              </div>
+              <div className="flex gap-3">
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Foreground</label>
+                  <input type="color" name="foreground" value={options.foreground} onChange={handleChange} />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Background</label>
+                  <input type="color" name="background" value={options.background} onChange={handleChange} />
+                </div>
+              </div>
+            </div>
+            <label className="block text-xs text-gray-600 mb-1">Centre logo (PNG or JPEG)</label>
+            <input type="file" accept="image/png,image/jpeg" onChange={handleLogoChange} className="mb-2 text-sm" />
+            {logo && (
+              <>
+                <label className="block text-xs text-gray-600 mb-1">
+                  Logo size: {Math.round(options.logoSize * 100)}% of the symbol width
+                </label>
+                <input type="range" name="logoSize" min="0.05" max="0.4" step="0.01" value={options.logoSize} onChange={handleChange} className="w-full mb-2" />
+                <button type="button" onClick={() => setLogo(null)} className="text-sm border rounded px-2 py-1">Remove logo</button>
+              </>
+            )}
+          </div>
+          <div className="text-center">
+            {previewUrl ? (
+              <img src={previewUrl} alt={`QR code ${qrCode.code}`} className="mx-auto border" style={{ width: 240, height: 240 }} />
+            ) : (
+              <div className="mx-auto border flex items-center justify-center text-gray-400" style={{ width: 240, height: 240 }}>No preview</div>
+            )}
+            {decodes === true && <p className="text-sm text-green-700 mt-2">Preview scans correctly</p>}
+            {decodes === false && <p className="text-sm text-red-700 mt-2">The preview could not be read back; adjust the options before printing.</p>}
+          </div>
+        </div>
+        {error && <div className="text-red-600 mt-3">{error}</div>}
+        <div className="flex justify-end gap-2 mt-4">
+          <button type="button" onClick={onClose} className="border px-4 py-2 rounded">Cancel</button>
+          <button
+            type="button"
+            onClick={() => downloadBlob(preview, `${qrCode.code}.svg`)}
+            disabled={!preview || !decodes}
+            className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            Download SVG
+          </button>
+          <button
+            type="button"
+            onClick={handleDownloadPdf}
+            disabled={!preview || !decodes || exporting}
+            className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            {exporting ? 'Exporting...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QrExportModal;
\ No newline at end of file
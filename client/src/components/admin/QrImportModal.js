@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { adminAPI } from '../../services/api';
+import { downloadBlob } from '../../utils/download';
+
+const STATUS_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  imported: 'bg-green-100 text-green-800',
+  invalid: 'bg-red-100 text-red-800'
+};
+
+// Quote a value for the downloadable report
+const csvField = (value = '') => `"${String(value).replace(/"/g, '""')}"`;
+
+// Upload a vendor CSV of pre-printed codes: preview it with a dry run, then import the valid rows
+const QrImportModal = ({ onClose, onImported }) => {
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState('');
+  const [report, setReport] = useState(null);
+  const [onlyProblems, setOnlyProblems] = useState(false);
+  const [checkDigits, setCheckDigits] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const runImport = async (content, dryRun, withCheckDigits = checkDigits) => {
+    setWorking(true);
+    setError('');
+    try {
+      const response = await adminAPI.importQrCodes(content, dryRun, withCheckDigits);
+      setReport(response.data);
+      if (!dryRun) {
+        toast.success(response.data.message);
+        onImported();
+      }
+    } catch (err) {
+      setReport(null);
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to import QR codes.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Reading a file always starts with a preview
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const content = await file.text();
+    setFileName(file.name);
+    setCsv(content);
+    runImport(content, true);
+  };
+
+  // The preview has to be checked again against the new setting
+  const handleCheckDigitsChange = (e) => {
+    setCheckDigits(e.target.checked);
+    if (csv) runImport(csv, true, e.target.checked);
+  };
+
+  const downloadReport = () => {
+    const lines = [
+      ['row', 'code', 'batch', 'purpose', 'assignee', 'status', 'errors'].join(','),
+      ...report.rows.map(row => [row.row, row.code, row.batch, row.purpose, row.assignee, row.status, row.errors.join('; ')]
+        .map(csvField).join(','))
+    ];
+    downloadBlob(new Blob([lines.join('\n')], { type: 'text/csv' }), `${fileName.replace(/\.csv$/i, '')}-report.csv`);
+  };
+
+  const rows = report ? report.rows.filter(row => !onlyProblems || row.status === 'invalid') : [];
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ maxWidth: '900px', width: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-1">Import QR Codes</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          CSV with a header row. Columns: <span className="font-mono">code</span> (required, 16 digits, stored as printed),
+          and optionally <span className="font-mono">batch</span> (name or ID), <span className="font-mono">purpose</span>,
+          <span className="font-mono"> assignee</span> (user email; needs a purpose) and <span className="font-mono">check_digit</span>
+          (yes or no, whether that code ends in a check digit).
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="mb-2" disabled={working} />
+        <label className="flex items-center gap-1 text-sm mb-4">
+          <input type="checkbox" checked={checkDigits} onChange={handleCheckDigitsChange} disabled={working} />
+          Codes end in a check digit
+        </label>
+        {error && <div className="text-red-600 mb-2">{error}</div>}
+        {working && <div className="text-gray-600 mb-2">Checking file...</div>}
+
+        {report && (
+          <>
+            <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+              <span className="font-medium">{report.dryRun ? 'Preview' : 'Result'}:</span>
+              <span>{report.summary.total} rows</span>
+              {report.dryRun
+                ? <span className="text-green-700">{report.summary.valid} valid</span>
+                : <span className="text-green-700">{report.summary.imported} imported</span>}
+              <span className="text-red-700">{report.summary.invalid} with problems</span>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={onlyProblems} onChange={e => setOnlyProblems(e.target.checked)} />
+                Only show problems
+              </label>
+            </div>
+            <div className="table-container" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Code</th>
+                    <th>Batch</th>
+                    <th>Assignee</th>
+                    <th>Status</th>
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.row}>
+                      <td className="text-sm">{row.row}</td>
+                      <td className="font-mono text-sm">{row.code}</td>
+                      <td className="text-sm">{row.batch}</td>
+                      <td className="text-sm">{row.assignee}</td>
+                      <td>
+                        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[row.status]}`}>
+                          {row.status}
+                        </span>
+                      </td>
+                      <td className="text-sm text-red-700">{row.errors.join('; ')}</td>
+                    </tr>
+                  ))}
+                  {rows.length === 0 && (
+                    <tr>
+                      <td colSpan="6" className="text-center text-gray-500">No rows to show</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex justify-end gap-2 mt-4">
+              <button onClick={downloadReport} className="border px-4 py-2 rounded">Download Report</button>
+              {report.dryRun && (
+                <button
+                  onClick={() => runImport(csv, false)}
+                  disabled={working || report.summary.valid === 0}
+                  className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 disabled:opacity-50"
+                >
+                  Import {report.summary.valid} Valid Row(s)
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QrImportModal;
\ No newline at end of file
@@ -0,0 +1,483 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { QRCodeCanvas } from 'qrcode.react';
+import { adminAPI } from '../../services/api';
+import LabelExportModal from './LabelExportModal';
+import ScanHistoryModal from '../qr/ScanHistoryModal';
+import GeofenceModal from './GeofenceModal';
+import QrImportModal from './QrImportModal';
+import QrExportModal from './QrExportModal';
+import BundleDownloadModal from './BundleDownloadModal';
+import ValidityModal from './ValidityModal';
+import AssignModal from './AssignModal';
+import { describeValidity } from '../../utils/validity';
+
+const QR_STATUSES = ['unassigned', 'claimed', 'suspended', 'lost', 'expired', 'retired'];
+
+const initialFilters = { prefix: '', status: '', createdBy: '', from: '', to: '' };
+
+const QrInventory = ({ batchId = '', onClearBatch, refreshKey = 0 }) => {
+  const [qrCodes, setQrCodes] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState(initialFilters);
+  const [creators, setCreators] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedCodes, setSelectedCodes] = useState([]);
+  const [showLabelExport, setShowLabelExport] = useState(false);
+  const [showBundle, setShowBundle] = useState(false);
+  const [scanHistoryCode, setScanHistoryCode] = useState(null);
+  const [geofenceCode, setGeofenceCode] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const [exportQr, setExportQr] = useState(null);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [validityQr, setValidityQr] = useState(null);
+  const [showAssign, setShowAssign] = useState(false);
+
+  const fetchQrCodes = useCallback(async () => {
+    setLoading(true);
+    try {
+      // Only send filters that are set
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      if (batchId) params.batch = batchId;
+      if (showDeleted) params.deleted = 'true';
+      const response = await adminAPI.getQrCodes({ ...params, page, limit: 12 });
+      setQrCodes(response.data.qrCodes);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load QR codes');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page, batchId, showDeleted]);
+
+  const fetchCreators = useCallback(async () => {
+    try {
+      const response = await adminAPI.getQrCreators();
+      setCreators(response.data.creators);
+    } catch (error) {
+      console.error('Failed to load QR code creators:', error);
+    }
+  }, []);
+
+  // refreshKey lets the parent force a reload after codes change elsewhere
+  useEffect(() => {
+    fetchQrCodes();
+  }, [fetchQrCodes, refreshKey]);
+
+  useEffect(() => {
+    fetchCreators();
+  }, [fetchCreators, refreshKey]);
+
+  // Start from the first page whenever a different batch is selected
+  useEffect(() => {
+    setPage(1);
+  }, [batchId]);
+
+  const handleFilterChange = (e) => {
+    setFilters({ ...filters, [e.target.name]: e.target.value });
+    setPage(1);
+  };
+
+  const toggleSelected = (code) => {
+    setSelectedCodes(selected =>
+      selected.includes(code) ? selected.filter(c => c !== code) : [...selected, code]
+    );
+  };
+
+  const pageCodes = qrCodes.map(qr => qr.code);
+  const allPageSelected = pageCodes.length > 0 && pageCodes.every(code => selectedCodes.includes(code));
+
+  const toggleSelectPage = () => {
+    setSelectedCodes(selected => allPageSelected
+      ? selected.filter(code => !pageCodes.includes(code))
+      : [...new Set([...selected, ...pageCodes])]
+    );
+  };
+
+  const handleStatusAction = async (qr, action) => {
+    const reason = window.prompt(`Reason to ${action} QR code ${qr.code} (optional):`);
+    if (reason === null) return;
+    try {
+      const request = {
+        suspend: adminAPI.suspendQrCode,
+        reinstate: adminAPI.reinstateQrCode,
+        retire: adminAPI.retireQrCode
+      }[action];
+      const response = await request(qr.code, reason || undefined);
+      toast.success(response.data.message);
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} QR code`);
+    }
+  };
+
+  const handleCancelAssignment = async (qr) => {
+    if (!window.confirm(`Cancel the assignment of QR code ${qr.code}? Anyone will be able to claim it.`)) return;
+    try {
+      const response = await adminAPI.cancelAssignment(qr.code);
+      toast.success(response.data.message);
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel assignment');
+    }
+  };
+
+  const handleDelete = async (qr) => {
+    const reason = window.prompt(`Reason for deleting QR code ${qr.code}:`);
+    if (!reason || !reason.trim()) return;
+    try {
+      const response = await adminAPI.deleteQrCode(qr.code, reason.trim());
+      toast.success(response.data.message);
+      setSelectedCodes(selected => selected.filter(code => code !== qr.code));
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to delete QR code');
+    }
+  };
+
+  const handleRestore = async (qr) => {
+    try {
+      const response = await adminAPI.restoreQrCode(qr.code);
+      toast.success(response.data.message);
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to restore QR code');
+    }
+  };
+
+  const handlePurge = async (qr) => {
+    if (!window.confirm(`Permanently delete QR code ${qr.code} and its history? This cannot be undone.`)) return;
+    try {
+      const response = await adminAPI.purgeQrCode(qr.code);
+      toast.success(response.data.message);
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to purge QR code');
+    }
+  };
+
+  const handlePurgeExpired = async () => {
+    if (!window.confirm('Permanently delete every code whose restore window has passed?')) return;
+    try {
+      const response = await adminAPI.purgeExpiredQrCodes();
+      toast.success(response.data.message);
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to purge QR codes');
+    }
+  };
+
+  const toggleShowDeleted = () => {
+    setShowDeleted(!showDeleted);
+    setSelectedCodes([]);
+    setPage(1);
+  };
+
+  const handleForceTransfer = async (qr) => {
+    const email = window.prompt(`Email of the user who should receive QR code ${qr.code}:`);
+    if (!email) return;
+    const reason = window.prompt('Reason for the transfer (optional):');
+    if (reason === null) return;
+    try {
+      const response = await adminAPI.forceTransferQrCode(qr.code, email.trim(), reason || undefined);
+      toast.success(response.data.message);
+      fetchQrCodes();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to transfer QR code');
+    }
+  };
+
+  // Download QR as image
+  const downloadQR = (code) => {
+    const canvas = document.getElementById(`qr-canvas-${code}`);
+    const pngUrl = canvas.toDataURL('image/png');
+    const downloadLink = document.createElement('a');
+    downloadLink.href = pngUrl;
+    downloadLink.download = `${code}.png`;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'claimed':
+        return 'bg-green-100 text-green-800';
+      case 'lost':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'suspended':
+        return 'bg-orange-100 text-orange-800';
+      case 'expired':
+        return 'bg-red-100 text-red-800';
+      case 'retired':
+        return 'bg-gray-200 text-gray-700';
+      default:
+        return 'bg-blue-100 text-blue-800';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">{showDeleted ? 'Deleted QR Codes' : 'QR Code Inventory'}</h2>
+        <div className="flex items-center gap-2">
+          <button onClick={toggleShowDeleted} className="text-sm border rounded px-3 py-1">
+            {showDeleted ? 'Back to inventory' : 'Deleted codes'}
+          </button>
+          {showDeleted ? (
+            <button onClick={handlePurgeExpired} className="text-sm bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700">
+              Purge expired
+            </button>
+          ) : (
+            <button onClick={() => setShowImport(true)} className="text-sm bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">
+              Import CSV
+            </button>
+          )}
+          {batchId && (
+            <button onClick={onClearBatch} className="text-sm bg-blue-100 text-blue-800 px-3 py-1 rounded-full">
+              Showing one batch &times;
+            </button>
+          )}
+          {!showDeleted && selectedCodes.length > 0 && (
+            <>
+              <button onClick={() => setSelectedCodes([])} className="text-sm border rounded px-3 py-1">
+                Clear selection
+              </button>
+              <button onClick={() => setShowLabelExport(true)} className="text-sm bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700">
+                Export Labels ({selectedCodes.length})
+              </button>
+              <button onClick={() => setShowBundle(true)} className="text-sm bg-green-700 text-white px-3 py-1 rounded hover:bg-green-800">
+                Download ZIP ({selectedCodes.length})
+              </button>
+              <button onClick={() => setShowAssign(true)} className="text-sm bg-purple-600 text-white px-3 py-1 rounded hover:bg-purple-700">
+                Assign ({selectedCodes.length})
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4">
+        <input
+          type="text"
+          name="prefix"
+          value={filters.prefix}
+          onChange={handleFilterChange}
+          className="border rounded px-3 py-2"
+          placeholder="Code prefix"
+        />
+        <select name="status" value={filters.status} onChange={handleFilterChange} className="border rounded px-3 py-2">
+          <option value="">All statuses</option>
+          {QR_STATUSES.map(status => (
+            <option key={status} value={status}>{status}</option>
+          ))}
+        </select>
+        <select name="createdBy" value={filters.createdBy} onChange={handleFilterChange} className="border rounded px-3 py-2">
+          <option value="">All creators</option>
+          {creators.map(creator => (
+            <option key={creator._id} value={creator._id}>{creator.firstName} {creator.lastName}</option>
+          ))}
+        </select>
+        <input type="date" name="from" value={filters.from} onChange={handleFilterChange} className="border rounded px-3 py-2" title="Created from" />
+        <input type="date" name="to" value={filters.to} onChange={handleFilterChange} className="border rounded px-3 py-2" title="Created to" />
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>
+                <input type="checkbox" checked={allPageSelected} onChange={toggleSelectPage} title="Select page" />
+              </th>
+              <th>QR</th>
+              <th>Code</th>
+              <th>Status</th>
+              <th>Batch</th>
+              <th>Holder</th>
+              <th>Created By</th>
+              <th>Created</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {qrCodes.map(qr => (
+              <tr key={qr._id}>
+                <td>
+                  <input type="checkbox" checked={selectedCodes.includes(qr.code)} onChange={() => toggleSelected(qr.code)} />
+                </td>
+                <td>
+                  <QRCodeCanvas
+                    id={`qr-canvas-${qr.code}`}
+                    value={qr.payload}
+                    size={160}
+                    level="H"
+                    includeMargin={true}
+                    style={{ width: 64, height: 64 }}
+                  />
+                </td>
+                <td className="font-mono text-sm">{qr.code}</td>
+                <td>
+                  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${getStatusColor(qr.status)}`}>
+                    {qr.status}
+                  </span>
+                  {describeValidity(qr) && <div className="text-xs text-gray-500 mt-1">{describeValidity(qr)}</div>}
+                </td>
+                <td className="text-sm">{qr.batch?.name || 'N/A'}</td>
+                <td className="text-sm">
+                  {qr.claim ? (
+                    <>
+                      <div>{qr.claim.user?.firstName} {qr.claim.user?.lastName}</div>
+                      <div className="text-gray-500">{qr.claim.purpose}</div>
+                    </>
+                  ) : qr.assignment ? (
+                    <>
+                      <div>
+                        Assigned to {qr.assignment.user ? `${qr.assignment.user.firstName} ${qr.assignment.user.lastName}` : `${qr.assignment.department} department`}
+                      </div>
+                      {qr.assignment.purpose && <div className="text-gray-500">{qr.assignment.purpose}</div>}
+                      {!showDeleted && (
+                        <button onClick={() => handleCancelAssignment(qr)} className="text-red-600 text-xs">Cancel assignment</button>
+                      )}
+                    </>
+                  ) : 'N/A'}
+                </td>
+                <td className="text-sm">{qr.createdBy ? `${qr.createdBy.firstName} ${qr.createdBy.lastName}` : 'N/A'}</td>
+                <td className="text-sm">{new Date(qr.createdAt).toLocaleDateString()}</td>
+                {showDeleted ? (
+                  <td className="text-sm">
+                    <div>
+                      Deleted {new Date(qr.deletedAt).toLocaleString()}
+                      {qr.deletedBy ? ` by ${qr.deletedBy.firstName} ${qr.deletedBy.lastName}` : ''}
+                    </div>
+                    <div className="text-gray-500">{qr.deleteReason}</div>
+                    <div className="text-gray-500">Restorable until {new Date(qr.restorableUntil).toLocaleDateString()}</div>
+                    <div className="mt-1 whitespace-nowrap">
+                      {new Date(qr.restorableUntil) > new Date() && (
+                        <button onClick={() => handleRestore(qr)} className="bg-blue-500 text-white px-2 py-1 rounded mr-2 text-sm">Restore</button>
+                      )}
+                      <button onClick={() => handlePurge(qr)} className="bg-red-600 text-white px-2 py-1 rounded text-sm">Purge</button>
+                    </div>
+                  </td>
+                ) : (
+                <td className="whitespace-nowrap">
+                  <button onClick={() => downloadQR(qr.code)} className="bg-green-600 text-white px-2 py-1 rounded mr-2 text-sm">Download</button>
+                  <button onClick={() => setExportQr(qr)} className="bg-green-700 text-white px-2 py-1 rounded mr-2 text-sm">Export</button>
+                  <button onClick={() => setScanHistoryCode(qr.code)} className="bg-gray-600 text-white px-2 py-1 rounded mr-2 text-sm">Scans</button>
+                  <button onClick={() => setGeofenceCode(qr.code)} className="bg-teal-600 text-white px-2 py-1 rounded mr-2 text-sm">Geofences</button>
+                  {qr.claim && ['claimed', 'lost'].includes(qr.status) && (
+                    <button onClick={() => handleForceTransfer(qr)} className="bg-blue-600 text-white px-2 py-1 rounded mr-2 text-sm">Transfer</button>
+                  )}
+                  {qr.status === 'suspended' ? (
+                    <button onClick={() => handleStatusAction(qr, 'reinstate')} className="bg-blue-500 text-white px-2 py-1 rounded mr-2 text-sm">Reinstate</button>
+                  ) : qr.status !== 'retired' && (
+                    <button onClick={() => handleStatusAction(qr, 'suspend')} className="bg-orange-500 text-white px-2 py-1 rounded mr-2 text-sm">Suspend</button>
+                  )}
+                  {qr.status !== 'retired' && (
+                    <button onClick={() => setValidityQr(qr)} className="bg-purple-600 text-white px-2 py-1 rounded mr-2 text-sm">Validity</button>
+                  )}
+                  {qr.status !== 'retired' && (
+                    <button onClick={() => handleStatusAction(qr, 'retire')} className="bg-red-600 text-white px-2 py-1 rounded mr-2 text-sm">Retire</button>
+                  )}
+                  <button onClick={() => handleDelete(qr)} className="bg-red-800 text-white px-2 py-1 rounded text-sm">Delete</button>
+                </td>
+                )}
+              </tr>
+            ))}
+            {!loading && qrCodes.length === 0 && (
+              <tr>
+                <td colSpan="9" className="text-center text-gray-500">No QR codes found</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-4">
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalQrCodes} codes)
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="border rounded px-3 py-1 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNextPage}
+              className="border rounded px-3 py-1 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showLabelExport && (
+        <LabelExportModal
+          source={{ codes: selectedCodes }}
+          onClose={() => setShowLabelExport(false)}
+        />
+      )}
+
+      {showBundle && (
+        <BundleDownloadModal
+          source={{ codes: selectedCodes }}
+          onClose={() => setShowBundle(false)}
+        />
+      )}
+
+      {scanHistoryCode && (
+        <ScanHistoryModal
+          title={`Scan history for ${scanHistoryCode}`}
+          loadScans={(scanPage) => adminAPI.getQrScans(scanHistoryCode, { page: scanPage })}
+          onClose={() => setScanHistoryCode(null)}
+        />
+      )}
+
+      {geofenceCode && (
+        <GeofenceModal target={{ code: geofenceCode }} onClose={() => setGeofenceCode(null)} />
+      )}
+
+      {showAssign && (
+        <AssignModal
+          source={{ codes: selectedCodes }}
+          onClose={() => setShowAssign(false)}
+          onAssigned={() => fetchQrCodes()}
+        />
+      )}
+
+      {validityQr && (
+        <ValidityModal
+          title={`Validity of ${validityQr.code}`}
+          target={validityQr}
+          onSave={async (validity) => {
+            const response = await adminAPI.setQrValidity(validityQr.code, validity);
+            fetchQrCodes();
+            return response;
+          }}
+          onClose={() => setValidityQr(null)}
+        />
+      )}
+
+      {exportQr && (
+        <QrExportModal qrCode={exportQr} onClose={() => setExportQr(null)} />
+      )}
+
+      {showImport && (
+        <QrImportModal
+          onClose={() => setShowImport(false)}
+          onImported={() => {
+            fetchQrCodes();
+            fetchCreators();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QrInventory;
\ No newline at end of file
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { toDateTimeInput, fromDateTimeInput } from '../../utils/validity';
+
+// Set or clear the validity window of a code or a batch. `onSave(window)` sends it
+// to the server and resolves with the response.
+const ValidityModal = ({ title, target, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    validFrom: toDateTimeInput(target.validFrom),
+    validUntil: toDateTimeInput(target.validUntil)
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const response = await onSave({
+        validFrom: fromDateTimeInput(form.validFrom),
+        validUntil: fromDateTimeInput(form.validUntil)
+      });
+      toast.success(response.data.message);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update validity.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">{title}</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Outside this window codes cannot be claimed and scans report them as not valid. Leave a date empty to keep that side open.
+        </p>
+        <form onSubmit={handleSubmit}>
+          <label className="block text-sm text-gray-700 mb-1">Valid from</label>
+          <input
+            type="datetime-local"
+            className="border rounded px-3 py-2 w-full mb-2"
+            value={form.validFrom}
+            onChange={e => setForm({ ...form, validFrom: e.target.value })}
+          />
+          <label className="block text-sm text-gray-700 mb-1">Valid until</label>
+          <input
+            type="datetime-local"
+            className="border rounded px-3 py-2 w-full mb-2"
+            value={form.validUntil}
+            onChange={e => setForm({ ...form, validUntil: e.target.value })}
+          />
+          {error && <div className="text-red-600 mb-2">{error}</div>}
+          <button type="submit" disabled={saving} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+            {saving ? 'Saving...' : 'Save Validity'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ValidityModal;
\ No newline at end of file
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { qrCodeAPI } from '../../services/api';
+import CategoryFields from './CategoryFields';
+
+const formatUser = (user) => (user ? `${user.firstName} ${user.lastName}` : 'An admin');
+
+// Codes an admin pre-assigned to the current user or their department, waiting
+// to be acknowledged. `onClaimReceived(claim)` is called when one is acknowledged.
+const AssignedCodes = ({ categories, onClaimReceived }) => {
+  const [assignments, setAssignments] = useState([]);
+  const [acknowledging, setAcknowledging] = useState(null); // assignment being acknowledged
+  const [purpose, setPurpose] = useState('');
+  const [item, setItem] = useState({ category: '', details: {} });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchAssignments = useCallback(async () => {
+    try {
+      const response = await qrCodeAPI.getAssignments();
+      setAssignments(response.data.assignments);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load assigned QR codes');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAssignments();
+  }, [fetchAssignments]);
+
+  // Start from what the admin filled in
+  const openAcknowledge = (qrCode) => {
+    setAcknowledging(qrCode);
+    setPurpose(qrCode.assignment.purpose || '');
+    setItem({ category: qrCode.assignment.category?._id || '', details: {} });
+    setError('');
+  };
+
+  const handleAcknowledge = async (e) => {
+    e.preventDefault();
+    if (!purpose.trim()) return setError('Please enter a purpose for this QR code.');
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await qrCodeAPI.acceptAssignment(acknowledging.code, purpose.trim(), item);
+      toast.success(response.data.message);
+      onClaimReceived && onClaimReceived(response.data.claim);
+      setAcknowledging(null);
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to acknowledge QR code.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async (qrCode) => {
+    if (!window.confirm(`Decline QR code ${qrCode.code}? It will go back to the pool.`)) return;
+    try {
+      const response = await qrCodeAPI.declineAssignment(qrCode.code);
+      toast.success(response.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to decline QR code');
+    }
+    fetchAssignments();
+  };
+
+  if (assignments.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <h4 className="font-semibold mb-2">Assigned to You</h4>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>QR Code</th>
+            <th>Purpose</th>
+            <th>Category</th>
+            <th>For</th>
+            <th>Assigned By</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {assignments.map(qrCode => (
+            <tr key={qrCode._id}>
+              <td className="font-mono text-sm">{qrCode.code}</td>
+              <td className="text-sm">{qrCode.assignment.purpose || '-'}</td>
+              <td className="text-sm">{qrCode.assignment.category?.name || '-'}</td>
+              <td className="text-sm">{qrCode.assignment.user ? 'You' : `${qrCode.assignment.department} department`}</td>
+              <td className="text-sm">
+                {formatUser(qrCode.assignment.assignedBy)}
+                <div className="text-gray-500">{new Date(qrCode.assignment.assignedAt).toLocaleDateString()}</div>
+              </td>
+              <td className="whitespace-nowrap">
+                <button onClick={() => openAcknowledge(qrCode)} className="bg-green-600 text-white px-2 py-1 rounded mr-2 text-sm">Acknowledge</button>
+                {qrCode.assignment.user && (
+                  <button onClick={() => handleDecline(qrCode)} className="bg-red-600 text-white px-2 py-1 rounded text-sm">Decline</button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {acknowledging && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <button className="float-right text-gray-400 hover:text-gray-700" onClick={() => setAcknowledging(null)}>&times;</button>
+            <h3 className="text-lg font-semibold mb-4">Acknowledge {acknowledging.code}</h3>
+            <form onSubmit={handleAcknowledge}>
+              <input
+                type="text"
+                className="border rounded px-3 py-2 w-full mb-2"
+                placeholder="Purpose"
+                value={purpose}
+                onChange={e => setPurpose(e.target.value)}
+                maxLength={200}
+              />
+              {categories.length > 0 && (
+                <CategoryFields categories={categories} value={item} onChange={setItem} />
+              )}
+              {error && <div className="text-red-600 mb-2">{error}</div>}
+              <button type="submit" disabled={submitting} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">
+                {submitting ? 'Saving...' : 'Acknowledge'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssignedCodes;
\ No newline at end of file
@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { toast } from 'react-toastify';
+import { FaFileAlt, FaFilePdf } from 'react-icons/fa';
+import { qrCodeAPI } from '../../services/api';
+import { downloadBlob, getBlobErrorMessage } from '../../utils/download';
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif,application/pdf,text/plain';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Photos, receipts and manuals attached to a claimed code. Files are fetched with
+// the user's token, so they are shown through object URLs rather than direct links.
+const AttachmentGallery = ({ claim, canUpload, onClose }) => {
+  const [attachments, setAttachments] = useState([]);
+  const [maxAttachments, setMaxAttachments] = useState(null);
+  const [maxFileSize, setMaxFileSize] = useState(null);
+  const [thumbnails, setThumbnails] = useState({});
+  const [caption, setCaption] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [viewing, setViewing] = useState(null); // { attachment, url } of the image shown full size
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+  const objectUrls = useRef([]);
+
+  const trackUrl = (blob) => {
+    const url = window.URL.createObjectURL(blob);
+    objectUrls.current.push(url);
+    return url;
+  };
+
+  useEffect(() => {
+    qrCodeAPI.getAttachments(claim._id)
+      .then(response => {
+        setAttachments(response.data.attachments);
+        setMaxAttachments(response.data.maxAttachments);
+        setMaxFileSize(response.data.maxFileSize);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load attachments'));
+  }, [claim._id]);
+
+  // Load thumbnails for images that do not have one yet
+  useEffect(() => {
+    attachments
+      .filter(attachment => attachment.hasThumbnail && thumbnails[attachment._id] === undefined)
+      .forEach(attachment => {
+        setThumbnails(current => ({ ...current, [attachment._id]: null }));
+        qrCodeAPI.getAttachmentThumbnail(claim._id, attachment._id)
+          .then(response => setThumbnails(current => ({ ...current, [attachment._id]: trackUrl(response.data) })))
+          .catch(() => {});
+      });
+  }, [attachments, thumbnails, claim._id]);
+
+  useEffect(() => {
+    const urls = objectUrls.current;
+    return () => urls.forEach(url => window.URL.revokeObjectURL(url));
+  }, []);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    const file = fileInput.current?.files[0];
+    if (!file) return setError('Choose a file to upload.');
+    setUploading(true);
+    try {
+      const response = await qrCodeAPI.uploadAttachment(claim._id, file, caption.trim());
+      setAttachments([...attachments, response.data.attachment]);
+      setCaption('');
+      fileInput.current.value = '';
+      setError('');
+      toast.success(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to upload file.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Images open in the gallery; other files are downloaded
+  const handleOpen = async (attachment, download = attachment.kind !== 'image') => {
+    try {
+      const response = await qrCodeAPI.getAttachmentFile(claim._id, attachment._id);
+      if (download) {
+        downloadBlob(response.data, attachment.originalName);
+      } else {
+        setViewing({ attachment, url: trackUrl(response.data) });
+      }
+    } catch (err) {
+      toast.error(await getBlobErrorMessage(err, 'Failed to open file'));
+    }
+  };
+
+  const handleDownload = (attachment) => handleOpen(attachment, true);
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete ${attachment.originalName}?`)) return;
+    try {
+      await qrCodeAPI.deleteAttachment(claim._id, attachment._id);
+      setAttachments(attachments.filter(a => a._id !== attachment._id));
+      if (viewing?.attachment._id === attachment._id) setViewing(null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete file');
+    }
+  };
+
+  const full = maxAttachments !== null && attachments.length >= maxAttachments;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ maxWidth: '720px', width: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">Files</h3>
+        <p className="text-sm text-gray-600 mb-4">{claim.purpose} ({claim.code})</p>
+
+        {viewing ? (
+          <div className="mb-4">
+            <button onClick={() => setViewing(null)} className="text-sm text-blue-600 mb-2">&larr; Back to all files</button>
+            <img src={viewing.url} alt={viewing.attachment.caption || viewing.attachment.originalName} className="max-w-full mx-auto" style={{ maxHeight: '60vh' }} />
+            <p className="text-sm text-gray-600 mt-2">{viewing.attachment.caption || viewing.attachment.originalName}</p>
+            <button onClick={() => handleDownload(viewing.attachment)} className="text-sm text-blue-600">Download original</button>
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4" style={{ maxHeight: '50vh', overflowY: 'auto' }}>
+            {attachments.map(attachment => (
+              <div key={attachment._id} className="border rounded p-2 text-sm">
+                <button onClick={() => handleOpen(attachment)} className="w-full h-28 bg-gray-100 rounded mb-1 flex items-center justify-center overflow-hidden" title={attachment.kind === 'image' ? 'View' : 'Download'}>
+                  {thumbnails[attachment._id] ? (
+                    <img src={thumbnails[attachment._id]} alt={attachment.caption || attachment.originalName} className="object-cover w-full h-full" />
+                  ) : attachment.mimeType === 'application/pdf' ? (
+                    <FaFilePdf className="text-red-500 text-4xl" />
+                  ) : (
+                    <FaFileAlt className="text-gray-500 text-4xl" />
+                  )}
+                </button>
+                <p className="truncate" title={attachment.originalName}>{attachment.caption || attachment.originalName}</p>
+                <p className="text-xs text-gray-500">
+                  {formatSize(attachment.size)}
+                  {attachment.uploadedBy ? ` · ${attachment.uploadedBy.firstName}` : ''}
+                </p>
+                {attachment.removable && (
+                  <button onClick={() => handleDelete(attachment)} className="text-xs text-red-600 hover:underline">Delete</button>
+                )}
+              </div>
+            ))}
+            {attachments.length === 0 && (
+              <p className="text-sm text-gray-500 col-span-4">No files attached yet</p>
+            )}
+          </div>
+        )}
+
+        {canUpload && !full && (
+          <form onSubmit={handleUpload} className="border-t pt-4">
+            <div className="flex flex-wrap gap-2">
+              <input type="file" ref={fileInput} accept={ACCEPTED_TYPES} className="text-sm" />
+              <input
+                type="text"
+                value={caption}
+                onChange={e => setCaption(e.target.value)}
+                className="border rounded px-3 py-2 flex-1"
+                placeholder="Caption (optional), e.g. Receipt"
+                maxLength={200}
+              />
+              <button type="submit" disabled={uploading} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+                {uploading ? 'Uploading...' : 'Upload'}
+              </button>
+            </div>
+            {maxFileSize && (
+              <p className="text-xs text-gray-500 mt-1">Photos, PDFs or text files up to {formatSize(maxFileSize)}</p>
+            )}
+          </form>
+        )}
+        {canUpload && full && (
+          <p className="text-sm text-gray-500">This code already has the maximum of {maxAttachments} files.</p>
+        )}
+        {error && <p className="text-red-600 text-sm mt-2">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentGallery;
\ No newline at end of file
@@ -0,0 +1,87 @@
+import React from 'react';
+
+const INPUT_TYPES = {
+  text: 'text',
+  number: 'number',
+  date: 'date',
+  serial: 'text'
+};
+
+// Category picker plus a form generated from the chosen category's custom fields.
+// `value` is { category, details } where category is an ID or ''.
+const CategoryFields = ({ categories, value, onChange }) => {
+  const category = categories.find(c => c._id === value.category);
+
+  const setDetail = (key, detail) => {
+    onChange({ ...value, details: { ...value.details, [key]: detail } });
+  };
+
+  return (
+    <div>
+      <select
+        className="border rounded px-3 py-2 w-full mb-2"
+        value={value.category}
+        onChange={e => onChange({ category: e.target.value, details: {} })}
+      >
+        <option value="">No category</option>
+        {categories.map(c => (
+          <option key={c._id} value={c._id}>{c.name}{c.isActive === false ? ' (archived)' : ''}</option>
+        ))}
+      </select>
+      {category && category.fields.map(field => (
+        <div key={field.key} className="mb-2">
+          <label className="block text-sm text-gray-700 mb-1">
+            {field.label}{field.required && <span className="text-red-600"> *</span>}
+          </label>
+          {field.type === 'select' ? (
+            <select
+              className="border rounded px-3 py-2 w-full"
+              value={value.details[field.key] ?? ''}
+              onChange={e => setDetail(field.key, e.target.value)}
+            >
+              <option value="">Choose...</option>
+              {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+            </select>
+          ) : (
+            <input
+              type={INPUT_TYPES[field.type]}
+              className={`border rounded px-3 py-2 w-full ${field.type === 'serial' ? 'font-mono uppercase' : ''}`}
+              value={value.details[field.key] ?? ''}
+              min={field.min ?? undefined}
+              max={field.max ?? undefined}
+              step={field.type === 'number' ? 'any' : undefined}
+              maxLength={field.type === 'text' ? 500 : field.type === 'serial' ? 64 : undefined}
+              onChange={e => setDetail(field.key, e.target.value)}
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Category name and filled-in custom fields of a claim, for lists
+export const CategoryDetails = ({ claim }) => {
+  if (!claim.category) return null;
+  const details = claim.details || {};
+  const filled = claim.category.fields.filter(field => details[field.key] !== undefined && details[field.key] !== '');
+  return (
+    <div className="text-xs text-gray-500 mt-1">
+      <span className="inline-flex px-2 py-0.5 rounded-full bg-gray-100 text-gray-700 mr-1">{claim.category.name}</span>
+      {filled.map(field => (
+        <span key={field.key} className="mr-2">
+          {field.label}: <span className={field.type === 'serial' ? 'font-mono' : ''}>{String(details[field.key])}</span>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+// Categories to offer when editing a claim: the active ones plus the claim's own
+// category if it has since been archived
+export const categoriesFor = (categories, claim) => {
+  if (!claim?.category || categories.some(c => c._id === claim.category._id)) return categories;
+  return [...categories, claim.category];
+};
+
+export default CategoryFields;
\ No newline at end of file
@@ -0,0 +1,68 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { qrCodeAPI } from '../../services/api';
+import GeofenceEditor from './GeofenceEditor';
+import GeofenceAlertList from './GeofenceAlertList';
+
+// Geofences and alerts for one of the current user's claimed codes
+const ClaimGeofences = ({ claim, onClose }) => {
+  const [geofences, setGeofences] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  const fetchGeofences = useCallback(async () => {
+    try {
+      const response = await qrCodeAPI.getGeofences(claim._id);
+      setGeofences(response.data.geofences);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load geofences');
+    } finally {
+      setLoaded(true);
+    }
+  }, [claim._id]);
+
+  useEffect(() => {
+    fetchGeofences();
+  }, [fetchGeofences]);
+
+  const handleCreate = async (fence) => {
+    const response = await qrCodeAPI.createGeofence(claim._id, fence);
+    setGeofences([...geofences, response.data.geofence]);
+    toast.success('Geofence saved');
+  };
+
+  const handleDelete = async (fence) => {
+    if (!window.confirm(`Delete geofence "${fence.name}"?`)) return;
+    try {
+      await qrCodeAPI.deleteGeofence(claim._id, fence._id);
+      setGeofences(geofences.filter(f => f._id !== fence._id));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete geofence');
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ width: '640px', maxWidth: '100%', maxHeight: '90vh', overflowY: 'auto' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">Geofences</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {claim.purpose} ({claim.code}). You are alerted whenever a location update or scan puts it outside an active fence.
+        </p>
+        {loaded && (
+          <GeofenceEditor
+            geofences={geofences}
+            center={claim.location}
+            onCreate={handleCreate}
+            onDelete={handleDelete}
+            canDelete={fence => fence.editable}
+          />
+        )}
+        <div className="mt-6">
+          <GeofenceAlertList loadAlerts={(page) => qrCodeAPI.getAlerts(claim._id, { page })} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClaimGeofences;
\ No newline at end of file
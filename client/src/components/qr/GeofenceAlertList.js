@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const SOURCE_LABELS = {
+  manual: 'Entered manually',
+  geolocation: 'Browser location',
+  scan: 'Scan'
+};
+
+// Paged list of out-of-zone alerts. `loadAlerts(page)` returns the API response
+// and `refreshKey` reloads the first page after fences change.
+const GeofenceAlertList = ({ loadAlerts, refreshKey = 0 }) => {
+  const [alerts, setAlerts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [error, setError] = useState('');
+  // loadAlerts is recreated by the parent on every render
+  const loadAlertsRef = useRef(loadAlerts);
+  loadAlertsRef.current = loadAlerts;
+
+  useEffect(() => {
+    setError('');
+    loadAlertsRef.current(page)
+      .then(response => {
+        setAlerts(response.data.alerts);
+        setPagination(response.data.pagination);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load alerts'));
+  }, [page, refreshKey]);
+
+  return (
+    <div>
+      <h4 className="font-semibold mb-2">Out-of-zone Alerts</h4>
+      {error && <div className="text-red-600 mb-2">{error}</div>}
+      <div className="table-container" style={{ maxHeight: '240px', overflowY: 'auto' }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>When</th>
+              <th>Code</th>
+              <th>Geofence</th>
+              <th>Outside by</th>
+              <th>Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            {alerts.map(alert => (
+              <tr key={alert._id}>
+                <td className="text-sm whitespace-nowrap">{new Date(alert.triggeredAt).toLocaleString()}</td>
+                <td className="font-mono text-sm">{alert.code}</td>
+                <td className="text-sm">{alert.geofenceName}</td>
+                <td className="text-sm">{alert.distance} m</td>
+                <td className="text-sm">{SOURCE_LABELS[alert.source] || alert.source}</td>
+              </tr>
+            ))}
+            {alerts.length === 0 && (
+              <tr>
+                <td colSpan="5" className="text-center text-gray-500">No alerts</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-2">
+          <span className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPrevPage}
+              className="border rounded px-3 py-1 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNextPage}
+              className="border rounded px-3 py-1 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GeofenceAlertList;
\ No newline at end of file
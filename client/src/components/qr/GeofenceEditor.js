@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { MapContainer, TileLayer, Circle, Polygon, Polyline, CircleMarker, Tooltip, useMapEvents } from 'react-leaflet';
+
+const emptyDraft = { name: '', shape: 'circle', center: null, radius: 200, points: [] };
+
+// First point of a fence, used to centre the map
+const fenceAnchor = (fence) => (fence.shape === 'circle' ? fence.center : fence.points[0]);
+
+// Map clicks place the circle centre or add a polygon vertex
+const DrawHandler = ({ draft, setDraft }) => {
+  useMapEvents({
+    click: (e) => {
+      const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+      if (draft.shape === 'circle') {
+        setDraft({ ...draft, center: point });
+      } else {
+        setDraft({ ...draft, points: [...draft.points, point] });
+      }
+    }
+  });
+  return null;
+};
+
+// Draw and list geofences on a Leaflet map.
+// `onCreate(fence)` and `onDelete(fence)` return promises; `canDelete(fence)`
+// decides which fences show a delete button and `onToggle(fence)`, when given,
+// lets fences be switched on and off.
+const GeofenceEditor = ({ geofences, center, onCreate, onDelete, canDelete, onToggle }) => {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const anchor = geofences.length ? fenceAnchor(geofences[0]) : center;
+  const mapCenter = anchor ? [anchor.lat, anchor.lng] : [20, 0];
+
+  const isComplete = draft.shape === 'circle' ? !!draft.center && draft.radius >= 10 : draft.points.length >= 3;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return setError('Give the geofence a name.');
+    if (!isComplete) {
+      return setError(draft.shape === 'circle'
+        ? 'Click the map to place the centre and set a radius of at least 10 metres.'
+        : 'Click the map to add at least 3 corners.');
+    }
+    setSaving(true);
+    setError('');
+    try {
+      await onCreate(draft.shape === 'circle'
+        ? { name: draft.name.trim(), shape: 'circle', center: draft.center, radius: Number(draft.radius) }
+        : { name: draft.name.trim(), shape: 'polygon', points: draft.points });
+      setDraft(emptyDraft);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to save geofence.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <MapContainer center={mapCenter} zoom={anchor ? 15 : 2} style={{ height: '300px', width: '100%' }}>
+        <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+        <DrawHandler draft={draft} setDraft={setDraft} />
+        {geofences.map(fence => {
+          const pathOptions = { color: fence.active ? '#16a34a' : '#9ca3af', weight: 2 };
+          return fence.shape === 'circle' ? (
+            <Circle key={fence._id} center={[fence.center.lat, fence.center.lng]} radius={fence.radius} pathOptions={pathOptions}>
+              <Tooltip>{fence.name}</Tooltip>
+            </Circle>
+          ) : (
+            <Polygon key={fence._id} positions={fence.points.map(point => [point.lat, point.lng])} pathOptions={pathOptions}>
+              <Tooltip>{fence.name}</Tooltip>
+            </Polygon>
+          );
+        })}
+        {draft.shape === 'circle' && draft.center && (
+          <Circle center={[draft.center.lat, draft.center.lng]} radius={Number(draft.radius) || 0} pathOptions={{ color: '#2563eb', dashArray: '4' }} />
+        )}
+        {draft.shape === 'polygon' && draft.points.length > 0 && (
+          <>
+            <Polyline positions={draft.points.map(point => [point.lat, point.lng])} pathOptions={{ color: '#2563eb', dashArray: '4' }} />
+            {draft.points.map((point, index) => (
+              <CircleMarker key={index} center={[point.lat, point.lng]} radius={4} pathOptions={{ color: '#2563eb' }} />
+            ))}
+          </>
+        )}
+      </MapContainer>
+
+      <form onSubmit={handleSave} className="mt-3">
+        <div className="flex flex-wrap gap-2 mb-2">
+          <input type="text" maxLength={100} placeholder="Geofence name" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className="border rounded px-2 py-1 flex-1" />
+          <select value={draft.shape} onChange={e => setDraft({ ...emptyDraft, name: draft.name, shape: e.target.value })} className="border rounded px-2 py-1">
+            <option value="circle">Circle</option>
+            <option value="polygon">Polygon</option>
+          </select>
+          {draft.shape === 'circle' && (
+            <input type="number" min="10" max="100000" value={draft.radius} onChange={e => setDraft({ ...draft, radius: e.target.value })} className="border rounded px-2 py-1 w-28" title="Radius in metres" />
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          {draft.shape === 'circle'
+            ? 'Click the map to place the centre; the radius is in metres.'
+            : `Click the map to add corners (${draft.points.length} so far).`}
+        </p>
+        {error && <div className="text-red-600 mb-2">{error}</div>}
+        <button type="submit" disabled={saving} className="bg-green-600 text-white px-3 py-1 rounded mr-2">
+          {saving ? 'Saving...' : 'Save Geofence'}
+        </button>
+        <button type="button" onClick={() => setDraft({ ...emptyDraft, name: draft.name, shape: draft.shape })} className="border px-3 py-1 rounded">Clear</button>
+      </form>
+
+      <ul className="mt-4 divide-y">
+        {geofences.map(fence => (
+          <li key={fence._id} className="flex items-center justify-between py-2 text-sm">
+            <span>
+              <span className="font-medium">{fence.name}</span>
+              <span className="text-gray-500 ml-2">
+                {fence.shape === 'circle' ? `circle, ${fence.radius} m` : `polygon, ${fence.points.length} corners`}
+                {fence.batch ? ' (whole batch)' : ''}
+                {!fence.active ? ' (off)' : ''}
+              </span>
+            </span>
+            <span>
+              {onToggle && (
+                <button onClick={() => onToggle(fence)} className="border px-2 py-1 rounded mr-2">{fence.active ? 'Turn Off' : 'Turn On'}</button>
+              )}
+              {canDelete(fence) && (
+                <button onClick={() => onDelete(fence)} className="bg-red-500 text-white px-2 py-1 rounded">Delete</button>
+              )}
+            </span>
+          </li>
+        ))}
+        {geofences.length === 0 && (
+          <li className="py-2 text-sm text-gray-500">No geofences yet</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default GeofenceEditor;
\ No newline at end of file
@@ -0,0 +1,95 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Circle, Popup, useMap } from 'react-leaflet';
+import { qrCodeAPI } from '../../services/api';
+
+const SOURCE_LABELS = {
+  manual: 'Entered manually',
+  geolocation: 'Browser location',
+  scan: 'Scan (approximate)'
+};
+
+// Zoom the map to show the whole trail whenever it changes
+const FitToTrail = ({ positions }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (positions.length === 1) {
+      map.setView(positions[0], 15);
+    } else if (positions.length > 1) {
+      map.fitBounds(positions, { padding: [20, 20] });
+    }
+  }, [map, positions]);
+  return null;
+};
+
+const LocationTrailMap = ({ claim, onClose }) => {
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [points, setPoints] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    const params = Object.fromEntries(Object.entries(range).filter(([, value]) => value !== ''));
+    qrCodeAPI.getLocations(claim._id, params)
+      .then(response => {
+        setPoints(response.data.points);
+        setTruncated(response.data.truncated);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load location history'))
+      .finally(() => setLoading(false));
+  }, [claim._id, range]);
+
+  const positions = useMemo(() => points.map(point => [point.lat, point.lng]), [points]);
+  const latest = points[points.length - 1];
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ width: '560px', maxWidth: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">Location History</h3>
+        <p className="text-sm text-gray-600 mb-2">{claim.purpose} ({claim.code})</p>
+        <div className="flex gap-2 mb-2">
+          <input type="date" value={range.from} onChange={e => setRange({ ...range, from: e.target.value })} className="border rounded px-2 py-1" />
+          <span className="self-center text-gray-500">to</span>
+          <input type="date" value={range.to} onChange={e => setRange({ ...range, to: e.target.value })} className="border rounded px-2 py-1" />
+        </div>
+        {error && <div className="text-red-600 mb-2">{error}</div>}
+        {truncated && (
+          <div className="text-sm text-yellow-700 mb-2">Showing the most recent {points.length} points. Narrow the dates to see older ones.</div>
+        )}
+        {!loading && points.length === 0 ? (
+          <div className="text-gray-600">No locations recorded for this period. Use Enter Location to add one.</div>
+        ) : (
+          <MapContainer center={latest ? [latest.lat, latest.lng] : [0, 0]} zoom={15} style={{ height: '320px', width: '100%' }}>
+            <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+            <FitToTrail positions={positions} />
+            {positions.length > 1 && <Polyline positions={positions} pathOptions={{ color: '#3b82f6', weight: 3 }} />}
+            {latest?.accuracy > 0 && (
+              <Circle center={[latest.lat, latest.lng]} radius={latest.accuracy} pathOptions={{ color: '#ef4444', weight: 1, fillOpacity: 0.1 }} />
+            )}
+            {points.map((point, index) => (
+              <CircleMarker
+                key={point._id}
+                center={[point.lat, point.lng]}
+                radius={point === latest ? 8 : 5}
+                pathOptions={{ color: point === latest ? '#ef4444' : '#1d4ed8', fillOpacity: 0.9 }}
+              >
+                <Popup>
+                  <div className="text-sm">
+                    <div className="font-medium">{index === 0 ? 'First: ' : point === latest ? 'Latest: ' : ''}{new Date(point.recordedAt).toLocaleString()}</div>
+                    <div>{SOURCE_LABELS[point.source] || point.source}</div>
+                    {point.accuracy !== undefined && <div>Accurate to about {Math.round(point.accuracy)} m</div>}
+                  </div>
+                </Popup>
+              </CircleMarker>
+            ))}
+          </MapContainer>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LocationTrailMap;
\ No newline at end of file
@@ -0,0 +1,102 @@
+import React from 'react';
+import { retryQueued, discardQueued } from '../../utils/offlineQueue';
+import { codeFromPayload } from '../../utils/qrCode';
+
+const KIND_LABELS = {
+  scan: 'Scan',
+  claim: 'Claim',
+  location: 'Location update'
+};
+
+// Retry and discard buttons for a change that failed to sync. A location that
+// conflicts with a newer one can also be sent again to replace it.
+const FailedActions = ({ entry }) => (
+  <span className="whitespace-nowrap">
+    {entry.error?.code === 'LOCATION_CONFLICT' ? (
+      <button onClick={() => retryQueued(entry.id, true)} className="text-blue-600 text-xs mr-2">Use mine</button>
+    ) : (
+      <button onClick={() => retryQueued(entry.id)} className="text-blue-600 text-xs mr-2">Retry</button>
+    )}
+    <button onClick={() => discardQueued(entry.id)} className="text-red-600 text-xs">Discard</button>
+  </span>
+);
+
+// Pending or failed indicator for the queued changes to one claim
+export const QueueBadge = ({ entries }) => {
+  if (entries.length === 0) return null;
+  const failed = entries.filter(entry => entry.status === 'failed');
+  const pending = entries.length - failed.length;
+  return (
+    <div className="mt-1 space-y-1">
+      {pending > 0 && (
+        <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+          {pending} waiting to sync
+        </span>
+      )}
+      {failed.map(entry => (
+        <div key={entry.id} className="text-xs">
+          <span className="inline-flex px-2 py-0.5 font-medium rounded-full bg-red-100 text-red-800 mr-1" title={entry.error?.message}>
+            Sync failed
+          </span>
+          <span className="text-gray-600 mr-2">{entry.error?.message}</span>
+          <FailedActions entry={entry} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Connection status and the queued scans and claims, which have no row of their own yet
+const OfflineQueuePanel = ({ entries, online }) => {
+  const unattached = entries.filter(entry => entry.kind !== 'location');
+  if (online && entries.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <div className={`px-3 py-2 rounded text-sm mb-2 ${online ? 'bg-blue-100 text-blue-800' : 'bg-yellow-100 text-yellow-800'}`}>
+        {online
+          ? `${entries.length} offline change${entries.length === 1 ? '' : 's'} to sync`
+          : 'You are offline. Scans, claims and location updates will be saved and synced when the connection returns.'}
+      </div>
+      {unattached.length > 0 && (
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Change</th>
+              <th>QR Code</th>
+              <th>Purpose</th>
+              <th>Captured</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {unattached.map(entry => {
+              const payload = entry.kind === 'claim' ? entry.body.code : entry.body.payload;
+              return (
+                <tr key={entry.id}>
+                  <td>{KIND_LABELS[entry.kind]}</td>
+                  <td className="font-mono break-all">{codeFromPayload(payload) || payload}</td>
+                  <td>{entry.body.purpose || '-'}</td>
+                  <td className="text-sm">{new Date(entry.body.scannedAt || entry.queuedAt).toLocaleString()}</td>
+                  <td>
+                    {entry.status === 'failed' ? (
+                      <div className="text-xs">
+                        <span className="inline-flex px-2 py-0.5 font-medium rounded-full bg-red-100 text-red-800 mr-1">Sync failed</span>
+                        <span className="text-gray-600 mr-2">{entry.error?.message}</span>
+                        <FailedActions entry={entry} />
+                      </div>
+                    ) : (
+                      <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">Waiting to sync</span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default OfflineQueuePanel;
\ No newline at end of file
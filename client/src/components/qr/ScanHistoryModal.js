@@ -0,0 +1,123 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const SOURCE_LABELS = {
+  scanner: 'Camera scan',
+  upload: 'Image upload',
+  public: 'Public page',
+  audit: 'Audit (marked present)'
+};
+
+const SIGNATURE_COLORS = {
+  valid: 'bg-green-100 text-green-800',
+  unsigned: 'bg-yellow-100 text-yellow-800',
+  forged: 'bg-red-100 text-red-800'
+};
+
+// Short device description from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown';
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ') || 'Unknown';
+};
+
+// `loadScans(page)` returns the API response for one page of scans.
+// Owner views get `scannedByYou` instead of the scanning user.
+const ScanHistoryModal = ({ title, loadScans, onClose }) => {
+  const [scans, setScans] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // loadScans is recreated by the parent on every render; only the page matters here
+  const loadScansRef = useRef(loadScans);
+  loadScansRef.current = loadScans;
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    loadScansRef.current(page)
+      .then(response => {
+        setScans(response.data.scans);
+        setPagination(response.data.pagination);
+      })
+      .catch(err => setError(err.response?.data?.message || 'Failed to load scan history'))
+      .finally(() => setLoading(false));
+  }, [page]);
+
+  const describeScanner = (scan) => {
+    if (scan.scannedByYou !== undefined) return scan.scannedByYou ? 'You' : 'Someone else';
+    return scan.user ? `${scan.user.firstName} ${scan.user.lastName}` : 'Anonymous';
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ maxWidth: '720px', width: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-4">{title}</h3>
+        {error && <div className="text-red-600 mb-2">{error}</div>}
+        <div className="table-container" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Source</th>
+                <th>Signature</th>
+                <th>By</th>
+                <th>Location</th>
+                <th>Device</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scans.map(scan => (
+                <tr key={scan._id}>
+                  <td className="text-sm whitespace-nowrap">{new Date(scan.scannedAt).toLocaleString()}</td>
+                  <td className="text-sm">{SOURCE_LABELS[scan.source] || scan.source}</td>
+                  <td>
+                    <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${SIGNATURE_COLORS[scan.signature]}`}>
+                      {scan.signature}
+                    </span>
+                  </td>
+                  <td className="text-sm">{describeScanner(scan)}</td>
+                  <td className="text-sm">{scan.location?.lat !== undefined ? `~${scan.location.lat}, ${scan.location.lng}` : 'N/A'}</td>
+                  <td className="text-sm" title={scan.userAgent}>{describeDevice(scan.userAgent)}</td>
+                </tr>
+              ))}
+              {!loading && scans.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="text-center text-gray-500">No scans recorded yet</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between mt-4">
+            <span className="text-sm text-gray-600">
+              Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalScans} scans)
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={!pagination.hasPrevPage}
+                className="border rounded px-3 py-1 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={!pagination.hasNextPage}
+                className="border rounded px-3 py-1 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScanHistoryModal;
\ No newline at end of file
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { qrCodeAPI } from '../../services/api';
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Can see its location, history and scans',
+  'co-owner': 'Can also edit its purpose and location'
+};
+
+// Manage who one of the user's claimed codes is shared with
+const ShareModal = ({ claim, onClose }) => {
+  const [shares, setShares] = useState([]);
+  const [form, setForm] = useState({ email: '', role: 'viewer' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    qrCodeAPI.getShares(claim._id)
+      .then(response => setShares(response.data.shares))
+      .catch(err => setError(err.response?.data?.message || 'Failed to load shares'));
+  }, [claim._id]);
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (!form.email.trim()) return setError('Email is required.');
+    try {
+      const response = await qrCodeAPI.shareCode(claim._id, form.email.trim(), form.role);
+      setShares(response.data.shares);
+      setForm({ email: '', role: form.role });
+      setError('');
+      toast.success(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to share QR code.');
+    }
+  };
+
+  const handleRoleChange = async (share, role) => {
+    try {
+      const response = await qrCodeAPI.shareCode(claim._id, share.user.email, role);
+      setShares(response.data.shares);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (share) => {
+    try {
+      await qrCodeAPI.unshareCode(claim._id, share.user._id);
+      setShares(shares.filter(s => s.user._id !== share.user._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove access');
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">Share QR Code</h3>
+        <p className="text-sm text-gray-600 mb-4">{claim.purpose} ({claim.code})</p>
+        <form onSubmit={handleShare} className="mb-4">
+          <input type="email" className="border rounded px-3 py-2 w-full mb-2" placeholder="User email" value={form.email} onChange={e => setForm({ ...form, email: e.target.value })} />
+          <select className="border rounded px-3 py-2 w-full mb-1" value={form.role} onChange={e => setForm({ ...form, role: e.target.value })}>
+            <option value="viewer">Viewer</option>
+            <option value="co-owner">Co-owner</option>
+          </select>
+          <p className="text-xs text-gray-500 mb-2">{ROLE_DESCRIPTIONS[form.role]}</p>
+          {error && <div className="text-red-600 mb-2">{error}</div>}
+          <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Share</button>
+        </form>
+        <ul className="divide-y">
+          {shares.map(share => (
+            <li key={share.user._id} className="flex items-center justify-between py-2 text-sm">
+              <span>{share.user.firstName} {share.user.lastName} ({share.user.email})</span>
+              <span className="whitespace-nowrap">
+                <select value={share.role} onChange={e => handleRoleChange(share, e.target.value)} className="border rounded px-2 py-1 mr-2">
+                  <option value="viewer">Viewer</option>
+                  <option value="co-owner">Co-owner</option>
+                </select>
+                <button onClick={() => handleRemove(share)} className="bg-red-500 text-white px-2 py-1 rounded">Remove</button>
+              </span>
+            </li>
+          ))}
+          {shares.length === 0 && (
+            <li className="py-2 text-sm text-gray-500">Not shared with anyone</li>
+          )}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ShareModal;
\ No newline at end of file
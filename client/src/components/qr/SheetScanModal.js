@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import { qrCodeAPI } from '../../services/api';
+import { codeFromPayload } from '../../utils/qrCode';
+import { getKnownPosition } from '../../utils/geolocation';
+import { decodeAllInImage, sortSymbols } from '../../utils/qrSheet';
+
+const TONES = {
+  good: 'bg-green-100 text-green-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  bad: 'bg-red-100 text-red-800'
+};
+
+const BOX_TONES = {
+  good: 'border-green-500',
+  warning: 'border-yellow-500',
+  bad: 'border-red-500'
+};
+
+const HOLDER_LABELS = {
+  you: 'yours',
+  shared: 'shared with you',
+  other: 'claimed by someone else'
+};
+
+// Outcome of a bulk verify for one payload, as { tone, label }
+const describeVerification = (result, audit) => {
+  if (!result.accepted) {
+    const labels = { forged: 'Signature check failed', unsigned: 'Unsigned code, not accepted', invalid: 'Not an Addwise QR code' };
+    return { tone: 'bad', label: labels[result.signature] };
+  }
+  if (!result.registered) return { tone: 'bad', label: 'Not registered' };
+  const holder = HOLDER_LABELS[result.holder] || 'unclaimed';
+  const status = (['claimed', 'unassigned'].includes(result.status) ? '' : `, ${result.status}`) +
+    (result.validity === 'pending' ? ', not valid yet' : '');
+  return {
+    tone: result.signature === 'unsigned' || status ? 'warning' : 'good',
+    label: `${audit ? 'Marked present' : 'Verified'} (${holder}${status})`
+  };
+};
+
+// Find every QR code in one photo, such as a label sheet or a shelf, and verify,
+// mark present or claim them together
+const SheetScanModal = ({ onClose, onClaimed }) => {
+  const [file, setFile] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [imageSize, setImageSize] = useState(null); // natural size, once the browser has loaded the photo
+  const [symbols, setSymbols] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [results, setResults] = useState({}); // payload -> { tone, label }
+  const [decoding, setDecoding] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [purpose, setPurpose] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => () => imageUrl && URL.revokeObjectURL(imageUrl), [imageUrl]);
+
+  const showSymbols = (found) => {
+    setSymbols(found);
+    setSelected(found.map(symbol => symbol.payload));
+  };
+
+  // Ask the server, which preprocesses the photo, for codes the browser missed
+  const searchOnServer = async (image, known) => {
+    setDecoding(true);
+    try {
+      const response = await qrCodeAPI.decodeImage(image, true);
+      const added = response.data.symbols.filter(symbol => !known.some(k => k.payload === symbol.payload));
+      showSymbols(sortSymbols([...known, ...added]));
+      if (known.length > 0) {
+        toast.info(added.length > 0 ? `Found ${added.length} more QR code${added.length === 1 ? '' : 's'}` : 'No more QR codes found');
+      }
+    } catch (err) {
+      if (known.length === 0) {
+        setError(err.response?.data?.message || 'Could not find any QR codes in this image.');
+      } else {
+        toast.error(err.response?.data?.message || 'Failed to search the image on the server');
+      }
+    } finally {
+      setDecoding(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const image = e.target.files[0];
+    if (!image) return;
+    setFile(image);
+    setImageUrl(URL.createObjectURL(image));
+    setImageSize(null);
+    setSymbols([]);
+    setSelected([]);
+    setResults({});
+    setError('');
+  };
+
+  // Decode in the browser once the photo has loaded, falling back to the server
+  const handleImageLoad = (e) => {
+    const img = e.target;
+    setImageSize({ width: img.naturalWidth, height: img.naturalHeight });
+    let found = [];
+    try {
+      found = decodeAllInImage(img);
+    } catch (err) {
+      // Very large photos can exceed the browser's canvas limits
+    }
+    if (found.length > 0) {
+      showSymbols(found);
+    } else {
+      searchOnServer(file, []);
+    }
+  };
+
+  const toggle = (payload) => {
+    setSelected(selected.includes(payload) ? selected.filter(p => p !== payload) : [...selected, payload]);
+  };
+
+  const handleVerify = async (audit) => {
+    setBusy(true);
+    setError('');
+    try {
+      const location = await getKnownPosition();
+      const response = await qrCodeAPI.verifyPayloads(selected, { source: 'upload', audit, location: location || undefined });
+      const described = Object.fromEntries(response.data.results.map(result => [result.payload, describeVerification(result, audit)]));
+      setResults({ ...results, ...described });
+      toast.success(audit
+        ? `Marked ${response.data.recorded} QR code${response.data.recorded === 1 ? '' : 's'} present`
+        : `Verified ${response.data.results.length} QR code${response.data.results.length === 1 ? '' : 's'}`);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to verify QR codes.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleClaim = async () => {
+    if (!purpose.trim()) return setError('Enter a purpose for the codes you claim.');
+    setBusy(true);
+    setError('');
+    try {
+      const response = await qrCodeAPI.claimCodes(selected, purpose.trim(), 'upload');
+      const described = Object.fromEntries(response.data.results.map(result => [
+        result.input,
+        result.claimed ? { tone: 'good', label: 'Claimed' } : { tone: 'bad', label: result.error.message }
+      ]));
+      setResults({ ...results, ...described });
+      // Claimed codes need no further action
+      setSelected(selected.filter(payload => !described[payload]?.label.startsWith('Claimed')));
+      onClaimed(response.data.claims);
+      toast.success(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to claim QR codes.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" style={{ maxWidth: '900px', width: '100%' }}>
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">Scan a Sheet</h3>
+        <p className="text-sm text-gray-600 mb-4">Upload one photo of a label sheet or shelf to find every QR code in it.</p>
+        <input type="file" accept="image/*" onChange={handleFileChange} className="mb-4" disabled={decoding || busy} />
+
+        <div style={{ maxHeight: '65vh', overflowY: 'auto' }}>
+          {imageUrl && (
+            <div className="relative inline-block mb-4">
+              <img src={imageUrl} alt="Uploaded sheet" className="max-w-full" style={{ maxHeight: '45vh' }} onLoad={handleImageLoad} onError={() => searchOnServer(file, [])} />
+              {imageSize && symbols.map((symbol, idx) => (
+                <div
+                  key={symbol.payload}
+                  className={`absolute border-2 ${BOX_TONES[results[symbol.payload]?.tone] || 'border-blue-500'} ${selected.includes(symbol.payload) ? '' : 'opacity-40'}`}
+                  style={{
+                    left: `${symbol.box.x / imageSize.width * 100}%`,
+                    top: `${symbol.box.y / imageSize.height * 100}%`,
+                    width: `${symbol.box.width / imageSize.width * 100}%`,
+                    height: `${symbol.box.height / imageSize.height * 100}%`
+                  }}
+                >
+                  <span className="absolute bg-blue-600 text-white text-xs px-1" style={{ top: 0, left: 0 }}>{idx + 1}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {decoding && <p className="text-gray-500 mb-2">Searching the image for QR codes...</p>}
+
+          {symbols.length > 0 && (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>
+                    <input
+                      type="checkbox"
+                      checked={selected.length === symbols.length}
+                      onChange={e => setSelected(e.target.checked ? symbols.map(symbol => symbol.payload) : [])}
+                    />
+                  </th>
+                  <th>#</th>
+                  <th>QR Code</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {symbols.map((symbol, idx) => (
+                  <tr key={symbol.payload}>
+                    <td><input type="checkbox" checked={selected.includes(symbol.payload)} onChange={() => toggle(symbol.payload)} /></td>
+                    <td>{idx + 1}</td>
+                    <td className="font-mono break-all">
+                      {codeFromPayload(symbol.payload) || symbol.payload}
+                      {symbol.confidence !== undefined && symbol.confidence < 1 && (
+                        <span className="text-xs text-yellow-700 ml-2" title="Only some of the image filters could read this code">hard to read</span>
+                      )}
+                    </td>
+                    <td>
+                      {results[symbol.payload] && (
+                        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${TONES[results[symbol.payload].tone]}`}>
+                          {results[symbol.payload].label}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {symbols.length > 0 && (
+          <div className="mt-4">
+            <div className="flex flex-wrap gap-2 mb-2">
+              <button onClick={() => handleVerify(false)} disabled={busy || selected.length === 0} className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">
+                Verify ({selected.length})
+              </button>
+              <button onClick={() => handleVerify(true)} disabled={busy || selected.length === 0} className="bg-teal-600 text-white px-3 py-1 rounded hover:bg-teal-700">
+                Mark Present ({selected.length})
+              </button>
+              <button onClick={() => searchOnServer(file, symbols)} disabled={busy || decoding} className="border px-3 py-1 rounded">
+                Look for more codes
+              </button>
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                className="border rounded px-3 py-1 flex-1"
+                placeholder="Purpose for the claimed codes"
+                value={purpose}
+                onChange={e => setPurpose(e.target.value)}
+                maxLength={200}
+              />
+              <button onClick={handleClaim} disabled={busy || selected.length === 0} className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700">
+                Claim ({selected.length})
+              </button>
+            </div>
+          </div>
+        )}
+        {error && <div className="text-red-600 mt-2">{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default SheetScanModal;
\ No newline at end of file
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { toast } from 'react-toastify';
+import { qrCodeAPI } from '../../services/api';
+
+const STATUS_COLORS = {
+  pending: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  forced: 'bg-purple-100 text-purple-800',
+  declined: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  expired: 'bg-gray-100 text-gray-800'
+};
+
+const formatUser = (user) => (user ? `${user.firstName} ${user.lastName} (${user.email})` : 'Unknown user');
+
+// Incoming and outgoing ownership transfers for the current user.
+// `onClaimReceived(claim)` is called when an incoming transfer is accepted and
+// `refreshKey` reloads the lists after a new transfer is offered.
+const TransferLists = ({ onClaimReceived, refreshKey = 0 }) => {
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+
+  const fetchTransfers = useCallback(async () => {
+    try {
+      const response = await qrCodeAPI.getTransfers();
+      setIncoming(response.data.incoming);
+      setOutgoing(response.data.outgoing);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load transfers');
+    }
+  }, []);
+
+  // refreshKey lets the parent force a reload
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers, refreshKey]);
+
+  const handleAction = async (transfer, action) => {
+    try {
+      const request = {
+        accept: qrCodeAPI.acceptTransfer,
+        decline: qrCodeAPI.declineTransfer,
+        cancel: qrCodeAPI.cancelTransfer
+      }[action];
+      const response = await request(transfer._id);
+      toast.success(response.data.message);
+      if (response.data.claim) {
+        onClaimReceived && onClaimReceived(response.data.claim);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} transfer`);
+    }
+    fetchTransfers();
+  };
+
+  const renderRows = (transfers, direction) => transfers.map(transfer => (
+    <tr key={transfer._id}>
+      <td className="font-mono text-sm">{transfer.code}</td>
+      <td className="text-sm">{transfer.purpose}</td>
+      <td className="text-sm">{formatUser(direction === 'incoming' ? transfer.fromUser : transfer.toUser)}</td>
+      <td>
+        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_COLORS[transfer.status]}`}>
+          {transfer.status}
+        </span>
+        {transfer.status === 'pending' && (
+          <div className="text-xs text-gray-500">until {new Date(transfer.expiresAt).toLocaleDateString()}</div>
+        )}
+      </td>
+      <td className="text-sm">{transfer.message || ''}</td>
+      <td className="whitespace-nowrap">
+        {transfer.status === 'pending' && direction === 'incoming' && (
+          <>
+            <button onClick={() => handleAction(transfer, 'accept')} className="bg-green-600 text-white px-2 py-1 rounded mr-2 text-sm">Accept</button>
+            <button onClick={() => handleAction(transfer, 'decline')} className="bg-red-500 text-white px-2 py-1 rounded text-sm">Decline</button>
+          </>
+        )}
+        {transfer.status === 'pending' && direction === 'outgoing' && (
+          <button onClick={() => handleAction(transfer, 'cancel')} className="bg-gray-500 text-white px-2 py-1 rounded text-sm">Cancel</button>
+        )}
+      </td>
+    </tr>
+  ));
+
+  const renderTable = (title, transfers, direction) => (
+    <div className="mt-6">
+      <h4 className="font-semibold mb-2">{title}</h4>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>QR Code</th>
+            <th>Purpose</th>
+            <th>{direction === 'incoming' ? 'From' : 'To'}</th>
+            <th>Status</th>
+            <th>Message</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {renderRows(transfers, direction)}
+          {transfers.length === 0 && (
+            <tr>
+              <td colSpan="6" className="text-center text-gray-500">No transfers</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  if (incoming.length === 0 && outgoing.length === 0) return null;
+
+  return (
+    <>
+      {renderTable('Incoming Transfers', incoming, 'incoming')}
+      {renderTable('Outgoing Transfers', outgoing, 'outgoing')}
+    </>
+  );
+};
+
+export default TransferLists;
\ No newline at end of file
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { qrCodeAPI } from '../../services/api';
+
+// Offer one of the user's claimed codes to someone else
+const TransferModal = ({ claim, onClose, onOffered }) => {
+  const [form, setForm] = useState({ email: '', message: '', expiresInDays: 7 });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.email.trim()) return setError('Recipient email is required.');
+    setSubmitting(true);
+    try {
+      const response = await qrCodeAPI.offerTransfer({
+        claimId: claim._id,
+        email: form.email.trim(),
+        message: form.message.trim() || undefined,
+        expiresInDays: Number(form.expiresInDays)
+      });
+      toast.success(response.data.message);
+      onOffered && onOffered(response.data.transfer);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to offer transfer.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content">
+        <button className="float-right text-gray-400 hover:text-gray-700" onClick={onClose}>&times;</button>
+        <h3 className="text-lg font-semibold mb-2">Transfer QR Code</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          {claim.purpose} ({claim.code}) moves to the recipient once they accept. Your location history, public card and geofences for it are not transferred.
+        </p>
+        <form onSubmit={handleSubmit}>
+          <input type="email" className="border rounded px-3 py-2 w-full mb-2" placeholder="Recipient email" value={form.email} onChange={e => setForm({ ...form, email: e.target.value })} />
+          <textarea className="border rounded px-3 py-2 w-full mb-2" rows={2} maxLength={500} placeholder="Message (optional)" value={form.message} onChange={e => setForm({ ...form, message: e.target.value })} />
+          <label className="block text-sm text-gray-700 mb-1">Offer expires after (days)</label>
+          <input type="number" min="1" max="30" className="border rounded px-3 py-2 w-full mb-2" value={form.expiresInDays} onChange={e => setForm({ ...form, expiresInDays: e.target.value })} />
+          {error && <div className="text-red-600 mb-2">{error}</div>}
+          <button type="submit" disabled={submitting} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">
+            {submitting ? 'Sending...' : 'Offer Transfer'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TransferModal;
\ No newline at end of file
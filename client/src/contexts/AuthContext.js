@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import api from '../services/api';
+import { keepQueuedFor, clearQueued } from '../utils/offlineQueue';
 
 // Initial state
 const initialState = {
@@ -87,6 +88,12 @@ export const AuthProvider = ({ children }) => {
     loadUser();
   }, []);
 
+  // Changes queued offline by another user are dropped once someone signs in.
+  // A failed or offline auth check keeps them so they can sync after sign-in.
+  useEffect(() => {
+    if (state.user?._id) keepQueuedFor(state.user._id);
+  }, [state.user?._id]);
+
   // Load user from token
   const loadUser = async () => {
     if (!state.token) {
@@ -155,6 +162,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
+      clearQueued();
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
       toast.info('Logged out successfully');
       
@@ -2,10 +2,13 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { registerOfflineQueue } from './utils/offlineQueue';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-); 
\ No newline at end of file
+);
+
+registerOfflineQueue(); 
\ No newline at end of file
@@ -1,68 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { FaUsers, FaChartBar, FaCog } from 'react-icons/fa';
-import { QRCodeCanvas } from 'qrcode.react';
-import { adminAPI } from '../services/api';
+import QrBatches from '../components/admin/QrBatches';
+import QrInventory from '../components/admin/QrInventory';
+import QrAnalytics from '../components/admin/QrAnalytics';
+import ItemCategories from '../components/admin/ItemCategories';
 
 const AdminDashboard = () => {
-  const [qrCount, setQrCount] = useState(1);
-  const [codes, setCodes] = useState([]);
-
-  useEffect(() => {
-    const savedCodes = localStorage.getItem('admin_qr_codes');
-    if (savedCodes) {
-      setCodes(JSON.parse(savedCodes));
-    }
-  }, []);
-
-  const saveCodes = (codesArr) => {
-    localStorage.setItem('admin_qr_codes', JSON.stringify(codesArr));
-  };
-
-  // Helper to generate a 16-digit unique code
-  const generateUniqueCode = () => {
-    let code = '';
-    for (let i = 0; i < 16; i++) {
-      code += Math.floor(Math.random() * 10);
-    }
-    return code;
-  };
-
-  const handleGenerate = async () => {
-    const newCodes = [];
-    for (let i = 0; i < qrCount; i++) {
-      newCodes.push(generateUniqueCode());
-    }
-    try {
-      // Save to backend
-      const response = await adminAPI.saveQrCodes(newCodes);
-      const savedCodes = response.data.codes.map(qr => qr.code);
-      const updatedCodes = [...codes, ...savedCodes];
-      setCodes(updatedCodes);
-      // Optionally, you can still save to localStorage for offline use
-      saveCodes(updatedCodes);
-    } catch (error) {
-      // Handle error (e.g., show toast)
-      console.error('Failed to save QR codes:', error);
-    }
-  };
-
-  const handleDelete = (idx) => {
-    const updatedCodes = codes.filter((_, i) => i !== idx);
-    setCodes(updatedCodes);
-    saveCodes(updatedCodes);
-  };
-
-  // Download QR as image
-  const downloadQR = (code, idx) => {
-    const canvas = document.getElementById(`qr-canvas-${idx}`);
-    const pngUrl = canvas.toDataURL('image/png');
-    const downloadLink = document.createElement('a');
-    downloadLink.href = pngUrl;
-    downloadLink.download = `${code}.png`;
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
-    document.body.removeChild(downloadLink);
-  };
+  const [batchFilter, setBatchFilter] = useState('');
+  const [inventoryVersion, setInventoryVersion] = useState(0);
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -110,54 +55,20 @@ const AdminDashboard = () => {
           </div>
         </div>
 
-        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Generate QR Codes</h2>
-          <div className="flex items-center mb-4 gap-4">
-            <input
-              type="number"
-              min="1"
-              max="100"
-              value={qrCount}
-              onChange={e => setQrCount(Math.max(1, Math.min(100, Number(e.target.value))))}
-              className="border rounded px-3 py-2 w-32"
-              placeholder="Number of QRs"
-            />
-            <button
-              onClick={handleGenerate}
-              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
-            >
-              Generate
-            </button>
-          </div>
-          {codes.length > 0 && (
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
-              {codes.map((code, idx) => (
-                <div key={code} className="flex flex-col items-center bg-gray-100 p-4 rounded shadow">
-                  <QRCodeCanvas
-                    id={`qr-canvas-${idx}`}
-                    value={code}
-                    size={160}
-                    level="H"
-                    includeMargin={true}
-                  />
-                  <div className="mt-2 font-mono text-sm">{code}</div>
-                  <button
-                    onClick={() => downloadQR(code, idx)}
-                    className="mt-2 bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700"
-                  >
-                    Download
-                  </button>
-                  <button
-                    onClick={() => handleDelete(idx)}
-                    className="mt-2 bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700"
-                  >
-                    Delete
-                  </button>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+        <QrAnalytics />
+
+        <QrBatches
+          onViewCodes={setBatchFilter}
+          onBatchesChanged={() => setInventoryVersion(version => version + 1)}
+        />
+
+        <QrInventory
+          batchId={batchFilter}
+          onClearBatch={() => setBatchFilter('')}
+          refreshKey={inventoryVersion}
+        />
+
+        <ItemCategories />
 
         <div className="bg-white rounded-lg shadow-md p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Admin Features</h2>
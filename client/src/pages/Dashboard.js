@@ -1,11 +1,33 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
+import { qrCodeAPI, categoryAPI } from '../services/api';
+import { isValidQrCode, codeFromPayload } from '../utils/qrCode';
+import { getKnownPosition } from '../utils/geolocation';
+import { useOfflineQueue } from '../utils/offlineQueue';
+import { describeValidity, daysUntil } from '../utils/validity';
+import ScanHistoryModal from '../components/qr/ScanHistoryModal';
+import LocationTrailMap from '../components/qr/LocationTrailMap';
+import ClaimGeofences from '../components/qr/ClaimGeofences';
+import TransferModal from '../components/qr/TransferModal';
+import TransferLists from '../components/qr/TransferLists';
+import ShareModal from '../components/qr/ShareModal';
+import AttachmentGallery from '../components/qr/AttachmentGallery';
+import CategoryFields, { CategoryDetails, categoriesFor } from '../components/qr/CategoryFields';
+import OfflineQueuePanel, { QueueBadge } from '../components/qr/OfflineQueue';
+import SheetScanModal from '../components/qr/SheetScanModal';
+import AssignedCodes from '../components/qr/AssignedCodes';
 import { FaUser, FaEnvelope, FaPhone, FaBuilding, FaBriefcase, FaCalendar, FaShieldAlt } from 'react-icons/fa';
 import QrScanner from 'react-qr-scanner';
 import jsQR from 'jsqr';
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 
+// Item category form state: no category and no custom field values
+const emptyItem = { category: '', details: {} };
+
+// Location form state; `source` switches to 'geolocation' when filled from the browser
+const emptyLocation = { lat: '', lng: '', accuracy: null, source: 'manual' };
+
 const Dashboard = () => {
   const { user } = useAuth();
 
@@ -13,124 +35,357 @@ const Dashboard = () => {
   const [qrModal, setQrModal] = useState(null); // 'scan' | 'upload' | 'manual' | null
   const [qrInput, setQrInput] = useState('');
   const [qrPurpose, setQrPurpose] = useState('');
+  const [qrItem, setQrItem] = useState(emptyItem); // category and custom fields of the code being claimed or edited
+  const [categories, setCategories] = useState([]);
   const [userQRCodes, setUserQRCodes] = useState([]);
+  const [sharedQRCodes, setSharedQRCodes] = useState([]); // codes other users shared with this user
   const [error, setError] = useState('');
   const [uploading, setUploading] = useState(false);
-
-  // Track if QR codes have been loaded for this user
-  const loadedQRCodesRef = useRef(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [scanResult, setScanResult] = useState(null); // server verification of scanned content
+  const [purposeModalIdx, setPurposeModalIdx] = useState(null); // index of QR code being edited
+  const [cardModalIdx, setCardModalIdx] = useState(null); // index of QR code whose public card is edited
+  const [cardInput, setCardInput] = useState(null);
+  const [historyModalIdx, setHistoryModalIdx] = useState(null); // index of QR code whose scans are shown
+  const [geofenceModalIdx, setGeofenceModalIdx] = useState(null); // index of QR code whose geofences are shown
+  const [transferModalIdx, setTransferModalIdx] = useState(null); // index of QR code being transferred
+  const [transfersVersion, setTransfersVersion] = useState(0);
+  const [shareModalIdx, setShareModalIdx] = useState(null); // index of QR code whose sharing is managed
+  const [filesModalIdx, setFilesModalIdx] = useState(null); // index of QR code whose attachments are shown
+  const [showSheetScan, setShowSheetScan] = useState(false);
 
   // Location state
   const [locationModalIdx, setLocationModalIdx] = useState(null); // index of QR code for location entry
   const [mapModalIdx, setMapModalIdx] = useState(null); // index of QR code for map display
-  const [locationInput, setLocationInput] = useState({ lat: '', lng: '' });
-  const [trackLocationMessage, setTrackLocationMessage] = useState('');
+  const [locationInput, setLocationInput] = useState(emptyLocation);
 
-  // Load QR codes from localStorage only once per user
+  // Load the user's claimed QR codes from the server
   useEffect(() => {
-    if (user?.email && !loadedQRCodesRef.current) {
-      const savedQRCodes = localStorage.getItem(`userQRCodes_${user.email}`);
-      if (savedQRCodes) {
-        setUserQRCodes(JSON.parse(savedQRCodes));
-      }
-      loadedQRCodesRef.current = true;
+    if (!user?._id) return;
+    qrCodeAPI.getMyCodes()
+      .then(response => {
+        setUserQRCodes(response.data.claims);
+        setSharedQRCodes(response.data.shared);
+      })
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load QR codes'));
+    categoryAPI.getCategories()
+      .then(response => setCategories(response.data.categories))
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load item categories'));
+  }, [user?._id]);
+
+  // Modal indexes point into this list: the user's own codes followed by shared ones
+  const allQRCodes = [...userQRCodes, ...sharedQRCodes];
+
+  // Replace a single claim in the lists with the server's copy
+  const replaceClaim = (claim) => {
+    setUserQRCodes(codes => codes.map(qr => (qr._id === claim._id ? claim : qr)));
+    // Shared entries keep their owner and access, which the server copy does not carry
+    setSharedQRCodes(codes => codes.map(qr => (qr._id === claim._id
+      ? { ...qr, purpose: claim.purpose, category: claim.category, details: claim.details, location: claim.location, qrCode: claim.qrCode }
+      : qr)));
+  };
+
+  // Apply changes made offline once the service worker has synced them
+  const handleSynced = (entry, data) => {
+    if (entry.kind === 'claim' && data.claim) {
+      setUserQRCodes(codes => [...codes.filter(qr => qr._id !== data.claim._id), data.claim]);
+      toast.success(`QR code ${data.claim.code} synced`);
+    } else if (entry.kind === 'location' && data.claim) {
+      replaceClaim(data.claim);
+      data.alerts.forEach(alert => {
+        toast.warning(`${data.claim.code} is outside geofence "${alert.geofenceName}" by ${alert.distance} m`);
+      });
     }
-  }, [user?.email]);
+  };
+  const { entries: queuedChanges, online } = useOfflineQueue(user?._id, handleSynced);
 
-  // Save QR codes to localStorage whenever they change, but only if loaded
-  useEffect(() => {
-    if (user?.email && loadedQRCodesRef.current) {
-      localStorage.setItem(`userQRCodes_${user.email}`, JSON.stringify(userQRCodes));
+  // Queued location updates for a claim, shown on its row until they sync
+  const queuedFor = (qr) => queuedChanges.filter(entry => entry.claimId === qr._id);
+
+  // Give up access to a code someone shared with this user
+  const handleLeaveShared = async (qr) => {
+    if (!window.confirm(`Stop having access to QR code ${qr.code}?`)) return;
+    try {
+      await qrCodeAPI.unshareCode(qr._id, user._id);
+      setSharedQRCodes(codes => codes.filter(c => c._id !== qr._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to leave shared QR code');
     }
-  }, [userQRCodes, user?.email]);
+  };
 
   const openModal = (type) => {
     setQrModal(type);
     setQrInput('');
     setQrPurpose('');
+    setQrItem(emptyItem);
+    setScanResult(null);
     setError('');
   };
   const closeModal = () => setQrModal(null);
 
+  // Check the signature of scanned or decoded content with the server
+  const verifyScannedPayload = async (payload) => {
+    setQrInput(payload);
+    setScanResult(null);
+    try {
+      const position = await getKnownPosition();
+      const response = await qrCodeAPI.verifyPayload(payload, qrModal === 'upload' ? 'upload' : 'scanner', position);
+      // Offline scans are checked when they sync; the claim is checked again by the server anyway
+      setScanResult(response.data.queued
+        ? { code: codeFromPayload(payload), signature: 'queued', accepted: true, registered: true }
+        : response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not verify QR code.');
+    }
+  };
+
   // Handle QR scan from camera
   const handleScan = (data) => {
-    if (data && data.text) {
-      setQrInput(data.text);
+    // The scanner reports the same symbol on every frame; verify it once
+    if (data && data.text && data.text !== qrInput) {
+      verifyScannedPayload(data.text);
     }
   };
   const handleScanError = (err) => {
     setError('Camera error: ' + err.message);
   };
 
-  // Handle QR upload and decode
-  const handleFileChange = async (e) => {
-    setUploading(true);
-    setError('');
+  // Ask the server to find the code when the browser cannot, e.g. in large,
+  // turned or low-contrast photos
+  const decodeOnServer = async (file) => {
+    try {
+      const response = await qrCodeAPI.decodeImage(file);
+      if (response.data.confidence < 1) {
+        toast.warning('The code was hard to read. Check that it matches the label.');
+      }
+      verifyScannedPayload(response.data.payload);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not decode QR code from image.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Handle QR upload and decode, in the browser first and on the server if that fails
+  const handleFileChange = (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    setUploading(true);
+    setError('');
     const reader = new FileReader();
-    reader.onload = async (event) => {
-      try {
-        const img = new window.Image();
-        img.src = event.target.result;
-        img.onload = () => {
+    reader.onload = (event) => {
+      const img = new window.Image();
+      img.onload = () => {
+        let code = null;
+        try {
           const canvas = document.createElement('canvas');
           canvas.width = img.width;
           canvas.height = img.height;
           const ctx = canvas.getContext('2d');
           ctx.drawImage(img, 0, 0, img.width, img.height);
           const imageData = ctx.getImageData(0, 0, img.width, img.height);
-          const code = jsQR(imageData.data, img.width, img.height);
-          if (code) {
-            setQrInput(code.data);
-          } else {
-            setError('Could not decode QR code from image.');
-          }
+          code = jsQR(imageData.data, img.width, img.height);
+        } catch (err) {
+          // Very large photos can exceed the browser's canvas limits
+        }
+        if (code) {
+          verifyScannedPayload(code.data);
           setUploading(false);
-        };
-      } catch (err) {
-        setError('Could not decode QR code from image.');
-        setUploading(false);
-      }
+        } else {
+          decodeOnServer(file);
+        }
+      };
+      // Formats the browser cannot display may still be readable on the server
+      img.onerror = () => decodeOnServer(file);
+      img.src = event.target.result;
     };
     reader.readAsDataURL(file);
   };
 
-  const handleQrSubmit = (e) => {
+  const handleQrSubmit = async (e) => {
     e.preventDefault();
     if (qrModal === 'manual' && !/^\d{16}$/.test(qrInput.trim())) {
       setError('Manual entry must be exactly 16 digits.');
       return;
     }
+    if (qrModal === 'manual' && !isValidQrCode(qrInput.trim())) {
+      setError('This code is not valid. Please check for typos.');
+      return;
+    }
     if (!qrInput.trim() || !qrPurpose.trim()) {
       setError('QR code and purpose are required.');
       return;
     }
-    setUserQRCodes([...userQRCodes, { code: qrInput.trim(), purpose: qrPurpose.trim() }]);
-    closeModal();
+    setSubmitting(true);
+    try {
+      const response = await qrCodeAPI.claimCode(qrInput.trim(), qrPurpose.trim(), qrModal, qrItem);
+      if (response.data.queued) {
+        // Claimed offline; the code is added to the list once it syncs
+        toast.info(response.data.message);
+      } else {
+        setUserQRCodes([...userQRCodes, response.data.claim]);
+        if (response.data.signature === 'unsigned') {
+          toast.warning('QR code added. It is an unsigned legacy code and should be reprinted.');
+        } else {
+          toast.success('QR code added successfully!');
+        }
+      }
+      closeModal();
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to claim QR code.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Describe the outcome of a signature check
+  const renderScanVerification = () => {
+    if (!scanResult) return null;
+    const variants = {
+      valid: ['bg-green-100 text-green-800', 'Verified Addwise QR code'],
+      unsigned: scanResult.accepted
+        ? ['bg-yellow-100 text-yellow-800', 'Unsigned legacy code, accepted in compatibility mode']
+        : ['bg-red-100 text-red-800', 'Unsigned code, no longer accepted'],
+      forged: ['bg-red-100 text-red-800', 'Signature check failed. This code may be counterfeit.'],
+      invalid: ['bg-red-100 text-red-800', 'Not an Addwise QR code'],
+      queued: ['bg-yellow-100 text-yellow-800', 'Offline: scan saved, it will be verified when the connection returns']
+    };
+    const [className, label] = variants[scanResult.signature];
+    return (
+      <div className={`mt-2 px-3 py-2 rounded text-sm ${className}`}>
+        {label}
+        {scanResult.accepted && !scanResult.registered && ' (not registered)'}
+        {scanResult.validity === 'expired' && ' (expired)'}
+        {scanResult.validity === 'pending' && ` (not valid until ${new Date(scanResult.validFrom).toLocaleString()})`}
+      </div>
+    );
+  };
+
+  // When a claimed code stops being valid, highlighted once its owner has been warned
+  const renderExpiry = (qr) => {
+    if (!qr.qrCode?.validUntil || qr.qrCode.status === 'expired') return null;
+    return (
+      <div className={`text-xs mt-1 ${qr.expiryWarnedAt ? 'text-red-600 font-medium' : 'text-gray-500'}`} title={describeValidity(qr.qrCode)}>
+        Expires {new Date(qr.qrCode.validUntil).toLocaleDateString()}
+      </div>
+    );
+  };
+
+  // Open the purpose and item details editor with the claim's current values
+  const openPurposeModal = (idx) => {
+    const qr = allQRCodes[idx];
+    setPurposeModalIdx(idx);
+    setQrPurpose(qr.purpose);
+    setQrItem(qr.category ? { category: qr.category._id, details: qr.details || {} } : emptyItem);
+    setError('');
+  };
+
+  // Handle purpose and item details edit
+  const handlePurposeSubmit = async (e) => {
+    e.preventDefault();
+    if (!qrPurpose.trim()) return setError('Purpose is required.');
+    try {
+      const response = await qrCodeAPI.updatePurpose(allQRCodes[purposeModalIdx]._id, qrPurpose.trim(), qrItem);
+      replaceClaim(response.data.claim);
+      setPurposeModalIdx(null);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update purpose.');
+    }
+  };
+
+  // Open the public card editor with the claim's current settings
+  const openCardModal = (idx) => {
+    const card = allQRCodes[idx].publicCard || {};
+    setCardInput({
+      enabled: !!card.enabled,
+      showPurpose: card.showPurpose !== false,
+      message: card.message || '',
+      contactName: card.contactName || '',
+      contactEmail: card.contactEmail || '',
+      contactPhone: card.contactPhone || ''
+    });
+    setCardModalIdx(idx);
+    setError('');
+  };
+
+  // Handle public card edit
+  const handleCardSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await qrCodeAPI.updatePublicCard(allQRCodes[cardModalIdx]._id, cardInput);
+      replaceClaim(response.data.claim);
+      setCardModalIdx(null);
+      setError('');
+      toast.success(cardInput.enabled ? 'Public card is now visible to anyone who scans this code' : 'Public card hidden');
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to update public card.');
+    }
+  };
+
+  // Handle releasing a QR code back to the pool
+  const handleReleaseCode = async (idx) => {
+    const qr = allQRCodes[idx];
+    if (!window.confirm(`Release QR code ${qr.code}? Anyone will be able to claim it again.`)) return;
+    try {
+      await qrCodeAPI.releaseCode(qr._id);
+      setUserQRCodes(codes => codes.filter(c => c._id !== qr._id));
+      toast.info('QR code released');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to release QR code');
+    }
   };
 
   // Handle location entry
-  const handleLocationSubmit = (e) => {
+  const handleLocationSubmit = async (e) => {
     e.preventDefault();
     const lat = parseFloat(locationInput.lat);
     const lng = parseFloat(locationInput.lng);
     if (isNaN(lat) || isNaN(lng)) return setError('Latitude and longitude must be numbers.');
-    const updatedQRCodes = userQRCodes.map((qr, idx) =>
-      idx === locationModalIdx ? { ...qr, location: { lat, lng } } : qr
-    );
-    setUserQRCodes(updatedQRCodes);
-    setLocationModalIdx(null);
-    setLocationInput({ lat: '', lng: '' });
-    setError('');
+    try {
+      const response = await qrCodeAPI.updateLocation(allQRCodes[locationModalIdx]._id, {
+        lat,
+        lng,
+        accuracy: locationInput.accuracy,
+        source: locationInput.source
+      });
+      if (response.data.queued) {
+        toast.info(response.data.message);
+      } else {
+        replaceClaim(response.data.claim);
+        response.data.alerts.forEach(alert => {
+          toast.warning(`Outside geofence "${alert.geofenceName}" by ${alert.distance} m`);
+        });
+      }
+      setLocationModalIdx(null);
+      setLocationInput(emptyLocation);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save location.');
+    }
   };
 
   // Handle stop location
-  const handleStopLocation = (idx) => {
-    const updatedQRCodes = userQRCodes.map((qr, i) =>
-      i === idx ? { ...qr, location: undefined } : qr
-    );
-    setUserQRCodes(updatedQRCodes);
+  const handleStopLocation = async (idx) => {
+    try {
+      const response = await qrCodeAPI.clearLocation(allQRCodes[idx]._id);
+      replaceClaim(response.data.claim);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to stop location tracking');
+    }
+  };
+
+  // Handle reporting a QR code as lost or found
+  const handleToggleLost = async (idx) => {
+    const qr = allQRCodes[idx];
+    try {
+      const response = qr.qrCode?.status === 'lost'
+        ? await qrCodeAPI.markFound(qr._id)
+        : await qrCodeAPI.reportLost(qr._id);
+      replaceClaim(response.data.claim);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update QR code status');
+    }
   };
 
   // Use browser geolocation to fill location input
@@ -144,6 +399,8 @@ const Dashboard = () => {
         setLocationInput({
           lat: position.coords.latitude.toString(),
           lng: position.coords.longitude.toString(),
+          accuracy: position.coords.accuracy,
+          source: 'geolocation'
         });
         setError('');
       },
@@ -153,16 +410,27 @@ const Dashboard = () => {
     );
   };
 
-  // Handle Track Location button
-  const handleTrackLocation = (idx) => {
-    if (!userQRCodes[idx]?.location) {
-      setTrackLocationMessage('No location set for this QR code. Please enter a location first.');
-    } else {
-      setTrackLocationMessage('');
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'lost':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'suspended':
+        return 'bg-orange-100 text-orange-800';
+      case 'expired':
+        return 'bg-red-100 text-red-800';
+      case 'retired':
+        return 'bg-gray-200 text-gray-700';
+      default:
+        return 'bg-green-100 text-green-800';
     }
-    setMapModalIdx(idx);
   };
 
+  // Holders can only edit codes that are claimed or lost
+  const isEditable = (qr) => ['claimed', 'lost'].includes(qr.qrCode?.status);
+
+  // Own codes whose owner the expiry sweep has warned and that have not expired yet
+  const expiringCodes = userQRCodes.filter(qr => qr.expiryWarnedAt && qr.qrCode?.status !== 'expired');
+
   const getRoleColor = (role) => {
     switch (role) {
       case 'superadmin':
@@ -285,7 +553,13 @@ const Dashboard = () => {
             <button onClick={() => openModal('scan')} className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">Scan QR</button>
             <button onClick={() => openModal('upload')} className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">Upload QR</button>
             <button onClick={() => openModal('manual')} className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700">Manual Entry</button>
+            <button onClick={() => setShowSheetScan(true)} className="bg-teal-600 text-white px-4 py-2 rounded hover:bg-teal-700">Scan Sheet</button>
           </div>
+          <OfflineQueuePanel entries={queuedChanges} online={online} />
+          <AssignedCodes
+            categories={categories}
+            onClaimReceived={claim => setUserQRCodes(codes => [...codes, claim])}
+          />
           {/* Modal for QR input */}
           {qrModal && (
             <div className="modal-overlay">
@@ -305,13 +579,15 @@ const Dashboard = () => {
                         onScan={handleScan}
                         style={{ width: '100%' }}
                       />
-                      <input type="text" className="border rounded px-3 py-2 w-full mt-2" placeholder="Scanned QR code will appear here" value={qrInput} readOnly />
+                      <input type="text" className="border rounded px-3 py-2 w-full mt-2" placeholder="Scanned QR code will appear here" value={scanResult?.code || qrInput} readOnly />
+                      {renderScanVerification()}
                     </div>
                   )}
                   {qrModal === 'upload' && (
                     <div className="mb-4">
                       <input type="file" accept="image/*" onChange={handleFileChange} className="mb-2" disabled={uploading} />
-                      <input type="text" className="border rounded px-3 py-2 w-full" placeholder="Decoded QR code will appear here" value={qrInput} readOnly />
+                      <input type="text" className="border rounded px-3 py-2 w-full" placeholder="Decoded QR code will appear here" value={scanResult?.code || qrInput} readOnly />
+                      {renderScanVerification()}
                     </div>
                   )}
                   {qrModal === 'manual' && (
@@ -322,8 +598,13 @@ const Dashboard = () => {
                   <div className="mb-4">
                     <input type="text" className="border rounded px-3 py-2 w-full" placeholder="Purpose of this QR code" value={qrPurpose} onChange={e => setQrPurpose(e.target.value)} />
                   </div>
+                  {categories.length > 0 && (
+                    <div className="mb-4">
+                      <CategoryFields categories={categories} value={qrItem} onChange={setQrItem} />
+                    </div>
+                  )}
                   {error && <div className="text-red-600 mb-2">{error}</div>}
-                  <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700" disabled={uploading}>Add QR Code</button>
+                  <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700" disabled={uploading || submitting || (scanResult && (!scanResult.accepted || ['expired', 'pending'].includes(scanResult.validity)))}>Add QR Code</button>
                 </form>
               </div>
             </div>
@@ -332,25 +613,57 @@ const Dashboard = () => {
           {userQRCodes.length > 0 && (
             <div className="mt-6">
               <h4 className="font-semibold mb-2">Your QR Codes</h4>
+              {expiringCodes.length > 0 && (
+                <div className="px-3 py-2 rounded text-sm mb-2 bg-red-100 text-red-800">
+                  {expiringCodes.length === 1 ? 'One of your QR codes expires soon: ' : `${expiringCodes.length} of your QR codes expire soon: `}
+                  {expiringCodes.map(qr => `${qr.code} in ${daysUntil(qr.qrCode.validUntil)} day(s)`).join(', ')}
+                </div>
+              )}
               <table className="table">
                 <thead>
                   <tr>
                     <th>QR Code</th>
                     <th>Purpose</th>
                     <th>Location</th>
+                    <th>Status</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
                 <tbody>
                   {userQRCodes.map((qr, idx) => (
-                    <tr key={idx}>
+                    <tr key={qr._id}>
                       <td className="font-mono">{qr.code}</td>
-                      <td>{qr.purpose}</td>
-                      <td>{qr.location ? `${qr.location.lat}, ${qr.location.lng}` : 'N/A'}</td>
                       <td>
-                        <button onClick={() => handleTrackLocation(idx)} className="bg-blue-500 text-white px-2 py-1 rounded mr-2">Track Location</button>
-                        <button onClick={() => handleStopLocation(idx)} className="bg-red-500 text-white px-2 py-1 rounded mr-2">Stop Location</button>
-                        <button onClick={() => { setLocationModalIdx(idx); setLocationInput(qr.location || { lat: '', lng: '' }); setError(''); }} className="bg-green-500 text-white px-2 py-1 rounded">Enter Location</button>
+                        {qr.purpose}
+                        <CategoryDetails claim={qr} />
+                      </td>
+                      <td>
+                        {qr.location ? `${qr.location.lat}, ${qr.location.lng}` : 'N/A'}
+                        <QueueBadge entries={queuedFor(qr)} />
+                      </td>
+                      <td>
+                        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${getStatusColor(qr.qrCode?.status)}`}>
+                          {qr.qrCode?.status || 'unknown'}
+                        </span>
+                        {renderExpiry(qr)}
+                      </td>
+                      <td>
+                        <button onClick={() => setMapModalIdx(idx)} className="bg-blue-500 text-white px-2 py-1 rounded mr-2">Track Location</button>
+                        <button onClick={() => handleStopLocation(idx)} className="bg-red-500 text-white px-2 py-1 rounded mr-2" disabled={!isEditable(qr)}>Stop Location</button>
+                        <button onClick={() => { setLocationModalIdx(idx); setLocationInput(qr.location ? { ...emptyLocation, lat: qr.location.lat, lng: qr.location.lng } : emptyLocation); setError(''); }} className="bg-green-500 text-white px-2 py-1 rounded mr-2" disabled={!isEditable(qr)}>Enter Location</button>
+                        <button onClick={() => openPurposeModal(idx)} className="bg-purple-500 text-white px-2 py-1 rounded mr-2" disabled={!isEditable(qr)}>Edit Details</button>
+                        <button onClick={() => openCardModal(idx)} className="bg-indigo-500 text-white px-2 py-1 rounded mr-2" disabled={!isEditable(qr)}>Public Card</button>
+                        <button onClick={() => setHistoryModalIdx(idx)} className="bg-gray-600 text-white px-2 py-1 rounded mr-2">History</button>
+                        <button onClick={() => setGeofenceModalIdx(idx)} className="bg-teal-600 text-white px-2 py-1 rounded mr-2">Geofences</button>
+                        <button onClick={() => setFilesModalIdx(idx)} className="bg-orange-500 text-white px-2 py-1 rounded mr-2">Files</button>
+                        {isEditable(qr) && (
+                          <button onClick={() => handleToggleLost(idx)} className="bg-yellow-500 text-white px-2 py-1 rounded mr-2">
+                            {qr.qrCode.status === 'lost' ? 'Mark Found' : 'Report Lost'}
+                          </button>
+                        )}
+                        <button onClick={() => setShareModalIdx(idx)} className="bg-cyan-600 text-white px-2 py-1 rounded mr-2">Share</button>
+                        <button onClick={() => setTransferModalIdx(idx)} className="bg-blue-600 text-white px-2 py-1 rounded mr-2" disabled={!isEditable(qr)}>Transfer</button>
+                        <button onClick={() => handleReleaseCode(idx)} className="bg-gray-500 text-white px-2 py-1 rounded" disabled={qr.qrCode?.status === 'suspended'}>Release</button>
                       </td>
                     </tr>
                   ))}
@@ -358,6 +671,75 @@ const Dashboard = () => {
               </table>
             </div>
           )}
+          {/* Codes other users shared with this user */}
+          {sharedQRCodes.length > 0 && (
+            <div className="mt-6">
+              <h4 className="font-semibold mb-2">Shared with me</h4>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>QR Code</th>
+                    <th>Purpose</th>
+                    <th>Owner</th>
+                    <th>Access</th>
+                    <th>Location</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sharedQRCodes.map((qr, sharedIdx) => {
+                    const idx = userQRCodes.length + sharedIdx;
+                    const canEdit = qr.access === 'co-owner' && isEditable(qr);
+                    return (
+                      <tr key={qr._id}>
+                        <td className="font-mono">{qr.code}</td>
+                        <td>
+                          {qr.purpose}
+                          <CategoryDetails claim={qr} />
+                        </td>
+                        <td>{qr.owner ? `${qr.owner.firstName} ${qr.owner.lastName}` : 'N/A'}</td>
+                        <td className="capitalize">{qr.access}</td>
+                        <td>
+                          {qr.location ? `${qr.location.lat}, ${qr.location.lng}` : 'N/A'}
+                          <QueueBadge entries={queuedFor(qr)} />
+                        </td>
+                        <td>
+                          <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full capitalize ${getStatusColor(qr.qrCode?.status)}`}>
+                            {qr.qrCode?.status || 'unknown'}
+                          </span>
+                          {renderExpiry(qr)}
+                        </td>
+                        <td>
+                          <button onClick={() => setMapModalIdx(idx)} className="bg-blue-500 text-white px-2 py-1 rounded mr-2">Track Location</button>
+                          <button onClick={() => setHistoryModalIdx(idx)} className="bg-gray-600 text-white px-2 py-1 rounded mr-2">History</button>
+                          <button onClick={() => setGeofenceModalIdx(idx)} className="bg-teal-600 text-white px-2 py-1 rounded mr-2">Geofences</button>
+                          <button onClick={() => setFilesModalIdx(idx)} className="bg-orange-500 text-white px-2 py-1 rounded mr-2">Files</button>
+                          {qr.access === 'co-owner' && (
+                            <>
+                              <button onClick={() => handleStopLocation(idx)} className="bg-red-500 text-white px-2 py-1 rounded mr-2" disabled={!canEdit}>Stop Location</button>
+                              <button onClick={() => { setLocationModalIdx(idx); setLocationInput(qr.location ? { ...emptyLocation, lat: qr.location.lat, lng: qr.location.lng } : emptyLocation); setError(''); }} className="bg-green-500 text-white px-2 py-1 rounded mr-2" disabled={!canEdit}>Enter Location</button>
+                              <button onClick={() => openPurposeModal(idx)} className="bg-purple-500 text-white px-2 py-1 rounded mr-2" disabled={!canEdit}>Edit Details</button>
+                              {canEdit && (
+                                <button onClick={() => handleToggleLost(idx)} className="bg-yellow-500 text-white px-2 py-1 rounded mr-2">
+                                  {qr.qrCode.status === 'lost' ? 'Mark Found' : 'Report Lost'}
+                                </button>
+                              )}
+                            </>
+                          )}
+                          <button onClick={() => handleLeaveShared(qr)} className="bg-gray-500 text-white px-2 py-1 rounded">Leave</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <TransferLists
+            refreshKey={transfersVersion}
+            onClaimReceived={claim => setUserQRCodes(codes => [...codes, claim])}
+          />
         </div>
 
         {/* Quick Actions */}
@@ -458,8 +840,8 @@ const Dashboard = () => {
             <button className="float-right text-gray-400 hover:text-gray-700" onClick={() => setLocationModalIdx(null)}>&times;</button>
             <h3 className="text-lg font-semibold mb-4">Enter Location (Latitude & Longitude)</h3>
             <form onSubmit={handleLocationSubmit}>
-              <input type="number" step="any" placeholder="Latitude" className="border rounded px-3 py-2 w-full mb-2" value={locationInput.lat} onChange={e => setLocationInput({ ...locationInput, lat: e.target.value })} required />
-              <input type="number" step="any" placeholder="Longitude" className="border rounded px-3 py-2 w-full mb-2" value={locationInput.lng} onChange={e => setLocationInput({ ...locationInput, lng: e.target.value })} required />
+              <input type="number" step="any" placeholder="Latitude" className="border rounded px-3 py-2 w-full mb-2" value={locationInput.lat} onChange={e => setLocationInput({ ...locationInput, lat: e.target.value, accuracy: null, source: 'manual' })} required />
+              <input type="number" step="any" placeholder="Longitude" className="border rounded px-3 py-2 w-full mb-2" value={locationInput.lng} onChange={e => setLocationInput({ ...locationInput, lng: e.target.value, accuracy: null, source: 'manual' })} required />
               <button type="button" className="bg-gray-500 text-white px-4 py-2 rounded hover:bg-gray-700 mb-2" onClick={handleUseMyLocation}>Use My Location</button>
               {error && <div className="text-red-600 mb-2">{error}</div>}
               <button type="submit" className="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700">Save Location</button>
@@ -468,27 +850,102 @@ const Dashboard = () => {
         </div>
       )}
 
-      {/* Map Modal */}
-      {mapModalIdx !== null && (
+      {/* Purpose Edit Modal */}
+      {purposeModalIdx !== null && (
         <div className="modal-overlay">
-          <div className="modal-content" style={{ width: '400px', height: '400px' }}>
-            <button className="float-right text-gray-400 hover:text-gray-700" onClick={() => setMapModalIdx(null)}>&times;</button>
-            <h3 className="text-lg font-semibold mb-4">QR Code Location</h3>
-            {trackLocationMessage ? (
-              <div className="text-red-600">{trackLocationMessage}</div>
-            ) : (
-              userQRCodes[mapModalIdx]?.location && (
-                <MapContainer center={[userQRCodes[mapModalIdx].location.lat, userQRCodes[mapModalIdx].location.lng]} zoom={15} style={{ height: '300px', width: '100%' }}>
-                  <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-                  <Marker position={[userQRCodes[mapModalIdx].location.lat, userQRCodes[mapModalIdx].location.lng]}>
-                    <Popup>QR Code Location</Popup>
-                  </Marker>
-                </MapContainer>
-              )
-            )}
+          <div className="modal-content">
+            <button className="float-right text-gray-400 hover:text-gray-700" onClick={() => setPurposeModalIdx(null)}>&times;</button>
+            <h3 className="text-lg font-semibold mb-4">Edit Details</h3>
+            <form onSubmit={handlePurposeSubmit}>
+              <input type="text" className="border rounded px-3 py-2 w-full mb-2" placeholder="Purpose of this QR code" value={qrPurpose} onChange={e => setQrPurpose(e.target.value)} />
+              <CategoryFields
+                categories={categoriesFor(categories, allQRCodes[purposeModalIdx])}
+                value={qrItem}
+                onChange={setQrItem}
+              />
+              {error && <div className="text-red-600 mb-2">{error}</div>}
+              <button type="submit" className="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700">Save Details</button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Public Card Modal */}
+      {cardModalIdx !== null && cardInput && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <button className="float-right text-gray-400 hover:text-gray-700" onClick={() => setCardModalIdx(null)}>&times;</button>
+            <h3 className="text-lg font-semibold mb-2">Public Card</h3>
+            <p className="text-sm text-gray-600 mb-4">Shown to anyone who scans {allQRCodes[cardModalIdx].code}. Only the details entered here are shared.</p>
+            <form onSubmit={handleCardSubmit}>
+              <label className="flex items-center mb-2">
+                <input type="checkbox" className="mr-2" checked={cardInput.enabled} onChange={e => setCardInput({ ...cardInput, enabled: e.target.checked })} />
+                Show a public card when this code is scanned
+              </label>
+              <label className="flex items-center mb-2">
+                <input type="checkbox" className="mr-2" checked={cardInput.showPurpose} onChange={e => setCardInput({ ...cardInput, showPurpose: e.target.checked })} />
+                Show the purpose ({allQRCodes[cardModalIdx].purpose})
+              </label>
+              <textarea className="border rounded px-3 py-2 w-full mb-2" rows={3} maxLength={500} placeholder="Message, e.g. 'If found, please return to reception'" value={cardInput.message} onChange={e => setCardInput({ ...cardInput, message: e.target.value })} />
+              <input type="text" className="border rounded px-3 py-2 w-full mb-2" maxLength={100} placeholder="Contact name" value={cardInput.contactName} onChange={e => setCardInput({ ...cardInput, contactName: e.target.value })} />
+              <input type="email" className="border rounded px-3 py-2 w-full mb-2" placeholder="Contact email" value={cardInput.contactEmail} onChange={e => setCardInput({ ...cardInput, contactEmail: e.target.value })} />
+              <input type="tel" className="border rounded px-3 py-2 w-full mb-2" placeholder="Contact phone" value={cardInput.contactPhone} onChange={e => setCardInput({ ...cardInput, contactPhone: e.target.value })} />
+              {error && <div className="text-red-600 mb-2">{error}</div>}
+              <button type="submit" className="bg-indigo-600 text-white px-4 py-2 rounded hover:bg-indigo-700">Save Public Card</button>
+            </form>
           </div>
         </div>
       )}
+
+      {/* Scan History Modal */}
+      {historyModalIdx !== null && (
+        <ScanHistoryModal
+          title={`Scan history for ${allQRCodes[historyModalIdx].code}`}
+          loadScans={(page) => qrCodeAPI.getScans(allQRCodes[historyModalIdx]._id, { page })}
+          onClose={() => setHistoryModalIdx(null)}
+        />
+      )}
+
+      {/* Sheet Scan Modal */}
+      {showSheetScan && (
+        <SheetScanModal
+          onClose={() => setShowSheetScan(false)}
+          onClaimed={claims => setUserQRCodes(codes => [...codes, ...claims])}
+        />
+      )}
+
+      {/* Files Modal */}
+      {filesModalIdx !== null && (
+        <AttachmentGallery
+          claim={allQRCodes[filesModalIdx]}
+          canUpload={isEditable(allQRCodes[filesModalIdx]) && allQRCodes[filesModalIdx].access !== 'viewer'}
+          onClose={() => setFilesModalIdx(null)}
+        />
+      )}
+
+      {/* Share Modal */}
+      {shareModalIdx !== null && (
+        <ShareModal claim={allQRCodes[shareModalIdx]} onClose={() => setShareModalIdx(null)} />
+      )}
+
+      {/* Transfer Modal */}
+      {transferModalIdx !== null && (
+        <TransferModal
+          claim={allQRCodes[transferModalIdx]}
+          onClose={() => setTransferModalIdx(null)}
+          onOffered={() => setTransfersVersion(version => version + 1)}
+        />
+      )}
+
+      {/* Geofence Modal */}
+      {geofenceModalIdx !== null && (
+        <ClaimGeofences claim={allQRCodes[geofenceModalIdx]} onClose={() => setGeofenceModalIdx(null)} />
+      )}
+
+      {/* Location History Modal */}
+      {mapModalIdx !== null && (
+        <LocationTrailMap claim={allQRCodes[mapModalIdx]} onClose={() => setMapModalIdx(null)} />
+      )}
     </div>
   );
 };
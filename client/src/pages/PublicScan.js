@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { FaEnvelope, FaPhone, FaExclamationTriangle, FaShieldAlt, FaSpinner, FaHome } from 'react-icons/fa';
+import { publicAPI } from '../services/api';
+import { getKnownPosition } from '../utils/geolocation';
+
+const PublicScan = () => {
+  const { code } = useParams();
+  const [searchParams] = useSearchParams();
+  const signature = searchParams.get('s');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    getKnownPosition()
+      .then(position => publicAPI.resolveCode(code, signature || undefined, position || undefined))
+      .then(res => setResult(res.data))
+      .catch(err => setError({
+        message: err.response?.data?.message || 'Unable to look up this QR code',
+        code: err.response?.data?.code
+      }))
+      .finally(() => setLoading(false));
+  }, [code, signature]);
+
+  const renderCard = () => {
+    const { card } = result;
+    return (
+      <div className="space-y-4 text-left">
+        {result.status === 'lost' && (
+          <div className="bg-red-50 border border-red-200 text-red-800 rounded-lg p-4">
+            <p className="font-semibold">This item has been reported lost.</p>
+            <p className="text-sm">Please contact the owner using the details below.</p>
+          </div>
+        )}
+        {card.purpose && (
+          <div>
+            <p className="text-sm text-gray-500">Item</p>
+            <p className="text-lg font-semibold text-gray-900">{card.purpose}</p>
+          </div>
+        )}
+        {card.message && (
+          <p className="text-gray-700 whitespace-pre-line">{card.message}</p>
+        )}
+        {(card.contactName || card.contactEmail || card.contactPhone) && (
+          <div className="border-t pt-4 space-y-2">
+            {card.contactName && (
+              <p className="text-gray-900 font-medium">{card.contactName}</p>
+            )}
+            {card.contactEmail && (
+              <a href={`mailto:${card.contactEmail}`} className="flex items-center text-blue-600 hover:underline">
+                <FaEnvelope className="mr-2" />
+                {card.contactEmail}
+              </a>
+            )}
+            {card.contactPhone && (
+              <a href={`tel:${card.contactPhone}`} className="flex items-center text-blue-600 hover:underline">
+                <FaPhone className="mr-2" />
+                {card.contactPhone}
+              </a>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return (
+        <div className="flex items-center justify-center text-gray-600">
+          <FaSpinner className="animate-spin mr-2" />
+          Looking up QR code...
+        </div>
+      );
+    }
+
+    if (error) {
+      const counterfeit = error.code === 'QR_SIGNATURE_FORGED';
+      return (
+        <div className={`rounded-lg p-4 ${counterfeit ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'}`}>
+          <FaExclamationTriangle className="mx-auto mb-2 text-2xl" />
+          <p className="font-semibold">{error.message}</p>
+          {counterfeit && (
+            <p className="text-sm mt-2">Do not trust any contact details printed alongside this code.</p>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {result.signature === 'valid' ? (
+          <p className="flex items-center justify-center text-sm text-green-700 mb-4">
+            <FaShieldAlt className="mr-1" />
+            Verified Addwise QR code
+          </p>
+        ) : (
+          <p className="text-sm text-yellow-700 mb-4">
+            This is an older, unsigned QR code and could not be verified.
+          </p>
+        )}
+        {result.card ? renderCard() : (
+          <p className="text-gray-700">{result.message}</p>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-6 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-1">QR Code</h1>
+        <p className="font-mono text-gray-500 mb-6">{code}</p>
+        {renderContent()}
+        <Link to="/" className="inline-flex items-center mt-6 text-sm text-gray-500 hover:text-gray-700">
+          <FaHome className="mr-1" />
+          Addwise home
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default PublicScan;
\ No newline at end of file
@@ -65,7 +65,111 @@ export const adminAPI = {
   activateUser: (userId) => api.post(`/api/admin/users/${userId}/activate`),
   deactivateUser: (userId) => api.post(`/api/admin/users/${userId}/deactivate`),
   getDashboardStats: () => api.get('/api/admin/dashboard'),
-  saveQrCodes: (codes) => api.post('/api/admin/qrcodes', { codes }),
+  getQrAnalytics: (params) => api.get('/api/admin/analytics', { params }),
+  getQrCodes: (params) => api.get('/api/admin/qrcodes', { params }),
+  getQrCreators: () => api.get('/api/admin/qrcodes/creators'),
+  generateQrCodes: (count, validity) => api.post('/api/admin/qrcodes', { count, ...validity }),
+  importQrCodes: (csv, dryRun, checkDigits) => api.post('/api/admin/qrcodes/import', { csv, dryRun, checkDigits }),
+  suspendQrCode: (code, reason) => api.post(`/api/admin/qrcodes/${code}/suspend`, { reason }),
+  reinstateQrCode: (code, reason) => api.post(`/api/admin/qrcodes/${code}/reinstate`, { reason }),
+  retireQrCode: (code, reason) => api.post(`/api/admin/qrcodes/${code}/retire`, { reason }),
+  setQrValidity: (code, validity) => api.put(`/api/admin/qrcodes/${code}/validity`, validity),
+  deleteQrCode: (code, reason) => api.delete(`/api/admin/qrcodes/${code}`, { data: { reason } }),
+  restoreQrCode: (code) => api.post(`/api/admin/qrcodes/${code}/restore`),
+  purgeQrCode: (code) => api.delete(`/api/admin/qrcodes/${code}/purge`),
+  purgeExpiredQrCodes: () => api.post('/api/admin/qrcodes/purge'),
+  getQrScans: (code, params) => api.get(`/api/admin/qrcodes/${code}/scans`, { params }),
+  getQrTransfers: (code) => api.get(`/api/admin/qrcodes/${code}/transfers`),
+  forceTransferQrCode: (code, email, reason) => api.post(`/api/admin/qrcodes/${code}/transfer`, { email, reason }),
+  getBatches: (params) => api.get('/api/admin/batches', { params }),
+  createBatch: (batchData) => api.post('/api/admin/batches', batchData),
+  getBatch: (batchId) => api.get(`/api/admin/batches/${batchId}`),
+  getBatchCodes: (batchId, params) => api.get(`/api/admin/batches/${batchId}/codes`, { params }),
+  getBatchScans: (batchId, params) => api.get(`/api/admin/batches/${batchId}/scans`, { params }),
+  getGeofences: (params) => api.get('/api/admin/geofences', { params }),
+  createGeofence: (fence) => api.post('/api/admin/geofences', fence),
+  updateGeofence: (geofenceId, data) => api.put(`/api/admin/geofences/${geofenceId}`, data),
+  deleteGeofence: (geofenceId) => api.delete(`/api/admin/geofences/${geofenceId}`),
+  getGeofenceAlerts: (params) => api.get('/api/admin/geofences/alerts', { params }),
+  suspendBatch: (batchId, reason) => api.post(`/api/admin/batches/${batchId}/suspend`, { reason }),
+  reinstateBatch: (batchId, reason) => api.post(`/api/admin/batches/${batchId}/reinstate`, { reason }),
+  retireBatch: (batchId, reason) => api.post(`/api/admin/batches/${batchId}/retire`, { reason }),
+  setBatchValidity: (batchId, validity) => api.put(`/api/admin/batches/${batchId}/validity`, validity),
+  getAssignments: (params) => api.get('/api/admin/assignments', { params }),
+  assignQrCodes: (assignment) => api.post('/api/admin/assignments', assignment),
+  cancelAssignment: (code) => api.delete(`/api/admin/assignments/${code}`),
+  getLabelLayouts: () => api.get('/api/admin/qrcodes/label-layouts'),
+  exportLabels: (options) => api.post('/api/admin/qrcodes/labels', options, { responseType: 'blob' }),
+  downloadQrBundle: (options) => api.post('/api/admin/qrcodes/bundle', options, { responseType: 'blob' }),
+  exportQrCode: (code, options) => api.post(`/api/admin/qrcodes/${code}/export`, options, { responseType: 'blob' }),
+};
+
+// QR Code API
+export const qrCodeAPI = {
+  getMyCodes: () => api.get('/api/qrcodes'),
+  verifyPayload: (payload, source, location) => api.post('/api/qrcodes/verify', { payload, source, location }),
+  verifyPayloads: (payloads, options) => api.post('/api/qrcodes/verify/batch', { payloads, ...options }),
+  decodeImage: (file, multiple = false) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return api.post('/api/qrcodes/decode', formData, {
+      params: multiple ? { multiple: 'true' } : undefined,
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getScans: (claimId, params) => api.get(`/api/qrcodes/${claimId}/scans`, { params }),
+  claimCode: (code, purpose, source, item) => api.post('/api/qrcodes', { code, purpose, source, ...item }),
+  claimCodes: (codes, purpose, source) => api.post('/api/qrcodes/batch', { codes, purpose, source }),
+  updatePurpose: (claimId, purpose, item) => api.put(`/api/qrcodes/${claimId}`, { purpose, ...item }),
+  releaseCode: (claimId) => api.delete(`/api/qrcodes/${claimId}`),
+  updateLocation: (claimId, location) => api.put(`/api/qrcodes/${claimId}/location`, location),
+  clearLocation: (claimId) => api.delete(`/api/qrcodes/${claimId}/location`),
+  getLocations: (claimId, params) => api.get(`/api/qrcodes/${claimId}/locations`, { params }),
+  getGeofences: (claimId) => api.get(`/api/qrcodes/${claimId}/geofences`),
+  createGeofence: (claimId, fence) => api.post(`/api/qrcodes/${claimId}/geofences`, fence),
+  deleteGeofence: (claimId, geofenceId) => api.delete(`/api/qrcodes/${claimId}/geofences/${geofenceId}`),
+  getAlerts: (claimId, params) => api.get(`/api/qrcodes/${claimId}/alerts`, { params }),
+  getShares: (claimId) => api.get(`/api/qrcodes/${claimId}/shares`),
+  shareCode: (claimId, email, role) => api.post(`/api/qrcodes/${claimId}/shares`, { email, role }),
+  unshareCode: (claimId, userId) => api.delete(`/api/qrcodes/${claimId}/shares/${userId}`),
+  getTransfers: () => api.get('/api/transfers'),
+  offerTransfer: (transfer) => api.post('/api/transfers', transfer),
+  acceptTransfer: (transferId) => api.post(`/api/transfers/${transferId}/accept`),
+  declineTransfer: (transferId) => api.post(`/api/transfers/${transferId}/decline`),
+  cancelTransfer: (transferId) => api.post(`/api/transfers/${transferId}/cancel`),
+  getAssignments: () => api.get('/api/qrcodes/assignments'),
+  acceptAssignment: (code, purpose, item) => api.post(`/api/qrcodes/assignments/${code}/accept`, { purpose, ...item }),
+  declineAssignment: (code) => api.post(`/api/qrcodes/assignments/${code}/decline`),
+  reportLost: (claimId, reason) => api.post(`/api/qrcodes/${claimId}/lost`, { reason }),
+  markFound: (claimId) => api.post(`/api/qrcodes/${claimId}/found`),
+  updatePublicCard: (claimId, card) => api.put(`/api/qrcodes/${claimId}/public-card`, card),
+  getAttachments: (claimId) => api.get(`/api/qrcodes/${claimId}/attachments`),
+  uploadAttachment: (claimId, file, caption) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (caption) formData.append('caption', caption);
+    return api.post(`/api/qrcodes/${claimId}/attachments`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getAttachmentFile: (claimId, attachmentId) => api.get(`/api/qrcodes/${claimId}/attachments/${attachmentId}/file`, { responseType: 'blob' }),
+  getAttachmentThumbnail: (claimId, attachmentId) => api.get(`/api/qrcodes/${claimId}/attachments/${attachmentId}/thumbnail`, { responseType: 'blob' }),
+  deleteAttachment: (claimId, attachmentId) => api.delete(`/api/qrcodes/${claimId}/attachments/${attachmentId}`),
+};
+
+// Item categories API
+export const categoryAPI = {
+  getCategories: (params) => api.get('/api/categories', { params }),
+  createCategory: (category) => api.post('/api/categories', category),
+  updateCategory: (categoryId, category) => api.put(`/api/categories/${categoryId}`, category),
+  deleteCategory: (categoryId) => api.delete(`/api/categories/${categoryId}`),
+};
+
+// Public API (no login required)
+export const publicAPI = {
+  resolveCode: (code, signature, location) => api.get(`/api/public/qrcodes/${code}`, {
+    params: { s: signature, ...location }
+  }),
 };
 
 // Super Admin API
@@ -0,0 +1,24 @@
+// Save a Blob to disk through a temporary link
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const downloadLink = document.createElement('a');
+  downloadLink.href = url;
+  downloadLink.download = filename;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  document.body.removeChild(downloadLink);
+  window.URL.revokeObjectURL(url);
+};
+
+// Read the API error message from a request made with responseType 'blob'
+export const getBlobErrorMessage = async (error, fallback) => {
+  const data = error.response?.data;
+  if (data instanceof Blob) {
+    try {
+      return JSON.parse(await data.text()).message || fallback;
+    } catch (parseError) {
+      return fallback;
+    }
+  }
+  return data?.message || fallback;
+};
\ No newline at end of file
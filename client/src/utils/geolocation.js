@@ -0,0 +1,18 @@
+// Current position if the user has already allowed location access, otherwise null.
+// Never shows a permission prompt, so it is safe to call on every scan.
+export const getKnownPosition = async () => {
+  if (!navigator.geolocation || !navigator.permissions) return null;
+  try {
+    const permission = await navigator.permissions.query({ name: 'geolocation' });
+    if (permission.state !== 'granted') return null;
+    return await new Promise(resolve => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+        () => resolve(null),
+        { maximumAge: 5 * 60 * 1000, timeout: 5000 }
+      );
+    });
+  } catch (error) {
+    return null;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Page side of the offline queue. The service worker in public/offline-sync.js
+// stores scans, claims and location updates made without a connection and
+// replays them; pages only read its queue and ask it to replay, retry or discard.
+
+const WORKER_URL = `${process.env.PUBLIC_URL}/offline-sync.js`;
+
+const isSupported = () => 'serviceWorker' in navigator;
+
+// The token lets a retried entry replace an expired one; the worker only takes
+// it for entries queued by the same user
+const postToWorker = async (message) => {
+  if (!isSupported()) return;
+  const registration = await navigator.serviceWorker.ready;
+  const token = localStorage.getItem('token');
+  registration.active?.postMessage({ ...message, token: token ? `Bearer ${token}` : undefined });
+};
+
+export const replayQueue = () => postToWorker({ type: 'replay' });
+
+// `overwrite` resends a location that conflicts with a newer one so it replaces it
+export const retryQueued = (id, overwrite = false) => postToWorker({ type: 'retry', id, overwrite });
+
+export const discardQueued = (id) => postToWorker({ type: 'discard', id });
+
+// Drop queued changes of anyone but `userId`, so a shared browser never syncs one
+// user's changes while another is signed in
+export const keepQueuedFor = (userId) => postToWorker({ type: 'keep-user', userId });
+
+// Drop every queued change; only for an explicit logout
+export const clearQueued = () => postToWorker({ type: 'clear' });
+
+// Register the worker and replay the queue whenever the browser comes back online
+export const registerOfflineQueue = () => {
+  if (!isSupported()) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(WORKER_URL)
+      .catch(err => console.error('Offline queue registration failed:', err));
+  });
+  window.addEventListener('online', replayQueue);
+};
+
+// Queued entries of `userId` and whether the browser is online, kept up to date by the
+// worker. `onSynced(entry, data)` is called with the server's response for each of
+// their entries that syncs.
+export const useOfflineQueue = (userId, onSynced) => {
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(navigator.onLine);
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  useEffect(() => {
+    if (!isSupported()) return undefined;
+
+    const handleMessage = (event) => {
+      if (event.data?.type === 'queue') {
+        setEntries(event.data.entries.filter(entry => entry.userId === userId));
+      } else if (event.data?.type === 'synced' && event.data.entry.userId === userId) {
+        onSyncedRef.current?.(event.data.entry, event.data.data);
+      }
+    };
+    const handleConnection = () => setOnline(navigator.onLine);
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    window.addEventListener('online', handleConnection);
+    window.addEventListener('offline', handleConnection);
+
+    // Replaying also reports the current queue
+    replayQueue();
+
+    return () => {
+      navigator.serviceWorker.removeEventListener('message', handleMessage);
+      window.removeEventListener('online', handleConnection);
+      window.removeEventListener('offline', handleConnection);
+    };
+  }, [userId]);
+
+  return { entries, online };
+};
\ No newline at end of file
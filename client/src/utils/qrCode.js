@@ -0,0 +1,28 @@
+// Luhn check digit for a string of digits
+const computeCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit counting from the right of the final code
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Check that a typed code is 16 digits ending in a valid check digit
+export const isValidQrCode = (code) => {
+  if (!/^\d{16}$/.test(code)) return false;
+  return computeCheckDigit(code.slice(0, -1)) === code.slice(-1);
+};
+// The 16-digit code in scanned text: a bare code or one of our signed links.
+// The server still checks the signature; this is only for showing the code.
+export const codeFromPayload = (text) => {
+  const value = (text || '').trim();
+  if (/^\d{16}$/.test(value)) return value;
+  const match = value.match(/\/q\/(\d{16})\/?(\?|$)/);
+  return match ? match[1] : null;
+};
\ No newline at end of file
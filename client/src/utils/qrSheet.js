@@ -0,0 +1,204 @@
+import jsQR from 'jsqr';
+
+// Finding every QR code in a photo in the browser, the same way the server's
+// multi-code decode does. jsQR reads one symbol and fails outright when several
+// are in view, so the photo is split into symbol-sized blobs of dark pixels first
+// and each blob is read on its own.
+
+// Working size the photo is segmented at, and how far dark pixels are grown so a
+// symbol's modules join into one blob while its quiet zone keeps neighbours apart
+const SEGMENT_SIZE = 1200;
+const SEGMENT_RADII = [2, 5];
+
+// Blobs smaller than this many working pixels on a side are ignored
+const MIN_BLOB_SIZE = 16;
+
+// Longest edge each candidate region is drawn at before it is read
+const REGION_SIZE = 640;
+
+// Draw part of an image onto a canvas of the given size and return its pixels
+const drawRegion = (img, region, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, region.left, region.top, region.width, region.height, 0, 0, width, height);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+// Threshold that best splits the grey levels into dark and light (Otsu's method)
+const otsuThreshold = (grey) => {
+  const histogram = new Array(256).fill(0);
+  grey.forEach(value => histogram[value]++);
+  const total = grey.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+
+  let best = 128;
+  let bestVariance = 0;
+  let darkCount = 0;
+  let darkSum = 0;
+  for (let value = 0; value < 256; value++) {
+    darkCount += histogram[value];
+    if (darkCount === 0 || darkCount === total) continue;
+    darkSum += histogram[value] * value;
+    const darkMean = darkSum / darkCount;
+    const lightMean = (sum - darkSum) / (total - darkCount);
+    const variance = darkCount * (total - darkCount) * (darkMean - lightMean) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = value;
+    }
+  }
+  return best;
+};
+
+// Grow the dark pixels of a width x height mask by `radius` in every direction
+const dilate = (mask, width, height, radius) => {
+  const spread = (source, length, count, stride, step) => {
+    const target = new Uint8Array(source.length);
+    const prefix = new Int32Array(length + 1);
+    for (let line = 0; line < count; line++) {
+      const start = line * stride;
+      for (let i = 0; i < length; i++) {
+        prefix[i + 1] = prefix[i] + source[start + i * step];
+      }
+      for (let i = 0; i < length; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(length, i + radius + 1);
+        target[start + i * step] = prefix[to] > prefix[from] ? 1 : 0;
+      }
+    }
+    return target;
+  };
+  return spread(spread(mask, width, height, width, 1), height, width, 1, width);
+};
+
+// Bounding rectangles of the connected blobs in a mask
+const findBlobs = (mask, width, height) => {
+  const seen = new Uint8Array(mask.length);
+  const stack = new Int32Array(mask.length);
+  const blobs = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    let size = 0;
+    let left = width;
+    let top = height;
+    let right = 0;
+    let bottom = 0;
+    stack[size++] = start;
+    seen[start] = 1;
+
+    while (size > 0) {
+      const index = stack[--size];
+      const x = index % width;
+      const y = (index - x) / width;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && mask[next] && !seen[next]) {
+          seen[next] = 1;
+          stack[size++] = next;
+        }
+      }
+    }
+
+    blobs.push({ left, top, width: right - left + 1, height: bottom - top + 1 });
+  }
+
+  return blobs;
+};
+
+// Regions of the photo, in its own pixels, likely to hold one symbol each
+const findCandidateRegions = (img) => {
+  const scale = Math.min(1, SEGMENT_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+  const width = Math.round(img.naturalWidth * scale);
+  const height = Math.round(img.naturalHeight * scale);
+  const { data } = drawRegion(img, { left: 0, top: 0, width: img.naturalWidth, height: img.naturalHeight }, width, height);
+
+  const grey = new Uint8Array(width * height);
+  for (let i = 0; i < grey.length; i++) {
+    grey[i] = Math.round(data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114);
+  }
+  const threshold = otsuThreshold(grey);
+  const mask = grey.map(value => (value <= threshold ? 1 : 0));
+
+  const regions = [];
+  for (const radius of SEGMENT_RADII) {
+    for (const blob of findBlobs(dilate(mask, width, height, radius), width, height)) {
+      // Symbols are square; long thin blobs are lines of text or edges
+      const shortSide = Math.min(blob.width, blob.height);
+      if (shortSide < MIN_BLOB_SIZE || Math.max(blob.width, blob.height) > shortSide * 3) continue;
+
+      // Keep the quiet zone, which dilation partly ate into, inside the region
+      const margin = radius + shortSide * 0.1;
+      const left = Math.max(0, Math.floor((blob.left - margin) / scale));
+      const top = Math.max(0, Math.floor((blob.top - margin) / scale));
+      regions.push({
+        left,
+        top,
+        width: Math.min(img.naturalWidth - left, Math.ceil((blob.width + margin * 2) / scale)),
+        height: Math.min(img.naturalHeight - top, Math.ceil((blob.height + margin * 2) / scale))
+      });
+    }
+  }
+  return regions;
+};
+
+const readRegion = (img, region) => {
+  const scale = REGION_SIZE / Math.max(region.width, region.height);
+  const width = Math.max(1, Math.round(region.width * scale));
+  const height = Math.max(1, Math.round(region.height * scale));
+  const imageData = drawRegion(img, region, width, height);
+  const result = jsQR(imageData.data, width, height, { inversionAttempts: 'attemptBoth' });
+  if (!result) return null;
+
+  const corners = [result.location.topLeftCorner, result.location.topRightCorner, result.location.bottomRightCorner, result.location.bottomLeftCorner]
+    .map(point => ({ x: region.left + point.x / scale, y: region.top + point.y / scale }));
+  const xs = corners.map(point => point.x);
+  const ys = corners.map(point => point.y);
+  return {
+    payload: result.data,
+    box: {
+      x: Math.round(Math.min(...xs)),
+      y: Math.round(Math.min(...ys)),
+      width: Math.round(Math.max(...xs) - Math.min(...xs)),
+      height: Math.round(Math.max(...ys) - Math.min(...ys))
+    }
+  };
+};
+
+// Every QR code in a loaded <img>, as [{ payload, box }] with boxes in the image's
+// natural pixels, ordered in rows from the top left. A code seen twice is listed once.
+export const decodeAllInImage = (img) => {
+  const found = new Map();
+  for (const region of findCandidateRegions(img)) {
+    // Blobs found again at a larger radius usually hold a symbol already read
+    const holdsFound = [...found.values()].some(({ box }) => {
+      const x = box.x + box.width / 2;
+      const y = box.y + box.height / 2;
+      return x >= region.left && x < region.left + region.width && y >= region.top && y < region.top + region.height;
+    });
+    if (holdsFound) continue;
+
+    const symbol = readRegion(img, region);
+    if (symbol && !found.has(symbol.payload)) {
+      found.set(symbol.payload, symbol);
+    }
+  }
+  return sortSymbols([...found.values()]);
+};
+
+// Symbols whose tops are within half a symbol of each other count as one row
+export const sortSymbols = (symbols) => [...symbols].sort((a, b) => (
+  Math.abs(a.box.y - b.box.y) < Math.min(a.box.height, b.box.height) / 2 ? a.box.x - b.box.x : a.box.y - b.box.y
+));
\ No newline at end of file
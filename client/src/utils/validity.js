@@ -0,0 +1,23 @@
+// Helpers for the optional validity window (validFrom / validUntil) of QR codes and batches
+
+// Value for a datetime-local input, in the browser's time zone
+export const toDateTimeInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// ISO date from a datetime-local input value, or null when it is empty
+export const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// Short description of a window, e.g. "Valid until 31/12/2026", or null when it is open
+export const describeValidity = ({ validFrom, validUntil }) => {
+  const format = (date) => new Date(date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  if (validFrom && validUntil) return `Valid ${format(validFrom)} to ${format(validUntil)}`;
+  if (validFrom) return `Valid from ${format(validFrom)}`;
+  if (validUntil) return `Valid until ${format(validUntil)}`;
+  return null;
+};
+
+// Whole days left until `date`, counting a part day as a full one
+export const daysUntil = (date) => Math.max(0, Math.ceil((new Date(date) - Date.now()) / (24 * 60 * 60 * 1000)));
\ No newline at end of file
@@ -9,6 +9,16 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const superAdminRoutes = require('./routes/superAdmin');
+const qrCodeRoutes = require('./routes/qrCodes');
+const qrBatchRoutes = require('./routes/qrBatches');
+const geofenceRoutes = require('./routes/geofences');
+const qrTransferRoutes = require('./routes/qrTransfers');
+const qrAssignmentRoutes = require('./routes/qrAssignments');
+const publicRoutes = require('./routes/public');
+const itemCategoryRoutes = require('./routes/itemCategories');
+const { schedulePurge } = require('./utils/qrDeletion');
+const { scheduleExpirySweep } = require('./utils/qrExpiry');
+const { flagLegacyCodes } = require('./utils/qrCodeGenerator');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -38,6 +48,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/superadmin', superAdminRoutes);
+app.use('/api/qrcodes', qrCodeRoutes);
+app.use('/api/admin/batches', qrBatchRoutes);
+app.use('/api/admin/geofences', geofenceRoutes);
+app.use('/api/admin/assignments', qrAssignmentRoutes);
+app.use('/api/transfers', qrTransferRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/categories', itemCategoryRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -65,6 +82,9 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB Atlas');
+  schedulePurge();
+  scheduleExpirySweep();
+  flagLegacyCodes().catch(error => console.error('Flag legacy QR codes error:', error));
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
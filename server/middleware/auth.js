@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const QrClaim = require('../models/QrClaim');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -142,11 +144,87 @@ const canAccessUser = async (req, res, next) => {
   }
 };
 
+// What each level of access to a claimed QR code allows, lowest first:
+//   view   - see it, its location trail, scans, geofences and alerts
+//   edit   - also change its purpose, location, lost state and geofences
+//   manage - also share, publish, transfer or release it (holder only)
+const CLAIM_PERMISSIONS = ['view', 'edit', 'manage'];
+
+// Permission granted to each kind of user
+const CLAIM_ACCESS_PERMISSION = {
+  owner: 'manage',
+  'co-owner': 'edit',
+  viewer: 'view',
+  admin: 'view'
+};
+
+// Middleware to check if user can access a claimed QR code with at least `permission`.
+// Sets req.claim (with its QR code and category populated) and req.claimAccess.
+const canAccessClaim = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const claim = mongoose.isValidObjectId(req.params.claimId)
+        ? await QrClaim.findById(req.params.claimId)
+          .populate('qrCode', 'code status statusChangedAt batch validFrom validUntil')
+          .populate('category', 'name fields isActive')
+        : null;
+
+      // Claims on soft-deleted codes are hidden until the code is restored
+      if (!claim || !claim.qrCode) {
+        return res.status(404).json({
+          message: 'QR code not found',
+          code: 'QR_CLAIM_NOT_FOUND'
+        });
+      }
+
+      let access = null;
+      if (claim.user.equals(req.user._id)) {
+        access = 'owner';
+      } else {
+        const share = claim.sharedWith.find(entry => entry.user.equals(req.user._id));
+        if (share) {
+          access = share.role;
+        } else if (req.user.role === 'admin' || req.user.role === 'superadmin') {
+          // Admins may look at any claim; changes go through the admin endpoints
+          access = 'admin';
+        }
+      }
+
+      // Users with no access at all are told the claim does not exist
+      if (!access) {
+        return res.status(404).json({
+          message: 'QR code not found',
+          code: 'QR_CLAIM_NOT_FOUND'
+        });
+      }
+
+      const granted = CLAIM_ACCESS_PERMISSION[access];
+      if (CLAIM_PERMISSIONS.indexOf(granted) < CLAIM_PERMISSIONS.indexOf(permission)) {
+        return res.status(403).json({
+          message: 'Access denied. You do not have permission to do this with this QR code.',
+          code: 'ACCESS_DENIED'
+        });
+      }
+
+      req.claim = claim;
+      req.claimAccess = access;
+      next();
+    } catch (error) {
+      console.error('Can access claim middleware error:', error);
+      res.status(500).json({
+        message: 'Internal server error.',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  };
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
   requireUser,
   requireAdmin,
   requireSuperAdmin,
-  canAccessUser
+  canAccessUser,
+  canAccessClaim
 }; 
\ No newline at end of file
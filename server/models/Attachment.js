@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// What kind of file an attachment holds
+const ATTACHMENT_KINDS = ['image', 'document'];
+
+const attachmentSchema = new mongoose.Schema({
+  // Attachments belong to the holder's claim and are removed with it
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrClaim',
+    required: true
+  },
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ATTACHMENT_KINDS,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Caption cannot exceed 200 characters']
+  },
+  // Keys the file and its thumbnail are stored under; never sent to clients
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  thumbnailKey: {
+    type: String,
+    default: null,
+    select: false
+  },
+  hasThumbnail: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+attachmentSchema.index({ claim: 1, createdAt: 1 });
+attachmentSchema.index({ qrCode: 1 });
+
+attachmentSchema.statics.KINDS = ATTACHMENT_KINDS;
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
\ No newline at end of file
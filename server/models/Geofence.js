@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const pointSchema = new mongoose.Schema({
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, { _id: false });
+
+const geofenceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Geofence name is required'],
+    trim: true,
+    maxlength: [100, 'Geofence name cannot exceed 100 characters']
+  },
+  shape: {
+    type: String,
+    enum: ['circle', 'polygon'],
+    required: true
+  },
+  // Circle fences
+  center: pointSchema,
+  radius: {
+    type: Number,
+    min: [10, 'Radius must be at least 10 metres']
+  },
+  // Polygon fences, vertices in drawing order
+  points: {
+    type: [pointSchema],
+    default: undefined
+  },
+  // A fence applies to exactly one code or to every code in a batch
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    default: null
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrBatch',
+    default: null
+  },
+  // Set on fences the holder or a co-owner drew; they go when the claim does
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrClaim',
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+geofenceSchema.pre('validate', function(next) {
+  if (!this.qrCode === !this.batch) {
+    this.invalidate('qrCode', 'A geofence must belong to either a QR code or a batch');
+  }
+  if (this.shape === 'circle' && (!this.center || !this.radius)) {
+    this.invalidate('center', 'A circle geofence needs a centre and a radius');
+  }
+  if (this.shape === 'polygon' && (!this.points || this.points.length < 3)) {
+    this.invalidate('points', 'A polygon geofence needs at least 3 points');
+  }
+  next();
+});
+
+// Index for better query performance
+geofenceSchema.index({ qrCode: 1 });
+geofenceSchema.index({ batch: 1 });
+geofenceSchema.index({ claim: 1 });
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
\ No newline at end of file
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const geofenceAlertSchema = new mongoose.Schema({
+  geofence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence',
+    required: true
+  },
+  // Kept so the alert still reads sensibly after the fence is deleted
+  geofenceName: {
+    type: String,
+    required: true
+  },
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  lat: {
+    type: Number,
+    required: true
+  },
+  lng: {
+    type: Number,
+    required: true
+  },
+  accuracy: {
+    type: Number
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'geolocation', 'scan'],
+    required: true
+  },
+  // Metres between the reported position and the fence boundary
+  distance: {
+    type: Number,
+    required: true
+  },
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+geofenceAlertSchema.index({ qrCode: 1, triggeredAt: -1 });
+geofenceAlertSchema.index({ geofence: 1, triggeredAt: -1 });
+
+module.exports = mongoose.model('GeofenceAlert', geofenceAlertSchema);
\ No newline at end of file
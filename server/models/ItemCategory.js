@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Kinds of custom field a category can ask for
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'serial'];
+
+const categoryFieldSchema = new mongoose.Schema({
+  // Name the value is stored under on each claim; never changes once created
+  key: {
+    type: String,
+    required: true,
+    match: [/^[a-z][a-z0-9_]{0,39}$/, 'Field key must be lowercase letters, digits or underscores']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [60, 'Field label cannot exceed 60 characters']
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Choices for select fields
+  options: {
+    type: [String],
+    default: undefined
+  },
+  // Bounds for number fields
+  min: Number,
+  max: Number
+}, { _id: false });
+
+const itemCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  fields: {
+    type: [categoryFieldSchema],
+    default: []
+  },
+  // Archived categories keep their claims but cannot be chosen for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+itemCategorySchema.index({ isActive: 1, name: 1 });
+
+itemCategorySchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = mongoose.model('ItemCategory', itemCategorySchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// How a location point was obtained
+const LOCATION_SOURCES = ['manual', 'geolocation', 'scan'];
+
+const locationPointSchema = new mongoose.Schema({
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrClaim',
+    required: true
+  },
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    required: true
+  },
+  lat: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  lng: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  },
+  // Radius in metres within which the true position lies, when known
+  accuracy: {
+    type: Number,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: LOCATION_SOURCES,
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+locationPointSchema.index({ claim: 1, recordedAt: 1 });
+
+locationPointSchema.statics.SOURCES = LOCATION_SOURCES;
+
+module.exports = mongoose.model('LocationPoint', locationPointSchema);
\ No newline at end of file
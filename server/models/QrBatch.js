@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const qrBatchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Batch name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Department cannot exceed 100 characters']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Validity window applied to every code in the batch; codes keep their own copy
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+qrBatchSchema.index({ createdAt: -1 });
+qrBatchSchema.index({ department: 1 });
+
+module.exports = mongoose.model('QrBatch', qrBatchSchema);
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const qrClaimSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Purpose is required'],
+    trim: true,
+    maxlength: [200, 'Purpose cannot exceed 200 characters']
+  },
+  // What kind of item the code is on, and the values of that category's custom fields
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ItemCategory',
+    default: null
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Other users who can see (viewer) or also edit (co-owner) this code
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'co-owner'],
+      required: true
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  publicCard: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    showPurpose: {
+      type: Boolean,
+      default: true
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Message cannot exceed 500 characters']
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Contact name cannot exceed 100 characters']
+    },
+    contactEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    contactPhone: {
+      type: String,
+      trim: true,
+      match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number']
+    }
+  },
+  location: {
+    lat: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    lng: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  // When the location was last set or cleared, so a location captured offline
+  // can tell whether it is out of date by the time it is synced
+  locationUpdatedAt: Date,
+  // Set by the expiry sweep when the owner has been warned that the code's
+  // validity window is about to end; cleared if the window is changed
+  expiryWarnedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+qrClaimSchema.index({ user: 1, createdAt: -1 });
+qrClaimSchema.index({ 'sharedWith.user': 1 });
+qrClaimSchema.index({ category: 1 });
+
+module.exports = mongoose.model('QrClaim', qrClaimSchema);
\ No newline at end of file
@@ -1,5 +1,76 @@
 const mongoose = require('mongoose');
 
+// Lifecycle states a QR code can be in
+const QR_STATUSES = ['unassigned', 'claimed', 'suspended', 'lost', 'expired', 'retired'];
+
+// Allowed status transitions (from -> to). Retired is terminal. Expired codes
+// only come back when an admin extends their validity window.
+const STATUS_TRANSITIONS = {
+  unassigned: ['claimed', 'suspended', 'expired', 'retired'],
+  claimed: ['unassigned', 'suspended', 'lost', 'expired', 'retired'],
+  suspended: ['unassigned', 'claimed', 'expired', 'retired'],
+  lost: ['claimed', 'unassigned', 'suspended', 'expired', 'retired'],
+  expired: ['unassigned', 'claimed', 'suspended', 'lost', 'retired'],
+  retired: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: QR_STATUSES
+  },
+  to: {
+    type: String,
+    enum: QR_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+// An admin's reservation of an unassigned code for one user or for anyone in a
+// department, with item details to pre-fill when the assignee acknowledges it
+const assignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Department cannot exceed 100 characters']
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Purpose cannot exceed 200 characters']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ItemCategory'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const qrCodeSchema = new mongoose.Schema({
   code: {
     type: String,
@@ -14,7 +85,178 @@ const qrCodeSchema = new mongoose.Schema({
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrBatch',
+    default: null
+  },
+  // False for codes printed without a Luhn check digit: ones from before check
+  // digits were added and imports marked check_digit=no. Only these can be typed
+  // in without a valid check digit.
+  hasCheckDigit: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: QR_STATUSES,
+    default: 'unassigned'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  // Optional validity window, e.g. for event passes or loaner tags. Outside it the
+  // code cannot be claimed and scans report it as not valid; the expiry sweep
+  // moves codes past validUntil to expired.
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Set while the code is pre-assigned; nobody else can claim it until it is
+  // acknowledged, declined or the admin cancels the assignment
+  assignment: {
+    type: assignmentSchema,
+    default: null
+  },
+  // Set when an admin soft-deletes the code; it is purged once the retention window passes
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deleteReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+});
+
+// Index for better query performance
+qrCodeSchema.index({ status: 1 });
+qrCodeSchema.index({ batch: 1, status: 1 });
+qrCodeSchema.index({ deletedAt: 1 });
+qrCodeSchema.index({ validUntil: 1, status: 1 });
+qrCodeSchema.index({ 'assignment.user': 1 });
+qrCodeSchema.index({ 'assignment.department': 1 });
+
+// Soft-deleted codes are left out of every query unless its filter mentions
+// deletedAt itself, e.g. { deletedAt: { $ne: null } } to list the deleted ones
+qrCodeSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+  if (!Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+    this.where({ deletedAt: null });
   }
 });
 
-module.exports = mongoose.model('QrCode', qrCodeSchema); 
\ No newline at end of file
+qrCodeSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!first?.$match || !Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt')) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Static method to check whether a transition is allowed
+qrCodeSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Method to check whether this code can move to the given status
+qrCodeSchema.methods.canTransitionTo = function(status) {
+  return this.constructor.canTransition(this.status, status);
+};
+
+// Method to tell where a moment falls in the validity window:
+// 'pending' before validFrom, 'expired' from validUntil on, 'valid' otherwise
+qrCodeSchema.methods.validityAt = function(date = new Date()) {
+  if (this.validFrom && date < this.validFrom) return 'pending';
+  if (this.validUntil && date >= this.validUntil) return 'expired';
+  return 'valid';
+};
+
+// Method to get the status the code is in now, counting codes whose window has
+// ended as expired before the sweep has caught up with them
+qrCodeSchema.methods.currentStatus = function() {
+  return this.validityAt() === 'expired' && this.canTransitionTo('expired') ? 'expired' : this.status;
+};
+
+// Method to tell whether the code is pre-assigned to `user`, directly or
+// through their department. Departments are matched ignoring case.
+qrCodeSchema.methods.isAssignedTo = function(user) {
+  if (!this.assignment) return false;
+  if (this.assignment.user) return this.assignment.user.equals(user._id);
+  return !!user.department && user.department.trim().toLowerCase() === this.assignment.department.toLowerCase();
+};
+
+// Static method to build a filter for the codes pre-assigned to `user`,
+// matching the same way as isAssignedTo()
+qrCodeSchema.statics.assignedToFilter = function(user) {
+  const targets = [{ 'assignment.user': user._id }];
+  if (user.department && user.department.trim()) {
+    const department = user.department.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    targets.push({ 'assignment.user': null, 'assignment.department': new RegExp(`^${department}$`, 'i') });
+  }
+  return { assignment: { $ne: null }, $or: targets };
+};
+
+// Method to change status, recording who made the change and why.
+// Callers are expected to check canTransitionTo() first; this throws otherwise.
+qrCodeSchema.methods.transitionTo = function(status, userId, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change QR code status from ${this.status} to ${status}`);
+  }
+
+  const changedAt = new Date();
+  this.statusHistory.push({ from: this.status, to: status, changedBy: userId, changedAt, reason });
+  this.status = status;
+  this.statusChangedAt = changedAt;
+  this.statusChangedBy = userId;
+  return this;
+};
+
+// Static method to move every matching code that allows it to a new status.
+// Runs one update per source status so each history entry records where the code came from.
+// A string `status` in the filter limits the change to codes currently in that status.
+qrCodeSchema.statics.bulkTransition = async function(filter, to, userId, reason) {
+  const fromStatuses = QR_STATUSES.filter(from =>
+    this.canTransition(from, to) && (!filter.status || filter.status === from)
+  );
+  const changedAt = new Date();
+  let modifiedCount = 0;
+
+  for (const from of fromStatuses) {
+    const result = await this.updateMany(
+      { ...filter, status: from },
+      {
+        $set: { status: to, statusChangedAt: changedAt, statusChangedBy: userId },
+        $push: { statusHistory: { from, to, changedBy: userId, changedAt, reason } }
+      }
+    );
+    modifiedCount += result.modifiedCount;
+  }
+
+  return modifiedCount;
+};
+
+qrCodeSchema.statics.STATUSES = QR_STATUSES;
+qrCodeSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+// deletedAt filter that matches codes whether or not they are deleted, for
+// checks that must see every stored code such as code uniqueness
+qrCodeSchema.statics.ANY_DELETION_STATE = { $ne: false };
+
+module.exports = mongoose.model('QrCode', qrCodeSchema);
\ No newline at end of file
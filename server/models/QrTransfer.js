@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// pending  - waiting for the recipient
+// accepted - the recipient took over the code
+// declined - the recipient refused
+// cancelled - withdrawn by the sender, or superseded by a release or another transfer
+// expired  - not answered before expiresAt
+// forced   - moved by an admin without asking the recipient
+const TRANSFER_STATUSES = ['pending', 'accepted', 'declined', 'cancelled', 'expired', 'forced'];
+
+const qrTransferSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    trim: true
+  },
+  fromUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: TRANSFER_STATUSES,
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  },
+  // Admin who forced the transfer, and why
+  forcedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+qrTransferSchema.index({ qrCode: 1, createdAt: -1 });
+qrTransferSchema.index({ toUser: 1, status: 1 });
+qrTransferSchema.index({ fromUser: 1, status: 1 });
+
+qrTransferSchema.statics.STATUSES = TRANSFER_STATUSES;
+
+module.exports = mongoose.model('QrTransfer', qrTransferSchema);
\ No newline at end of file
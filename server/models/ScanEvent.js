@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Where a scan came from; 'audit' scans mark a code as seen in place during a stock check
+const SCAN_SOURCES = ['scanner', 'upload', 'public', 'audit'];
+
+const scanEventSchema = new mongoose.Schema({
+  qrCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Copied from the code so batch totals do not need a join
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QrBatch',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: SCAN_SOURCES,
+    required: true
+  },
+  signature: {
+    type: String,
+    enum: ['valid', 'unsigned', 'forged'],
+    required: true
+  },
+  // Rounded to roughly 1km so the log never holds a precise position
+  location: {
+    lat: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    lng: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for better query performance
+scanEventSchema.index({ qrCode: 1, scannedAt: -1 });
+scanEventSchema.index({ batch: 1, scannedAt: -1 });
+
+scanEventSchema.statics.SOURCES = SCAN_SOURCES;
+
+module.exports = mongoose.model('ScanEvent', scanEventSchema);
\ No newline at end of file
@@ -1,8 +1,24 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
+const QRCode = require('qrcode');
 const User = require('../models/User');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const QrBatch = require('../models/QrBatch');
+const { LABEL_LAYOUTS, resolveLayout, renderLabelSheet } = require('../utils/labelSheet');
+const { createQrCodes } = require('../utils/qrCodeGenerator');
+const { buildPayload } = require('../utils/qrSignature');
+const { EC_LEVELS, resolveExportOptions, renderQrSvg, renderQrPdf } = require('../utils/qrRender');
+const { createZipWriter } = require('../utils/zipWriter');
+const { buildScanFilter, findScanPage } = require('../utils/scanLog');
+const QrTransfer = require('../models/QrTransfer');
+const { cancelPendingTransfers, moveClaim } = require('../utils/qrTransfer');
+const { validateImport, applyImport, formatImportRow } = require('../utils/qrImport');
+const { RETENTION_DAYS, getRestoreDeadline, purgeQrCodes, purgeExpiredQrCodes } = require('../utils/qrDeletion');
+const { validityValidation, getValidityFields, expireQrCodes, applyValidity } = require('../utils/qrExpiry');
+const { ANALYTICS_INTERVALS, MAX_RANGE_DAYS, parseAnalyticsRange, buildQrAnalytics } = require('../utils/qrAnalytics');
 
 const router = express.Router();
 
@@ -361,28 +377,959 @@ router.get('/dashboard', [authenticateToken, requireAdmin], async (req, res) =>
   }
 });
 
+// @route   GET /api/admin/analytics
+// @desc    Get QR program metrics for a date range
+// @access  Private (Admin)
+router.get('/analytics', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const range = parseAnalyticsRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        message: `Choose a valid date range of at most ${MAX_RANGE_DAYS} days and an interval of ${ANALYTICS_INTERVALS.join(', ')}`,
+        code: 'INVALID_ANALYTICS_RANGE'
+      });
+    }
+
+    const analytics = await buildQrAnalytics(range);
+
+    res.json({ analytics });
+
+  } catch (error) {
+    console.error('QR analytics error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching QR analytics',
+      code: 'QR_ANALYTICS_ERROR'
+    });
+  }
+});
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @route   GET /api/admin/qrcodes
+// @desc    Get QR code inventory with filters (admin only)
+// @access  Private (Admin)
+router.get('/qrcodes', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { page = 1, limit = 10, prefix = '', status = '', createdBy = '', batch = '', from = '', to = '', deleted = '' } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    // Deleted codes are listed on their own, most recently deleted first
+    const showDeleted = deleted === 'true';
+    if (showDeleted) {
+      filter.deletedAt = { $ne: null };
+    }
+
+    if (prefix) {
+      filter.code = { $regex: `^${escapeRegex(prefix)}` };
+    }
+
+    if (status) {
+      if (!QrCode.STATUSES.includes(status)) {
+        return res.status(400).json({
+          message: `Status must be one of: ${QrCode.STATUSES.join(', ')}`,
+          code: 'INVALID_QR_STATUS_FILTER'
+        });
+      }
+      filter.status = status;
+    }
+
+    if (createdBy) {
+      if (!mongoose.isValidObjectId(createdBy)) {
+        return res.status(400).json({
+          message: 'Invalid creator ID',
+          code: 'INVALID_CREATOR_ID'
+        });
+      }
+      filter.createdBy = createdBy;
+    }
+
+    if (batch) {
+      if (!mongoose.isValidObjectId(batch)) {
+        return res.status(400).json({
+          message: 'Invalid batch ID',
+          code: 'INVALID_BATCH_ID'
+        });
+      }
+      filter.batch = batch;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          message: 'Invalid date range',
+          code: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) {
+        // A bare date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+        filter.createdAt.$lt = toDate;
+      }
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    // Get QR codes with pagination
+    const qrCodes = await QrCode.find(filter)
+      .select('-statusHistory')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('batch', 'name')
+      .populate('deletedBy', 'firstName lastName email')
+      .populate('assignment.user', 'firstName lastName email')
+      .sort(showDeleted ? { deletedAt: -1 } : { createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    // Attach the current holder of each claimed code
+    const claims = await QrClaim.find({ qrCode: { $in: qrCodes.map(qr => qr._id) } })
+      .select('qrCode purpose user createdAt')
+      .populate('user', 'firstName lastName email')
+      .lean();
+    const claimsByCode = new Map(claims.map(claim => [claim.qrCode.toString(), claim]));
+    qrCodes.forEach(qr => {
+      qr.claim = claimsByCode.get(qr._id.toString()) || null;
+      qr.payload = buildPayload(qr.code);
+      if (qr.deletedAt) qr.restorableUntil = getRestoreDeadline(qr);
+    });
+
+    // Get total count for pagination
+    const total = await QrCode.countDocuments(filter);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.json({
+      qrCodes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalQrCodes: total,
+        hasNextPage,
+        hasPrevPage,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get QR codes error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching QR codes',
+      code: 'QR_CODES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/qrcodes/creators
+// @desc    Get users who have generated QR codes (admin only)
+// @access  Private (Admin)
+router.get('/qrcodes/creators', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const creatorIds = await QrCode.distinct('createdBy');
+    const creators = await User.find({ _id: { $in: creatorIds } })
+      .select('firstName lastName email')
+      .sort({ firstName: 1, lastName: 1 });
+
+    res.json({
+      creators
+    });
+
+  } catch (error) {
+    console.error('Get QR creators error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching QR code creators',
+      code: 'QR_CREATORS_FETCH_ERROR'
+    });
+  }
+});
+
 // @route   POST /api/admin/qrcodes
-// @desc    Save generated QR codes
+// @desc    Generate and save new QR codes
 // @access  Admin only
-router.post('/qrcodes', authenticateToken, async (req, res) => {
+router.post('/qrcodes', [
+  authenticateToken,
+  requireAdmin,
+  body('count')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Count must be between 1 and 1000'),
+  ...validityValidation
+], async (req, res) => {
   try {
-    if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-    const { codes } = req.body;
-    if (!Array.isArray(codes) || codes.length === 0) {
-      return res.status(400).json({ message: 'No codes provided' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
-    const qrDocs = codes.map(code => ({ code, createdBy: req.user._id }));
-    const savedCodes = await QrCode.insertMany(qrDocs, { ordered: false });
+
+    const savedCodes = await createQrCodes(parseInt(req.body.count), { createdBy: req.user._id, ...getValidityFields(req.body) });
     res.status(201).json({ success: true, codes: savedCodes });
   } catch (error) {
-    // Handle duplicate codes gracefully
-    if (error.code === 11000) {
-      return res.status(409).json({ message: 'Some codes already exist' });
+    console.error('Generate QR codes error:', error);
+    res.status(500).json({
+      message: 'Server error while generating QR codes',
+      code: 'QR_GENERATE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/import
+// @desc    Register pre-printed QR codes from a CSV file, or preview the import with dryRun
+// @access  Admin only
+router.post('/qrcodes/import', [
+  authenticateToken,
+  requireAdmin,
+  body('csv')
+    .isString()
+    .notEmpty()
+    .withMessage('CSV content is required'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  body('checkDigits')
+    .optional()
+    .isBoolean()
+    .withMessage('checkDigits must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const checkDigits = req.body.checkDigits === true || req.body.checkDigits === 'true';
+    const { rows, error } = await validateImport(req.body.csv, { checkDigits });
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        code: 'INVALID_IMPORT_FILE'
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    if (!dryRun) {
+      await applyImport(rows, req.user._id);
+    }
+
+    const count = (status) => rows.filter(row => row.status === status).length;
+    const summary = {
+      total: rows.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      imported: count('imported')
+    };
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? `${summary.valid} of ${summary.total} rows can be imported`
+        : `Imported ${summary.imported} of ${summary.total} rows`,
+      dryRun,
+      summary,
+      rows: rows.map(formatImportRow)
+    });
+  } catch (error) {
+    console.error('Import QR codes error:', error);
+    res.status(500).json({
+      message: 'Server error while importing QR codes',
+      code: 'QR_IMPORT_ERROR'
+    });
+  }
+});
+
+// Validation for optional status change reason
+const statusReasonValidation = body('reason')
+  .optional()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Reason cannot exceed 200 characters');
+
+// Change a QR code's status if its current state allows it
+const changeQrStatus = async (req, res, targetStatus, action) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  let qrCode = await QrCode.findOne({ code: req.params.code });
+  if (!qrCode) {
+    return res.status(404).json({
+      message: 'QR code not found',
+      code: 'QR_NOT_FOUND'
+    });
+  }
+
+  // Reinstated codes go back to their holder if one still has a claim
+  const status = typeof targetStatus === 'function' ? await targetStatus(qrCode) : targetStatus;
+
+  if (!qrCode.canTransitionTo(status)) {
+    return res.status(409).json({
+      message: `Cannot ${action} a QR code that is ${qrCode.status}`,
+      code: 'INVALID_QR_STATUS',
+      status: qrCode.status
+    });
+  }
+
+  qrCode.transitionTo(status, req.user._id, req.body.reason);
+  await qrCode.save();
+
+  // A code whose window ended while it was suspended expires right away rather
+  // than staying active until the next sweep
+  if (qrCode.validityAt() === 'expired' && await expireQrCodes({ _id: qrCode._id }, req.user._id)) {
+    qrCode = await QrCode.findById(qrCode._id);
+  }
+
+  res.json({
+    message: qrCode.status === status
+      ? `QR code ${status} successfully`
+      : `QR code ${status}, then expired as its validity window has ended`,
+    qrCode
+  });
+};
+
+// @route   POST /api/admin/qrcodes/:code/suspend
+// @desc    Suspend a QR code so it cannot be claimed or edited
+// @access  Private (Admin)
+router.post('/qrcodes/:code/suspend', [authenticateToken, requireAdmin, statusReasonValidation], async (req, res) => {
+  try {
+    await changeQrStatus(req, res, 'suspended', 'suspend');
+  } catch (error) {
+    console.error('Suspend QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while suspending QR code',
+      code: 'QR_SUSPEND_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/:code/reinstate
+// @desc    Lift a QR code suspension
+// @access  Private (Admin)
+router.post('/qrcodes/:code/reinstate', [authenticateToken, requireAdmin, statusReasonValidation], async (req, res) => {
+  try {
+    const reinstatedStatus = async (qrCode) => {
+      // Only suspended codes can be reinstated; anything else is rejected as a no-op
+      if (qrCode.status !== 'suspended') return qrCode.status;
+      const claim = await QrClaim.exists({ qrCode: qrCode._id });
+      return claim ? 'claimed' : 'unassigned';
+    };
+    await changeQrStatus(req, res, reinstatedStatus, 'reinstate');
+  } catch (error) {
+    console.error('Reinstate QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while reinstating QR code',
+      code: 'QR_REINSTATE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/:code/retire
+// @desc    Permanently retire a QR code
+// @access  Private (Admin)
+router.post('/qrcodes/:code/retire', [authenticateToken, requireAdmin, statusReasonValidation], async (req, res) => {
+  try {
+    await changeQrStatus(req, res, 'retired', 'retire');
+  } catch (error) {
+    console.error('Retire QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while retiring QR code',
+      code: 'QR_RETIRE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/qrcodes/:code/validity
+// @desc    Set or clear a QR code's validity window. A code whose window has ended
+//          expires now; an expired code given a longer window returns to its holder.
+// @access  Private (Admin)
+router.put('/qrcodes/:code/validity', [authenticateToken, requireAdmin, ...validityValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const qrCode = await QrCode.findOne({ code: req.params.code });
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+    if (qrCode.status === 'retired') {
+      return res.status(409).json({
+        message: 'Cannot change the validity of a QR code that is retired',
+        code: 'INVALID_QR_STATUS',
+        status: qrCode.status
+      });
+    }
+
+    await applyValidity({ _id: qrCode._id }, getValidityFields(req.body), req.user._id);
+
+    res.json({
+      message: 'QR code validity updated successfully',
+      qrCode: await QrCode.findById(qrCode._id)
+    });
+
+  } catch (error) {
+    console.error('Update QR code validity error:', error);
+    res.status(500).json({
+      message: 'Server error while updating QR code validity',
+      code: 'QR_VALIDITY_ERROR'
+    });
+  }
+});
+
+// Load a soft-deleted QR code by its code or send a 404
+const findDeletedQrCode = async (req, res) => {
+  const qrCode = await QrCode.findOne({ code: req.params.code, deletedAt: { $ne: null } });
+  if (!qrCode) {
+    res.status(404).json({
+      message: 'Deleted QR code not found',
+      code: 'QR_NOT_FOUND'
+    });
+  }
+  return qrCode;
+};
+
+// @route   DELETE /api/admin/qrcodes/:code
+// @desc    Soft-delete a QR code; it can be restored until the retention window passes
+// @access  Private (Admin)
+router.delete('/qrcodes/:code', [
+  authenticateToken,
+  requireAdmin,
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('A reason of at most 200 characters is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const qrCode = await QrCode.findOne({ code: req.params.code });
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+
+    // A holder's claim stays in place but is hidden while the code is deleted
+    qrCode.deletedAt = new Date();
+    qrCode.deletedBy = req.user._id;
+    qrCode.deleteReason = req.body.reason;
+    await qrCode.save();
+    await cancelPendingTransfers(qrCode._id);
+
+    res.json({
+      message: `QR code deleted; it can be restored for ${RETENTION_DAYS} days`,
+      restorableUntil: getRestoreDeadline(qrCode)
+    });
+
+  } catch (error) {
+    console.error('Delete QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting QR code',
+      code: 'QR_DELETE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/:code/restore
+// @desc    Restore a soft-deleted QR code within the retention window
+// @access  Private (Admin)
+router.post('/qrcodes/:code/restore', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const qrCode = await findDeletedQrCode(req, res);
+    if (!qrCode) return;
+
+    if (getRestoreDeadline(qrCode) < new Date()) {
+      return res.status(410).json({
+        message: 'The retention window has passed; this QR code can only be purged',
+        code: 'QR_RESTORE_EXPIRED'
+      });
+    }
+
+    qrCode.deletedAt = null;
+    qrCode.deletedBy = undefined;
+    qrCode.deleteReason = undefined;
+    await qrCode.save();
+
+    res.json({
+      message: 'QR code restored',
+      qrCode
+    });
+
+  } catch (error) {
+    console.error('Restore QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while restoring QR code',
+      code: 'QR_RESTORE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/qrcodes/:code/purge
+// @desc    Permanently remove a soft-deleted QR code and everything recorded about it
+// @access  Private (Admin)
+router.delete('/qrcodes/:code/purge', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const qrCode = await findDeletedQrCode(req, res);
+    if (!qrCode) return;
+
+    await purgeQrCodes({ _id: qrCode._id });
+
+    res.json({
+      message: 'QR code permanently deleted'
+    });
+
+  } catch (error) {
+    console.error('Purge QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while purging QR code',
+      code: 'QR_PURGE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/purge
+// @desc    Permanently remove every deleted QR code past its retention window now
+// @access  Private (Admin)
+router.post('/qrcodes/purge', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const purged = await purgeExpiredQrCodes();
+
+    res.json({
+      message: `Purged ${purged} QR code(s)`,
+      purged
+    });
+
+  } catch (error) {
+    console.error('Purge expired QR codes error:', error);
+    res.status(500).json({
+      message: 'Server error while purging QR codes',
+      code: 'QR_PURGE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/qrcodes/:code/scans
+// @desc    Get the scan history of a QR code
+// @access  Private (Admin)
+router.get('/qrcodes/:code/scans', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const qrCode = await QrCode.findOne({ code: req.params.code }).select('_id');
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+
+    const filter = buildScanFilter({ qrCode: qrCode._id }, req.query);
+    if (!filter) {
+      return res.status(400).json({
+        message: 'Invalid date range',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    res.json(await findScanPage(filter, req.query));
+
+  } catch (error) {
+    console.error('Get QR scans error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching scan history',
+      code: 'QR_SCANS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/qrcodes/:code/transfers
+// @desc    Get the ownership transfer history of a QR code
+// @access  Private (Admin)
+router.get('/qrcodes/:code/transfers', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const transfers = await QrTransfer.find({ code: req.params.code })
+      .populate('fromUser', 'firstName lastName email')
+      .populate('toUser', 'firstName lastName email')
+      .populate('forcedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      transfers
+    });
+
+  } catch (error) {
+    console.error('Get QR transfers error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching transfers',
+      code: 'TRANSFERS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/:code/transfer
+// @desc    Move a claimed QR code to another user without their acceptance
+// @access  Private (Admin)
+router.post('/qrcodes/:code/transfer', [
+  authenticateToken,
+  requireAdmin,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email address'),
+  statusReasonValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const qrCode = await QrCode.findOne({ code: req.params.code }).select('code status');
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+
+    const claim = await QrClaim.findOne({ qrCode: qrCode._id });
+    if (!claim || !['claimed', 'lost'].includes(qrCode.status)) {
+      return res.status(409).json({
+        message: `Cannot transfer a QR code that is ${qrCode.status}`,
+        code: 'INVALID_QR_STATUS',
+        status: qrCode.status
+      });
+    }
+
+    const recipient = await User.findByEmail(req.body.email);
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({
+        message: 'No active user with that email address',
+        code: 'RECIPIENT_NOT_FOUND'
+      });
+    }
+
+    if (claim.user.equals(recipient._id)) {
+      return res.status(400).json({
+        message: 'This user already holds the QR code',
+        code: 'TRANSFER_TO_SELF'
+      });
+    }
+
+    await cancelPendingTransfers(qrCode._id);
+
+    const transfer = await QrTransfer.create({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      purpose: claim.purpose,
+      fromUser: claim.user,
+      toUser: recipient._id,
+      status: 'forced',
+      respondedAt: new Date(),
+      forcedBy: req.user._id,
+      reason: req.body.reason
+    });
+
+    const newClaim = await moveClaim(claim, recipient._id);
+
+    res.json({
+      message: `QR code transferred to ${recipient.email}`,
+      transfer,
+      claim: newClaim
+    });
+
+  } catch (error) {
+    console.error('Force transfer error:', error);
+    res.status(500).json({
+      message: 'Server error while transferring QR code',
+      code: 'TRANSFER_FORCE_ERROR'
+    });
+  }
+});
+
+// Validation for choosing codes to print: a whole batch or a list of codes
+const printSelectionValidation = [
+  body('batchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid batch ID'),
+  body('codes')
+    .optional()
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Between 1 and 1000 codes are required'),
+  body('codes.*')
+    .isString()
+    .matches(/^\d{16}$/)
+    .withMessage('Each code must be 16 digits')
+];
+
+// Load the codes named by `batchId` or `codes` in the request body, sorted by
+// code, or send the error response and return null. Retired codes in a batch
+// are skipped, as they can never be claimed again.
+const findPrintableCodes = async (req, res, fields) => {
+  const { batchId, codes } = req.body;
+  if (!batchId === !codes) {
+    res.status(400).json({
+      message: 'Provide either a batch or a list of codes',
+      code: 'LABEL_SOURCE_REQUIRED'
+    });
+    return null;
+  }
+
+  let batch = null;
+  let query;
+  if (batchId) {
+    batch = await QrBatch.findById(batchId);
+    if (!batch) {
+      res.status(404).json({
+        message: 'Batch not found',
+        code: 'BATCH_NOT_FOUND'
+      });
+      return null;
+    }
+    query = QrCode.find({ batch: batch._id, status: { $ne: 'retired' } });
+  } else {
+    query = QrCode.find({ code: { $in: codes } });
+  }
+
+  let qrCodes = query.select(fields).sort({ code: 1 });
+  if (fields.includes('batch')) qrCodes = qrCodes.populate('batch', 'name');
+  if (fields.includes('createdBy')) qrCodes = qrCodes.populate('createdBy', 'firstName lastName email');
+  qrCodes = await qrCodes;
+
+  if (!batchId) {
+    const found = new Set(qrCodes.map(qr => qr.code));
+    const missing = codes.filter(code => !found.has(code));
+    if (missing.length > 0) {
+      res.status(404).json({
+        message: 'Some codes do not exist',
+        code: 'QR_NOT_FOUND',
+        missing
+      });
+      return null;
+    }
+  }
+
+  if (qrCodes.length === 0) {
+    res.status(400).json({
+      message: 'No printable codes found',
+      code: 'NO_PRINTABLE_CODES'
+    });
+    return null;
+  }
+
+  return { qrCodes, batch };
+};
+
+// @route   GET /api/admin/qrcodes/label-layouts
+// @desc    Get the available label-sheet layouts
+// @access  Private (Admin)
+router.get('/qrcodes/label-layouts', [authenticateToken, requireAdmin], (req, res) => {
+  res.json({
+    layouts: LABEL_LAYOUTS
+  });
+});
+
+// @route   POST /api/admin/qrcodes/labels
+// @desc    Render a batch or a selection of codes as a printable label-sheet PDF
+// @access  Private (Admin)
+router.post('/qrcodes/labels', [
+  authenticateToken,
+  requireAdmin,
+  ...printSelectionValidation,
+  body('layout')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { batchId } = req.body;
+
+    const { layout, error } = resolveLayout(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        code: 'INVALID_LABEL_LAYOUT'
+      });
+    }
+
+    const selection = await findPrintableCodes(req, res, 'code');
+    if (!selection) return;
+    const { qrCodes, batch } = selection;
+    const title = batch ? `${batch.name} labels` : 'QR code labels';
+
+    const labels = qrCodes.map(qr => ({ code: qr.code, payload: buildPayload(qr.code) }));
+    const filename = batchId ? `batch-${batchId}-labels.pdf` : 'qr-labels.pdf';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    renderLabelSheet(labels, layout, res, title);
+
+  } catch (error) {
+    console.error('Export QR labels error:', error);
+    res.status(500).json({
+      message: 'Server error while exporting QR labels',
+      code: 'QR_LABELS_EXPORT_ERROR'
+    });
+  }
+});
+
+// Quote a value for a CSV file
+const csvField = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// @route   POST /api/admin/qrcodes/bundle
+// @desc    Download a batch or a selection of codes as a ZIP of PNG or SVG images with a CSV manifest
+// @access  Private (Admin)
+router.post('/qrcodes/bundle', [
+  authenticateToken,
+  requireAdmin,
+  ...printSelectionValidation,
+  body('format')
+    .optional()
+    .isIn(['png', 'svg'])
+    .withMessage('Format must be png or svg'),
+  body('errorCorrectionLevel')
+    .optional()
+    .isIn(EC_LEVELS)
+    .withMessage(`Error correction level must be one of ${EC_LEVELS.join(', ')}`),
+  body('width')
+    .optional()
+    .isInt({ min: 128, max: 2048 })
+    .withMessage('PNG width must be between 128 and 2048 pixels')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'png', errorCorrectionLevel = 'M', width = 512 } = req.body;
+
+    const selection = await findPrintableCodes(req, res, 'code batch createdBy createdAt');
+    if (!selection) return;
+    const { qrCodes, batch } = selection;
+
+    const filename = batch ? `batch-${batch._id}-qrcodes.zip` : 'qrcodes.zip';
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const zip = createZipWriter(res);
+    const manifest = [['code', 'file', 'payload', 'batch', 'created_by', 'created_by_email', 'created_at'].join(',')];
+
+    for (const qr of qrCodes) {
+      const payload = buildPayload(qr.code);
+      const file = `${format}/${qr.code}.${format}`;
+      if (format === 'png') {
+        const image = await QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel, width: parseInt(width), margin: 4 });
+        await zip.addFile(file, image, { compress: false });
+      } else {
+        const { options, symbol } = await resolveExportOptions(payload, { errorCorrectionLevel });
+        await zip.addFile(file, renderQrSvg(symbol, options));
+      }
+
+      const creator = qr.createdBy ? `${qr.createdBy.firstName} ${qr.createdBy.lastName}` : '';
+      manifest.push([qr.code, file, payload, qr.batch?.name, creator, qr.createdBy?.email, qr.createdAt.toISOString()]
+        .map(csvField).join(','));
+    }
+
+    await zip.addFile('manifest.csv', manifest.join('\n'));
+    zip.finish();
+
+  } catch (error) {
+    console.error('Export QR bundle error:', error);
+    // Once the archive has started streaming the status can no longer change
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
     }
-    res.status(500).json({ message: 'Server error', error: error.message });
+    res.status(500).json({
+      message: 'Server error while exporting QR codes',
+      code: 'QR_BUNDLE_EXPORT_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/qrcodes/:code/export
+// @desc    Export one QR code as a vector SVG or PDF with size, colour and logo options
+// @access  Private (Admin)
+router.post('/qrcodes/:code/export', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const qrCode = await QrCode.findOne({ code: req.params.code }).select('code');
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+
+    // Rejects colours, logo sizes and levels that would leave the symbol unscannable
+    const { options, symbol, error } = await resolveExportOptions(buildPayload(qrCode.code), req.body);
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        code: 'INVALID_EXPORT_OPTIONS'
+      });
+    }
+
+    // Render in full before any header is set, so a failure can still be reported
+    const output = options.format === 'svg'
+      ? renderQrSvg(symbol, options)
+      : await renderQrPdf(symbol, options, `QR code ${qrCode.code}`);
+
+    const filename = `${qrCode.code}.${options.format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(options.format === 'svg' ? 'image/svg+xml' : 'application/pdf').send(output);
+
+  } catch (error) {
+    console.error('Export QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while exporting QR code',
+      code: 'QR_EXPORT_ERROR'
+    });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
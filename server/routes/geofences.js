@@ -0,0 +1,273 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Geofence = require('../models/Geofence');
+const GeofenceAlert = require('../models/GeofenceAlert');
+const QrCode = require('../models/QrCode');
+const QrBatch = require('../models/QrBatch');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { geofenceValidation, getShapeFields } = require('../utils/geofence');
+
+const router = express.Router();
+
+// Resolve the `code` or `batchId` a request targets into a fence filter.
+// Returns { filter } or { error: { status, body } }.
+const resolveTarget = async ({ code, batchId }) => {
+  if (code) {
+    const qrCode = await QrCode.findOne({ code }).select('_id');
+    if (!qrCode) {
+      return { error: { status: 404, body: { message: 'QR code not found', code: 'QR_NOT_FOUND' } } };
+    }
+    return { filter: { qrCode: qrCode._id } };
+  }
+
+  if (batchId) {
+    if (!mongoose.isValidObjectId(batchId)) {
+      return { error: { status: 400, body: { message: 'Invalid batch ID', code: 'INVALID_BATCH_ID' } } };
+    }
+    const batch = await QrBatch.findById(batchId).select('_id');
+    if (!batch) {
+      return { error: { status: 404, body: { message: 'Batch not found', code: 'BATCH_NOT_FOUND' } } };
+    }
+    return { filter: { batch: batch._id } };
+  }
+
+  return { filter: {} };
+};
+
+// @route   GET /api/admin/geofences
+// @desc    Get geofences, optionally for one code or batch
+// @access  Private (Admin)
+router.get('/', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { filter, error } = await resolveTarget(req.query);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const geofences = await Geofence.find(filter)
+      .populate('qrCode', 'code')
+      .populate('batch', 'name')
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      geofences
+    });
+
+  } catch (error) {
+    console.error('Get geofences error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching geofences',
+      code: 'GEOFENCES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/geofences
+// @desc    Attach a geofence to a QR code or a batch
+// @access  Private (Admin)
+router.post('/', [
+  authenticateToken,
+  requireAdmin,
+  body('code')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('QR code cannot be empty'),
+  body('batchId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid batch ID'),
+  ...geofenceValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code, batchId } = req.body;
+    if (!code === !batchId) {
+      return res.status(400).json({
+        message: 'Provide either a QR code or a batch',
+        code: 'GEOFENCE_TARGET_REQUIRED'
+      });
+    }
+
+    const { filter, error } = await resolveTarget({ code, batchId });
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    const geofence = await Geofence.create({
+      name: req.body.name,
+      ...getShapeFields(req.body),
+      ...filter,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Geofence created successfully',
+      geofence
+    });
+
+  } catch (error) {
+    console.error('Create geofence error:', error);
+    res.status(500).json({
+      message: 'Server error while creating geofence',
+      code: 'GEOFENCE_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/geofences/alerts
+// @desc    Get out-of-zone alerts for a code, a batch or a single fence
+// @access  Private (Admin)
+router.get('/alerts', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, code = '', batchId = '', geofenceId = '' } = req.query;
+
+    const filter = {};
+    if (code) {
+      filter.code = code;
+    }
+    if (geofenceId) {
+      if (!mongoose.isValidObjectId(geofenceId)) {
+        return res.status(400).json({
+          message: 'Invalid geofence ID',
+          code: 'INVALID_GEOFENCE_ID'
+        });
+      }
+      filter.geofence = geofenceId;
+    }
+    if (batchId) {
+      if (!mongoose.isValidObjectId(batchId)) {
+        return res.status(400).json({
+          message: 'Invalid batch ID',
+          code: 'INVALID_BATCH_ID'
+        });
+      }
+      const codeIds = await QrCode.find({ batch: batchId }).distinct('_id');
+      filter.qrCode = { $in: codeIds };
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const alerts = await GeofenceAlert.find(filter)
+      .sort({ triggeredAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await GeofenceAlert.countDocuments(filter);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.json({
+      alerts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalAlerts: total,
+        hasNextPage,
+        hasPrevPage,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get geofence alerts error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching alerts',
+      code: 'GEOFENCE_ALERTS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/geofences/:geofenceId
+// @desc    Rename a geofence or switch it on or off
+// @access  Private (Admin)
+router.put('/:geofenceId', [
+  authenticateToken,
+  requireAdmin,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Geofence name must be between 1 and 100 characters'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const geofence = await Geofence.findById(req.params.geofenceId);
+    if (!geofence) {
+      return res.status(404).json({
+        message: 'Geofence not found',
+        code: 'GEOFENCE_NOT_FOUND'
+      });
+    }
+
+    const { name, active } = req.body;
+    if (name !== undefined) geofence.name = name;
+    if (active !== undefined) geofence.active = active;
+    await geofence.save();
+
+    res.json({
+      message: 'Geofence updated successfully',
+      geofence
+    });
+
+  } catch (error) {
+    console.error('Update geofence error:', error);
+    res.status(500).json({
+      message: 'Server error while updating geofence',
+      code: 'GEOFENCE_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/geofences/:geofenceId
+// @desc    Delete a geofence (its alerts are kept)
+// @access  Private (Admin)
+router.delete('/:geofenceId', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const geofence = await Geofence.findByIdAndDelete(req.params.geofenceId);
+    if (!geofence) {
+      return res.status(404).json({
+        message: 'Geofence not found',
+        code: 'GEOFENCE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Geofence deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete geofence error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting geofence',
+      code: 'GEOFENCE_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
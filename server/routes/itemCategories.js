@@ -0,0 +1,196 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const ItemCategory = require('../models/ItemCategory');
+const QrClaim = require('../models/QrClaim');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { categoryValidation, normalizeFields } = require('../utils/itemCategories');
+
+const router = express.Router();
+
+// Load the category named in the route or send a 404
+const findCategory = async (req, res) => {
+  const category = mongoose.isValidObjectId(req.params.categoryId)
+    ? await ItemCategory.findById(req.params.categoryId)
+    : null;
+  if (!category) {
+    res.status(404).json({
+      message: 'Category not found',
+      code: 'CATEGORY_NOT_FOUND'
+    });
+  }
+  return category;
+};
+
+// @route   GET /api/categories
+// @desc    Get item categories users can pick when claiming a code
+//          (admins can add ?includeArchived=true to see every category)
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin' || req.user.role === 'superadmin';
+    const filter = isAdmin && req.query.includeArchived === 'true' ? {} : { isActive: true };
+
+    const categories = await ItemCategory.find(filter).sort({ name: 1 }).lean();
+
+    // Admins also see how many claims use each category
+    if (isAdmin) {
+      const counts = await QrClaim.aggregate([
+        { $match: { category: { $in: categories.map(category => category._id) } } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ]);
+      const usage = new Map(counts.map(row => [row._id.toString(), row.count]));
+      categories.forEach(category => {
+        category.claimCount = usage.get(category._id.toString()) || 0;
+      });
+    }
+
+    res.json({ categories });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching categories',
+      code: 'CATEGORIES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create an item category with its custom fields
+// @access  Private (Admin)
+router.post('/', [authenticateToken, requireAdmin, ...categoryValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fields, error } = normalizeFields(req.body.fields);
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        code: 'INVALID_CATEGORY_FIELDS'
+      });
+    }
+
+    const category = await ItemCategory.create({
+      name: req.body.name,
+      description: req.body.description,
+      fields,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Category created successfully',
+      category
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'A category with this name already exists',
+        code: 'CATEGORY_NAME_TAKEN'
+      });
+    }
+
+    console.error('Create category error:', error);
+    res.status(500).json({
+      message: 'Server error while creating category',
+      code: 'CATEGORY_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:categoryId
+// @desc    Update a category. Existing fields keep their key and type; values
+//          already saved for removed fields stay on claims until they are edited.
+// @access  Private (Admin)
+router.put('/:categoryId', [authenticateToken, requireAdmin, ...categoryValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = await findCategory(req, res);
+    if (!category) return;
+
+    const { fields, error } = normalizeFields(req.body.fields, category.fields);
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        code: 'INVALID_CATEGORY_FIELDS'
+      });
+    }
+
+    category.name = req.body.name;
+    category.description = req.body.description;
+    category.fields = fields;
+    if (typeof req.body.isActive === 'boolean') {
+      category.isActive = req.body.isActive;
+    }
+    await category.save();
+
+    res.json({
+      message: 'Category updated successfully',
+      category
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'A category with this name already exists',
+        code: 'CATEGORY_NAME_TAKEN'
+      });
+    }
+
+    console.error('Update category error:', error);
+    res.status(500).json({
+      message: 'Server error while updating category',
+      code: 'CATEGORY_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:categoryId
+// @desc    Delete an unused category, or archive one that claims still use
+// @access  Private (Admin)
+router.delete('/:categoryId', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const category = await findCategory(req, res);
+    if (!category) return;
+
+    if (await QrClaim.exists({ category: category._id })) {
+      category.isActive = false;
+      await category.save();
+      return res.json({
+        message: 'Category is in use, so it was archived instead of deleted',
+        code: 'CATEGORY_ARCHIVED',
+        category
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      message: 'Category deleted successfully',
+      code: 'CATEGORY_DELETED'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting category',
+      code: 'CATEGORY_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,111 @@
+const express = require('express');
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const { verifySignature } = require('../utils/qrSignature');
+const { recordScan } = require('../utils/scanLog');
+
+const router = express.Router();
+
+// Messages shown to a stranger for codes that have no public card
+const STATUS_MESSAGES = {
+  unassigned: 'This QR code has not been registered to an item yet.',
+  suspended: 'This QR code is currently suspended.',
+  expired: 'This QR code has expired.',
+  retired: 'This QR code is no longer in use.'
+};
+
+// Message for codes whose validity window has not started yet
+const PENDING_MESSAGE = 'This QR code is not active yet.';
+
+// @route   GET /api/public/qrcodes/:code
+// @desc    Resolve a scanned QR code to its owner's public card
+// @access  Public
+router.get('/qrcodes/:code', async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { s: signature } = req.query;
+
+    if (!/^\d{16}$/.test(code)) {
+      return res.status(400).json({
+        message: 'This is not a recognised QR code',
+        code: 'QR_PAYLOAD_INVALID'
+      });
+    }
+
+    const verification = verifySignature(code, typeof signature === 'string' ? signature : null);
+    const qrCode = await QrCode.findOne({ code }).select('code status batch validFrom validUntil');
+
+    // Log rejected scans of real codes too; a forged label is worth knowing about.
+    // A position is only taken from the query of a signed scan, and only for the
+    // scan log: an anonymous scan never extends the holder's location trail or
+    // checks geofences.
+    if (qrCode) {
+      const { lat, lng } = req.query;
+      const located = verification.signature === 'valid' && lat !== undefined && lng !== undefined;
+      await recordScan(qrCode, {
+        req,
+        source: 'public',
+        signature: verification.signature,
+        location: located ? { lat, lng } : undefined
+      });
+    }
+
+    if (!verification.accepted) {
+      return res.status(400).json({
+        message: verification.signature === 'forged'
+          ? 'This QR code failed verification and may be counterfeit'
+          : 'Unsigned QR codes are no longer accepted',
+        code: verification.signature === 'forged' ? 'QR_SIGNATURE_FORGED' : 'QR_SIGNATURE_MISSING',
+        signature: verification.signature
+      });
+    }
+
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      });
+    }
+
+    // Codes outside their validity window never show a card
+    const status = qrCode.currentStatus();
+    const validity = qrCode.validityAt();
+    const result = {
+      code: qrCode.code,
+      status,
+      validity,
+      signature: verification.signature,
+      card: null
+    };
+
+    const claim = ['claimed', 'lost'].includes(status) && validity === 'valid'
+      ? await QrClaim.findOne({ qrCode: qrCode._id }).select('purpose publicCard')
+      : null;
+
+    if (claim && claim.publicCard && claim.publicCard.enabled) {
+      const { showPurpose, message, contactName, contactEmail, contactPhone } = claim.publicCard;
+      result.card = {
+        purpose: showPurpose ? claim.purpose : null,
+        message: message || null,
+        contactName: contactName || null,
+        contactEmail: contactEmail || null,
+        contactPhone: contactPhone || null
+      };
+    } else {
+      result.message = (validity === 'pending' && PENDING_MESSAGE) ||
+        STATUS_MESSAGES[status] ||
+        'The owner of this item has not shared any details.';
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Resolve public QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while resolving QR code',
+      code: 'QR_RESOLVE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
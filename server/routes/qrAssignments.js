@@ -0,0 +1,270 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const QrCode = require('../models/QrCode');
+const QrBatch = require('../models/QrBatch');
+const User = require('../models/User');
+const ItemCategory = require('../models/ItemCategory');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Most codes one assignment request can reserve
+const MAX_ASSIGNED_CODES = 1000;
+
+// Validation rules for pre-assigning codes
+const assignmentValidation = [
+  body('codes')
+    .optional()
+    .isArray({ min: 1, max: MAX_ASSIGNED_CODES })
+    .withMessage(`Send between 1 and ${MAX_ASSIGNED_CODES} codes`),
+  body('codes.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Codes must be non-empty strings'),
+  body('batchId')
+    .if(body('codes').not().exists())
+    .isMongoId()
+    .withMessage('Choose codes or a batch to assign'),
+  body('count')
+    .if(body('codes').not().exists())
+    .isInt({ min: 1, max: MAX_ASSIGNED_CODES })
+    .withMessage(`Count must be between 1 and ${MAX_ASSIGNED_CODES}`),
+  body('email')
+    .if(body('department').not().exists())
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Enter the email of a user or a department'),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Department must be between 1 and 100 characters'),
+  body('purpose')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Purpose cannot exceed 200 characters'),
+  body('category')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid category')
+];
+
+// Codes that can be reserved: unassigned, not reserved yet and inside or before their validity window
+const freeCodeFilter = () => ({
+  status: 'unassigned',
+  assignment: null,
+  $or: [{ validUntil: null }, { validUntil: { $gt: new Date() } }]
+});
+
+// Resolve the codes a request targets: listed codes, or the next `count` free
+// codes of a batch in the order they were generated. Returns { qrCodes } or
+// { error: { status, body } }.
+const resolveCodes = async ({ codes, batchId, count }) => {
+  if (codes) {
+    const unique = [...new Set(codes)];
+    const qrCodes = await QrCode.find({ code: { $in: unique } }).select('code status assignment');
+    const found = new Set(qrCodes.map(qrCode => qrCode.code));
+    const missing = unique.filter(code => !found.has(code));
+    if (missing.length > 0) {
+      return { error: { status: 404, body: { message: `QR codes not found: ${missing.join(', ')}`, code: 'QR_NOT_FOUND', codes: missing } } };
+    }
+
+    // Codes already reserved can be reassigned; claimed ones cannot
+    const taken = qrCodes.filter(qrCode => qrCode.status !== 'unassigned').map(qrCode => qrCode.code);
+    if (taken.length > 0) {
+      return { error: { status: 409, body: { message: `Only unassigned QR codes can be pre-assigned: ${taken.join(', ')}`, code: 'INVALID_QR_STATUS', codes: taken } } };
+    }
+    return { qrCodes };
+  }
+
+  const batch = await QrBatch.findById(batchId).select('_id');
+  if (!batch) {
+    return { error: { status: 404, body: { message: 'Batch not found', code: 'BATCH_NOT_FOUND' } } };
+  }
+
+  const wanted = parseInt(count);
+  const qrCodes = await QrCode.find({ batch: batch._id, ...freeCodeFilter() })
+    .select('code status assignment')
+    .sort({ createdAt: 1, code: 1 })
+    .limit(wanted);
+  if (qrCodes.length < wanted) {
+    return {
+      error: {
+        status: 409,
+        body: { message: `Only ${qrCodes.length} free QR code(s) left in this batch`, code: 'NOT_ENOUGH_CODES', available: qrCodes.length }
+      }
+    };
+  }
+  return { qrCodes };
+};
+
+// @route   GET /api/admin/assignments
+// @desc    Get pre-assigned codes waiting to be acknowledged, optionally for one
+//          batch, user or department
+// @access  Private (Admin)
+router.get('/', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { page = 1, limit = 20, batch = '', user = '', department = '' } = req.query;
+    const filter = { assignment: { $ne: null }, status: 'unassigned' };
+
+    if (batch) {
+      if (!mongoose.isValidObjectId(batch)) {
+        return res.status(400).json({
+          message: 'Invalid batch ID',
+          code: 'INVALID_BATCH_ID'
+        });
+      }
+      filter.batch = batch;
+    }
+    if (user) {
+      if (!mongoose.isValidObjectId(user)) {
+        return res.status(400).json({
+          message: 'Invalid user ID',
+          code: 'INVALID_USER_ID'
+        });
+      }
+      filter['assignment.user'] = user;
+    }
+    if (department) {
+      filter['assignment.department'] = department;
+    }
+
+    const assignments = await QrCode.find(filter)
+      .select('code batch assignment validFrom validUntil')
+      .populate('batch', 'name')
+      .populate('assignment.user', 'firstName lastName email department')
+      .populate('assignment.category', 'name')
+      .populate('assignment.assignedBy', 'firstName lastName email')
+      .sort({ 'assignment.assignedAt': -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await QrCode.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      assignments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalAssignments: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get QR assignments error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching assignments',
+      code: 'ASSIGNMENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/assignments
+// @desc    Pre-assign listed codes, or the next `count` free codes of a batch, to a
+//          user (by email) or a department, optionally with a purpose and category
+//          to pre-fill. Nobody else can claim them until the assignment ends.
+// @access  Private (Admin)
+router.post('/', [authenticateToken, requireAdmin, ...assignmentValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, department, purpose, category } = req.body;
+    const assignment = { assignedBy: req.user._id, assignedAt: new Date() };
+    let assignee = department;
+
+    if (department) {
+      assignment.department = department;
+    } else {
+      const user = await User.findByEmail(email);
+      if (!user || !user.isActive) {
+        return res.status(404).json({
+          message: 'No active user with that email address',
+          code: 'ASSIGNEE_NOT_FOUND'
+        });
+      }
+      assignment.user = user._id;
+      assignee = `${user.firstName} ${user.lastName}`;
+    }
+
+    if (category) {
+      if (!await ItemCategory.exists({ _id: category, isActive: true })) {
+        return res.status(400).json({
+          message: 'Category not found',
+          code: 'CATEGORY_NOT_FOUND'
+        });
+      }
+      assignment.category = category;
+    }
+    if (purpose) assignment.purpose = purpose;
+
+    const { qrCodes, error } = await resolveCodes(req.body);
+    if (error) {
+      return res.status(error.status).json(error.body);
+    }
+
+    // The status check guards against codes claimed since they were looked up
+    const ids = qrCodes.map(qrCode => qrCode._id);
+    const { modifiedCount } = await QrCode.updateMany(
+      { _id: { $in: ids }, status: 'unassigned' },
+      { $set: { assignment } }
+    );
+    const assigned = await QrCode.distinct('code', { _id: { $in: ids }, 'assignment.assignedAt': assignment.assignedAt });
+
+    res.status(201).json({
+      message: `Assigned ${modifiedCount} QR code(s) to ${assignee}`,
+      assigned: modifiedCount,
+      codes: assigned
+    });
+
+  } catch (error) {
+    console.error('Assign QR codes error:', error);
+    res.status(500).json({
+      message: 'Server error while assigning QR codes',
+      code: 'ASSIGNMENT_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/assignments/:code
+// @desc    Cancel a code's pre-assignment so anyone can claim it again
+// @access  Private (Admin)
+router.delete('/:code', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const qrCode = await QrCode.findOneAndUpdate(
+      { code: req.params.code, assignment: { $ne: null } },
+      { $set: { assignment: null } }
+    );
+    if (!qrCode) {
+      return res.status(404).json({
+        message: 'Assignment not found',
+        code: 'ASSIGNMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'QR code assignment cancelled',
+      code: qrCode.code
+    });
+
+  } catch (error) {
+    console.error('Cancel QR assignment error:', error);
+    res.status(500).json({
+      message: 'Server error while cancelling assignment',
+      code: 'ASSIGNMENT_CANCEL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,494 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const QrBatch = require('../models/QrBatch');
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { createQrCodes } = require('../utils/qrCodeGenerator');
+const { buildPayload } = require('../utils/qrSignature');
+const { buildScanFilter, summarizeScans } = require('../utils/scanLog');
+const { validityValidation, getValidityFields, expireQrCodes, applyValidity } = require('../utils/qrExpiry');
+
+const router = express.Router();
+
+// Validation rules
+const createBatchValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Batch name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('department')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Department cannot exceed 100 characters'),
+  body('quantity')
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Quantity must be between 1 and 1000'),
+  ...validityValidation
+];
+
+const batchIdValidation = param('batchId')
+  .isMongoId()
+  .withMessage('Invalid batch ID');
+
+// An empty status lists codes in every state
+const codeStatusFilterValidation = query('status')
+  .optional({ values: 'falsy' })
+  .isIn(QrCode.STATUSES)
+  .withMessage(`Status must be one of: ${QrCode.STATUSES.join(', ')}`);
+
+const statusReasonValidation = body('reason')
+  .optional()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Reason cannot exceed 200 characters');
+
+// Count codes per status for each batch and derive claim progress
+const getBatchProgress = async (batchIds) => {
+  const counts = await QrCode.aggregate([
+    { $match: { batch: { $in: batchIds } } },
+    { $group: { _id: { batch: '$batch', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const progress = new Map(batchIds.map(id => [id.toString(), {
+    total: 0,
+    byStatus: Object.fromEntries(QrCode.STATUSES.map(status => [status, 0]))
+  }]));
+
+  counts.forEach(({ _id, count }) => {
+    const entry = progress.get(_id.batch.toString());
+    entry.total += count;
+    entry.byStatus[_id.status] = count;
+  });
+
+  // Lost codes still have a holder, so they count as claimed
+  progress.forEach(entry => {
+    entry.claimed = entry.byStatus.claimed + entry.byStatus.lost;
+    entry.claimRate = entry.total ? entry.claimed / entry.total : 0;
+  });
+
+  return progress;
+};
+
+// Load the batch named in the route, or send a 400 for a malformed ID and a 404 if it does not exist
+const findBatch = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  const batch = await QrBatch.findById(req.params.batchId).populate('createdBy', 'firstName lastName email');
+  if (!batch) {
+    res.status(404).json({
+      message: 'Batch not found',
+      code: 'BATCH_NOT_FOUND'
+    });
+  }
+  return batch;
+};
+
+// @route   GET /api/admin/batches
+// @desc    Get QR batches with claim progress
+// @access  Private (Admin)
+router.get('/', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search = '', department = '' } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (department) {
+      filter.department = department;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const batches = await QrBatch.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const progress = await getBatchProgress(batches.map(batch => batch._id));
+    batches.forEach(batch => {
+      batch.progress = progress.get(batch._id.toString());
+    });
+
+    // Get total count for pagination
+    const total = await QrBatch.countDocuments(filter);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.json({
+      batches,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalBatches: total,
+        hasNextPage,
+        hasPrevPage,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get batches error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching batches',
+      code: 'BATCHES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/batches
+// @desc    Create a named batch and generate its QR codes
+// @access  Private (Admin)
+router.post('/', [authenticateToken, requireAdmin, ...createBatchValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, department } = req.body;
+    const quantity = parseInt(req.body.quantity);
+    const validity = getValidityFields(req.body);
+
+    const batch = new QrBatch({
+      name,
+      description,
+      department,
+      quantity,
+      ...validity,
+      createdBy: req.user._id
+    });
+    await batch.save();
+
+    try {
+      await createQrCodes(quantity, { createdBy: req.user._id, batch: batch._id, ...validity });
+    } catch (error) {
+      // Roll back so a batch never holds only part of its codes
+      await QrCode.deleteMany({ batch: batch._id });
+      await batch.deleteOne();
+      throw error;
+    }
+
+    await batch.populate('createdBy', 'firstName lastName email');
+
+    res.status(201).json({
+      message: 'Batch created successfully',
+      batch
+    });
+
+  } catch (error) {
+    console.error('Create batch error:', error);
+    res.status(500).json({
+      message: 'Server error while creating batch',
+      code: 'BATCH_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/batches/:batchId
+// @desc    Get a batch with its claim progress
+// @access  Private (Admin)
+router.get('/:batchId', [authenticateToken, requireAdmin, batchIdValidation], async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const progress = await getBatchProgress([batch._id]);
+
+    res.json({
+      batch,
+      progress: progress.get(batch._id.toString())
+    });
+
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching batch',
+      code: 'BATCH_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/batches/:batchId/codes
+// @desc    Get the QR codes in a batch
+// @access  Private (Admin)
+router.get('/:batchId/codes', [authenticateToken, requireAdmin, batchIdValidation, codeStatusFilterValidation], async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const { page = 1, limit = 50, status = '' } = req.query;
+
+    const filter = { batch: batch._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const qrCodes = await QrCode.find(filter)
+      .select('-statusHistory')
+      .sort({ code: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    qrCodes.forEach(qr => {
+      qr.payload = buildPayload(qr.code);
+    });
+
+    // Get total count for pagination
+    const total = await QrCode.countDocuments(filter);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.json({
+      qrCodes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalQrCodes: total,
+        hasNextPage,
+        hasPrevPage,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get batch codes error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching batch codes',
+      code: 'BATCH_CODES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/admin/batches/:batchId/scans
+// @desc    Get scan totals for every code in a batch
+// @access  Private (Admin)
+router.get('/:batchId/scans', [authenticateToken, requireAdmin, batchIdValidation], async (req, res) => {
+  try {
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const filter = buildScanFilter({ batch: batch._id }, req.query);
+    if (!filter) {
+      return res.status(400).json({
+        message: 'Invalid date range',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const summary = await summarizeScans(filter);
+
+    res.json({
+      batch: { _id: batch._id, name: batch.name },
+      summary
+    });
+
+  } catch (error) {
+    console.error('Get batch scans error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching batch scans',
+      code: 'BATCH_SCANS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/batches/:batchId/suspend
+// @desc    Suspend every code in a batch that can be suspended
+// @access  Private (Admin)
+router.post('/:batchId/suspend', [authenticateToken, requireAdmin, batchIdValidation, statusReasonValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const updated = await QrCode.bulkTransition({ batch: batch._id }, 'suspended', req.user._id, req.body.reason);
+
+    res.json({
+      message: `${updated} QR code(s) suspended`,
+      updated
+    });
+
+  } catch (error) {
+    console.error('Suspend batch error:', error);
+    res.status(500).json({
+      message: 'Server error while suspending batch',
+      code: 'BATCH_SUSPEND_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/batches/:batchId/reinstate
+// @desc    Lift the suspension of every suspended code in a batch
+// @access  Private (Admin)
+router.post('/:batchId/reinstate', [authenticateToken, requireAdmin, batchIdValidation, statusReasonValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    // Suspended codes that still have a holder go back to claimed, the rest to unassigned
+    const suspendedIds = await QrCode.distinct('_id', { batch: batch._id, status: 'suspended' });
+    const heldIds = await QrClaim.distinct('qrCode', { qrCode: { $in: suspendedIds } });
+
+    const reclaimed = await QrCode.bulkTransition(
+      { batch: batch._id, status: 'suspended', _id: { $in: heldIds } },
+      'claimed',
+      req.user._id,
+      req.body.reason
+    );
+    const released = await QrCode.bulkTransition(
+      { batch: batch._id, status: 'suspended' },
+      'unassigned',
+      req.user._id,
+      req.body.reason
+    );
+    const updated = reclaimed + released;
+
+    // Codes whose window ended while they were suspended expire right away
+    const expired = await expireQrCodes({ _id: { $in: suspendedIds } }, req.user._id);
+
+    res.json({
+      message: expired > 0
+        ? `${updated} QR code(s) reinstated, ${expired} of them expired`
+        : `${updated} QR code(s) reinstated`,
+      updated,
+      expired
+    });
+
+  } catch (error) {
+    console.error('Reinstate batch error:', error);
+    res.status(500).json({
+      message: 'Server error while reinstating batch',
+      code: 'BATCH_REINSTATE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/admin/batches/:batchId/validity
+// @desc    Set the validity window of a batch and every code in it. Codes whose
+//          window has ended expire now; expired codes given a longer window return.
+// @access  Private (Admin)
+router.put('/:batchId/validity', [authenticateToken, requireAdmin, batchIdValidation, ...validityValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const validity = getValidityFields(req.body);
+    batch.set(validity);
+    await batch.save();
+
+    // Retired codes keep whatever window they had
+    const { updated, expired, reinstated } = await applyValidity(
+      { batch: batch._id, status: { $ne: 'retired' } },
+      validity,
+      req.user._id
+    );
+
+    res.json({
+      message: `Validity updated for ${updated} QR code(s)`,
+      batch,
+      updated,
+      expired,
+      reinstated
+    });
+
+  } catch (error) {
+    console.error('Update batch validity error:', error);
+    res.status(500).json({
+      message: 'Server error while updating batch validity',
+      code: 'BATCH_VALIDITY_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/admin/batches/:batchId/retire
+// @desc    Retire every code in a batch
+// @access  Private (Admin)
+router.post('/:batchId/retire', [authenticateToken, requireAdmin, batchIdValidation, statusReasonValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await findBatch(req, res);
+    if (!batch) return;
+
+    const updated = await QrCode.bulkTransition({ batch: batch._id }, 'retired', req.user._id, req.body.reason);
+
+    res.json({
+      message: `${updated} QR code(s) retired`,
+      updated
+    });
+
+  } catch (error) {
+    console.error('Retire batch error:', error);
+    res.status(500).json({
+      message: 'Server error while retiring batch',
+      code: 'BATCH_RETIRE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
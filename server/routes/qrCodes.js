@@ -0,0 +1,1694 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const User = require('../models/User');
+const LocationPoint = require('../models/LocationPoint');
+const Geofence = require('../models/Geofence');
+const GeofenceAlert = require('../models/GeofenceAlert');
+const { authenticateToken, canAccessClaim } = require('../middleware/auth');
+const { isValidCode } = require('../utils/qrCodeGenerator');
+const { verifyPayload } = require('../utils/qrSignature');
+const { recordScan, findScanPage } = require('../utils/scanLog');
+const { checkGeofences, geofenceValidation, getShapeFields } = require('../utils/geofence');
+const { cancelPendingTransfers } = require('../utils/qrTransfer');
+const { applyCategory } = require('../utils/itemCategories');
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('../utils/storage');
+const {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_CODE,
+  ALLOWED_TYPES_LABEL,
+  detectFileType,
+  uploadAttachment,
+  storeAttachment,
+  removeAttachments
+} = require('../utils/attachments');
+const { uploadQrImage, decodeRateLimit, withDecodeSlot, decodeQrImage, decodeAllQrImages } = require('../utils/qrDecode');
+
+const router = express.Router();
+
+// Validation rules
+const purposeValidation = body('purpose')
+  .trim()
+  .isLength({ min: 1, max: 200 })
+  .withMessage('Purpose must be between 1 and 200 characters');
+
+const locationValidation = [
+  body('lat')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be a number between -90 and 90'),
+  body('lng')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be a number between -180 and 180'),
+  body('accuracy')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy must be a positive number of metres'),
+  body('source')
+    .optional()
+    .isIn(['manual', 'geolocation'])
+    .withMessage('Source must be manual or geolocation')
+];
+
+// Scans and locations captured offline carry the time they were captured. Allow
+// for some clock drift on the device, and refuse captures too old to be useful.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_OFFLINE_AGE_DAYS = 30;
+
+const capturedAtValidation = (field) => body(field)
+  .optional()
+  .isISO8601()
+  .withMessage(`${field} must be a date`)
+  .bail()
+  .custom(value => {
+    const age = Date.now() - new Date(value).getTime();
+    if (age < -CLOCK_SKEW_MS) {
+      throw new Error(`${field} cannot be in the future`);
+    }
+    if (age > MAX_OFFLINE_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`${field} cannot be more than ${MAX_OFFLINE_AGE_DAYS} days ago`);
+    }
+    return true;
+  });
+
+// Where and when a scan happened, shared by the single and bulk verify routes
+const scanValidation = [
+  body('source')
+    .optional()
+    .isIn(['scanner', 'upload'])
+    .withMessage('Source must be scanner or upload'),
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be a number between -90 and 90'),
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be a number between -180 and 180'),
+  capturedAtValidation('scannedAt')
+];
+
+// Most points returned for one location trail request
+const MAX_TRAIL_POINTS = 1000;
+
+// QR code fields returned alongside each claim
+const QR_CODE_FIELDS = 'code status statusChangedAt batch validFrom validUntil';
+
+// Category fields returned alongside each claim, enough to show its details
+const CATEGORY_FIELDS = 'name fields isActive';
+
+// Statuses in which the holder may still edit a claimed code
+const EDITABLE_STATUSES = ['claimed', 'lost'];
+
+// Error responses for scanned payloads that fail signature checks
+const SIGNATURE_ERRORS = {
+  forged: {
+    message: 'This QR code failed verification and may be counterfeit',
+    code: 'QR_SIGNATURE_FORGED'
+  },
+  unsigned: {
+    message: 'Unsigned QR codes are no longer accepted',
+    code: 'QR_SIGNATURE_MISSING'
+  },
+  invalid: {
+    message: 'This is not a recognised QR code',
+    code: 'QR_PAYLOAD_INVALID'
+  }
+};
+
+// Reject an action that the QR code's current status does not allow
+const statusError = (status, action) => ({
+  message: `Cannot ${action} a QR code that is ${status}`,
+  code: 'INVALID_QR_STATUS',
+  status
+});
+
+const rejectForStatus = (res, status, action) => {
+  return res.status(409).json(statusError(status, action));
+};
+
+// Reject a claim of a code outside its validity window
+const validityError = (qrCode, validity) => (validity === 'pending'
+  ? {
+    message: `This QR code is not valid until ${qrCode.validFrom.toISOString()}`,
+    code: 'QR_NOT_YET_VALID',
+    validFrom: qrCode.validFrom
+  }
+  : {
+    message: `This QR code expired on ${qrCode.validUntil.toISOString()}`,
+    code: 'QR_EXPIRED',
+    validUntil: qrCode.validUntil
+  });
+
+// Fields of a scanned code needed to log the scan and report its state
+const SCANNED_CODE_FIELDS = 'code status batch validFrom validUntil';
+
+// What a scan reports about the code it found: whether it is registered, its
+// status and whether it was inside its validity window when it was scanned
+const describeScannedCode = (qrCode, scannedAt) => ({
+  registered: !!qrCode,
+  status: qrCode ? qrCode.currentStatus() : null,
+  validity: qrCode ? qrCode.validityAt(scannedAt) : null,
+  validFrom: qrCode ? qrCode.validFrom : null,
+  validUntil: qrCode ? qrCode.validUntil : null
+});
+
+// Most codes one bulk verify or claim request can carry, e.g. from a photographed label sheet
+const MAX_BULK_CODES = 100;
+
+// Resolve what a user submitted to claim, a typed code or scanned content, to a
+// code they can claim. Returns { qrCode, signature } or { status, error } with
+// the response to refuse it with.
+const findClaimableCode = async (input, source, user) => {
+  let code = input;
+  let signature = null;
+
+  if (source === 'manual') {
+    // Typed codes must carry a valid check digit so typos are caught. Only codes
+    // stored as printed without one may skip it, and only on an exact match.
+    if (!isValidCode(code) && !(/^\d{16}$/.test(code) && await QrCode.exists({ code, hasCheckDigit: false }))) {
+      return {
+        status: 400,
+        error: {
+          message: 'Invalid QR code. Please check the digits and try again.',
+          code: 'INVALID_CHECK_DIGIT'
+        }
+      };
+    }
+  } else {
+    // Scanned content must be signed by us, or be a legacy code while those are allowed
+    const result = verifyPayload(code);
+    if (!result.accepted) {
+      return {
+        status: 400,
+        error: { ...SIGNATURE_ERRORS[result.signature], signature: result.signature }
+      };
+    }
+    code = result.code;
+    signature = result.signature;
+  }
+
+  // Only codes generated by an admin can be claimed
+  const qrCode = await QrCode.findOne({ code });
+  if (!qrCode) {
+    return {
+      status: 404,
+      error: {
+        message: 'QR code not found',
+        code: 'QR_NOT_FOUND'
+      }
+    };
+  }
+
+  const existingClaim = await QrClaim.findOne({ qrCode: qrCode._id });
+  if (existingClaim) {
+    const ownClaim = existingClaim.user.equals(user._id);
+    return {
+      status: 409,
+      error: {
+        message: ownClaim
+          ? 'You have already claimed this QR code'
+          : 'QR code is already claimed by another user',
+        code: ownClaim ? 'QR_ALREADY_OWNED' : 'QR_ALREADY_CLAIMED'
+      }
+    };
+  }
+
+  // Only unassigned codes can be claimed; suspended, lost, expired and retired codes are refused
+  if (qrCode.status !== 'unassigned') {
+    return { status: 409, error: statusError(qrCode.status, 'claim') };
+  }
+
+  // The expiry sweep runs periodically, so check the window itself too
+  const validity = qrCode.validityAt();
+  if (validity !== 'valid') {
+    return { status: 409, error: validityError(qrCode, validity) };
+  }
+
+  // Pre-assigned codes are reserved for their assignee
+  if (qrCode.assignment && !qrCode.isAssignedTo(user)) {
+    return {
+      status: 409,
+      error: {
+        message: 'This QR code is reserved for another user',
+        code: 'QR_RESERVED'
+      }
+    };
+  }
+
+  return { qrCode, signature };
+};
+
+// @route   GET /api/qrcodes
+// @desc    Get QR codes claimed by or shared with the current user
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    // Claims whose code is soft-deleted populate to null and stay hidden
+    const claims = (await QrClaim.find({ user: req.user._id })
+      .populate('qrCode', QR_CODE_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .sort({ createdAt: 1 }))
+      .filter(claim => claim.qrCode);
+
+    const sharedClaims = await QrClaim.find({ 'sharedWith.user': req.user._id })
+      .populate('qrCode', QR_CODE_FIELDS)
+      .populate('category', CATEGORY_FIELDS)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    // Users a code is shared with see their own access, not the full share list
+    const shared = sharedClaims.filter(claim => claim.qrCode).map(claim => {
+      const { sharedWith, user, ...rest } = claim.toObject();
+      return {
+        ...rest,
+        owner: user,
+        access: sharedWith.find(entry => entry.user.equals(req.user._id)).role
+      };
+    });
+
+    res.json({
+      claims,
+      shared
+    });
+
+  } catch (error) {
+    console.error('Get QR claims error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching QR codes',
+      code: 'QR_CLAIMS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/verify
+// @desc    Verify the signature of scanned QR content
+// @access  Private
+router.post('/verify', [
+  authenticateToken,
+  body('payload')
+    .isString()
+    .notEmpty()
+    .withMessage('Payload is required'),
+  ...scanValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = verifyPayload(req.body.payload);
+    const qrCode = result.code ? await QrCode.findOne({ code: result.code }).select(SCANNED_CODE_FIELDS) : null;
+    const scannedAt = req.body.scannedAt ? new Date(req.body.scannedAt) : undefined;
+
+    if (qrCode) {
+      await recordScan(qrCode, {
+        req,
+        source: req.body.source || 'scanner',
+        signature: result.signature,
+        location: req.body.location,
+        scannedAt
+      });
+    }
+
+    res.json({
+      ...result,
+      ...describeScannedCode(qrCode, scannedAt)
+    });
+
+  } catch (error) {
+    console.error('Verify QR payload error:', error);
+    res.status(500).json({
+      message: 'Server error while verifying QR code',
+      code: 'QR_VERIFY_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/verify/batch
+// @desc    Verify many scanned payloads at once, e.g. every code found on a photographed
+//          sheet. With `audit: true` the scans are logged as an audit sighting, marking
+//          the codes as present.
+// @access  Private
+router.post('/verify/batch', [
+  authenticateToken,
+  body('payloads')
+    .isArray({ min: 1, max: MAX_BULK_CODES })
+    .withMessage(`Send between 1 and ${MAX_BULK_CODES} payloads`),
+  body('payloads.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Payloads must be non-empty strings'),
+  body('audit')
+    .optional()
+    .isBoolean()
+    .withMessage('audit must be a boolean'),
+  ...scanValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verified = [...new Set(req.body.payloads)].map(payload => ({ payload, ...verifyPayload(payload) }));
+    const qrCodes = await QrCode.find({ code: { $in: verified.map(result => result.code).filter(Boolean) } })
+      .select(SCANNED_CODE_FIELDS);
+    const claims = await QrClaim.find({ qrCode: { $in: qrCodes.map(qrCode => qrCode._id) } })
+      .select('qrCode user sharedWith');
+
+    // Who holds each code, from this user's point of view
+    const holders = new Map(claims.map(claim => [
+      claim.qrCode.toString(),
+      claim.user.equals(req.user._id)
+        ? 'you'
+        : claim.sharedWith.some(share => share.user.equals(req.user._id)) ? 'shared' : 'other'
+    ]));
+    const byCode = new Map(qrCodes.map(qrCode => [qrCode.code, qrCode]));
+
+    const source = req.body.audit === true ? 'audit' : req.body.source || 'upload';
+    const scannedAt = req.body.scannedAt ? new Date(req.body.scannedAt) : undefined;
+    let recorded = 0;
+
+    const results = [];
+    for (const result of verified) {
+      const qrCode = result.code ? byCode.get(result.code) : null;
+      if (qrCode && await recordScan(qrCode, { req, source, signature: result.signature, location: req.body.location, scannedAt })) {
+        recorded++;
+      }
+      results.push({
+        ...result,
+        ...describeScannedCode(qrCode, scannedAt),
+        holder: qrCode ? holders.get(qrCode._id.toString()) || null : null
+      });
+    }
+
+    res.json({
+      results,
+      recorded
+    });
+
+  } catch (error) {
+    console.error('Verify QR payloads error:', error);
+    res.status(500).json({
+      message: 'Server error while verifying QR codes',
+      code: 'QR_VERIFY_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/decode
+// @desc    Find and decode the QR code in an uploaded photo, for images the browser
+//          could not read. With ?multiple=true every code in the photo is returned
+//          as { symbols }. Returns payloads only; they are verified separately.
+//          Rate limited per user, and answered with a 503 when too many decodes
+//          are already waiting.
+// @access  Private
+router.post('/decode', [authenticateToken, decodeRateLimit, uploadQrImage], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Choose an image to decode',
+        code: 'IMAGE_REQUIRED'
+      });
+    }
+
+    const type = detectFileType(req.file.buffer);
+    if (!type || type.kind !== 'image') {
+      return res.status(400).json({
+        message: 'Only JPEG, PNG, WebP or GIF images can be decoded',
+        code: 'INVALID_IMAGE'
+      });
+    }
+
+    const multiple = req.query.multiple === 'true';
+    const { result, busy } = await withDecodeSlot(() => (multiple
+      ? decodeAllQrImages(req.file.buffer)
+      : decodeQrImage(req.file.buffer)));
+    if (busy) {
+      return res.status(503).json({
+        message: 'The server is busy decoding other images. Try again in a moment.',
+        code: 'DECODE_BUSY'
+      });
+    }
+
+    const { symbol, symbols, error } = result;
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        code: 'INVALID_IMAGE'
+      });
+    }
+    if (multiple ? symbols.length === 0 : !symbol) {
+      return res.status(422).json({
+        message: 'No QR code was found in the image',
+        code: 'QR_NOT_DETECTED'
+      });
+    }
+
+    res.json(multiple ? { symbols } : symbol);
+
+  } catch (error) {
+    console.error('Decode QR image error:', error);
+    res.status(500).json({
+      message: 'Server error while decoding image',
+      code: 'QR_DECODE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes
+// @desc    Claim an admin-generated QR code
+// @access  Private
+router.post('/', [
+  authenticateToken,
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('QR code is required'),
+  body('source')
+    .optional()
+    .isIn(['scan', 'upload', 'manual'])
+    .withMessage('Source must be scan, upload or manual'),
+  purposeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { purpose, source = 'manual' } = req.body;
+    const { qrCode, signature, status, error } = await findClaimableCode(req.body.code, source, req.user);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const claim = new QrClaim({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      user: req.user._id,
+      purpose
+    });
+
+    if (!await applyCategory(req, res, claim)) return;
+
+    await claim.save();
+
+    // Claiming a code assigned to you acknowledges the assignment
+    qrCode.assignment = null;
+    qrCode.transitionTo('claimed', req.user._id);
+    await qrCode.save();
+    await claim.populate([
+      { path: 'qrCode', select: QR_CODE_FIELDS },
+      { path: 'category', select: CATEGORY_FIELDS }
+    ]);
+
+    res.status(201).json({
+      message: 'QR code claimed successfully',
+      claim,
+      signature
+    });
+
+  } catch (error) {
+    console.error('Claim QR code error:', error);
+
+    // Another user claimed the code between the lookup and the save
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'QR code is already claimed by another user',
+        code: 'QR_ALREADY_CLAIMED'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while claiming QR code',
+      code: 'QR_CLAIM_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/batch
+// @desc    Claim many QR codes with one purpose, e.g. every code found on a
+//          photographed sheet. Each code succeeds or fails on its own.
+// @access  Private
+router.post('/batch', [
+  authenticateToken,
+  body('codes')
+    .isArray({ min: 1, max: MAX_BULK_CODES })
+    .withMessage(`Send between 1 and ${MAX_BULK_CODES} codes`),
+  body('codes.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Codes must be non-empty strings'),
+  body('source')
+    .optional()
+    .isIn(['scan', 'upload', 'manual'])
+    .withMessage('Source must be scan, upload or manual'),
+  purposeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { purpose, source = 'upload' } = req.body;
+    const claims = [];
+    const results = [];
+
+    for (const input of [...new Set(req.body.codes)]) {
+      const { qrCode, signature, error } = await findClaimableCode(input, source, req.user);
+      if (error) {
+        results.push({ input, claimed: false, error });
+        continue;
+      }
+
+      try {
+        const claim = await QrClaim.create({
+          qrCode: qrCode._id,
+          code: qrCode.code,
+          user: req.user._id,
+          purpose
+        });
+        qrCode.assignment = null;
+        qrCode.transitionTo('claimed', req.user._id);
+        await qrCode.save();
+        await claim.populate({ path: 'qrCode', select: QR_CODE_FIELDS });
+        claims.push(claim);
+        results.push({ input, code: qrCode.code, claimed: true, signature });
+      } catch (claimError) {
+        // Another user claimed the code between the lookup and the save
+        if (claimError.code !== 11000) throw claimError;
+        results.push({
+          input,
+          code: qrCode.code,
+          claimed: false,
+          error: {
+            message: 'QR code is already claimed by another user',
+            code: 'QR_ALREADY_CLAIMED'
+          }
+        });
+      }
+    }
+
+    res.json({
+      message: `Claimed ${claims.length} of ${results.length} QR codes`,
+      claims,
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk claim QR codes error:', error);
+    res.status(500).json({
+      message: 'Server error while claiming QR codes',
+      code: 'QR_CLAIM_ERROR'
+    });
+  }
+});
+
+// Load an unassigned code pre-assigned to the current user, or send a 404. Codes
+// assigned to someone else are reported as not found too.
+const findAssignedCode = async (req, res) => {
+  const qrCode = await QrCode.findOne({ code: req.params.code, assignment: { $ne: null } });
+  if (!qrCode || !qrCode.isAssignedTo(req.user)) {
+    res.status(404).json({
+      message: 'Assignment not found',
+      code: 'ASSIGNMENT_NOT_FOUND'
+    });
+    return null;
+  }
+  return qrCode;
+};
+
+// @route   GET /api/qrcodes/assignments
+// @desc    Get the codes an admin pre-assigned to the current user or their
+//          department that are waiting to be acknowledged
+// @access  Private
+router.get('/assignments', authenticateToken, async (req, res) => {
+  try {
+    const assignments = await QrCode.find({ ...QrCode.assignedToFilter(req.user), status: 'unassigned' })
+      .select('code assignment validFrom validUntil')
+      .populate('assignment.category', CATEGORY_FIELDS)
+      .populate('assignment.assignedBy', 'firstName lastName email')
+      .sort({ 'assignment.assignedAt': 1 });
+
+    res.json({
+      // Codes whose validity window has ended can no longer be acknowledged
+      assignments: assignments.filter(qrCode => qrCode.validityAt() !== 'expired')
+    });
+
+  } catch (error) {
+    console.error('Get QR assignments error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching assigned QR codes',
+      code: 'QR_ASSIGNMENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/assignments/:code/accept
+// @desc    Acknowledge a pre-assigned code, claiming it with the purpose and
+//          category the admin filled in unless others are given
+// @access  Private
+router.post('/assignments/:code/accept', [
+  authenticateToken,
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Purpose must be between 1 and 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const qrCode = await findAssignedCode(req, res);
+    if (!qrCode) return;
+
+    if (qrCode.status !== 'unassigned') {
+      return rejectForStatus(res, qrCode.status, 'acknowledge');
+    }
+    const validity = qrCode.validityAt();
+    if (validity !== 'valid') {
+      return res.status(409).json(validityError(qrCode, validity));
+    }
+
+    const purpose = req.body.purpose || qrCode.assignment.purpose;
+    if (!purpose) {
+      return res.status(400).json({
+        message: 'Enter a purpose for this QR code',
+        code: 'PURPOSE_REQUIRED'
+      });
+    }
+
+    const claim = new QrClaim({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      user: req.user._id,
+      purpose
+    });
+
+    // The admin's category applies unless the assignee picked one
+    if (req.body.category === undefined && qrCode.assignment.category) {
+      req.body.category = qrCode.assignment.category.toString();
+    }
+    if (!await applyCategory(req, res, claim)) return;
+
+    await claim.save();
+
+    qrCode.assignment = null;
+    qrCode.transitionTo('claimed', req.user._id, 'Assignment acknowledged');
+    await qrCode.save();
+    await claim.populate([
+      { path: 'qrCode', select: QR_CODE_FIELDS },
+      { path: 'category', select: CATEGORY_FIELDS }
+    ]);
+
+    res.status(201).json({
+      message: 'QR code acknowledged successfully',
+      claim
+    });
+
+  } catch (error) {
+    console.error('Accept QR assignment error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        message: 'QR code is already claimed by another user',
+        code: 'QR_ALREADY_CLAIMED'
+      });
+    }
+
+    res.status(500).json({
+      message: 'Server error while acknowledging QR code',
+      code: 'QR_ASSIGNMENT_ACCEPT_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/assignments/:code/decline
+// @desc    Turn down a code pre-assigned to you personally, returning it to the pool.
+//          Department assignments stay open for the rest of the department.
+// @access  Private
+router.post('/assignments/:code/decline', authenticateToken, async (req, res) => {
+  try {
+    const qrCode = await findAssignedCode(req, res);
+    if (!qrCode) return;
+
+    if (!qrCode.assignment.user) {
+      return res.status(409).json({
+        message: 'Codes assigned to a department cannot be declined',
+        code: 'ASSIGNMENT_NOT_DECLINABLE'
+      });
+    }
+
+    qrCode.assignment = null;
+    await qrCode.save();
+
+    res.json({
+      message: 'QR code assignment declined',
+      code: qrCode.code
+    });
+
+  } catch (error) {
+    console.error('Decline QR assignment error:', error);
+    res.status(500).json({
+      message: 'Server error while declining QR code assignment',
+      code: 'QR_ASSIGNMENT_DECLINE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/qrcodes/:claimId
+// @desc    Update the purpose, category and item details of a claimed QR code
+// @access  Private
+router.put('/:claimId', [authenticateToken, canAccessClaim('edit'), purposeValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = req.claim;
+
+    if (!EDITABLE_STATUSES.includes(claim.qrCode.status)) {
+      return rejectForStatus(res, claim.qrCode.status, 'update');
+    }
+
+    claim.purpose = req.body.purpose;
+    if (!await applyCategory(req, res, claim)) return;
+    await claim.save();
+    await claim.populate('category', CATEGORY_FIELDS);
+
+    res.json({
+      message: 'QR code updated successfully',
+      claim
+    });
+
+  } catch (error) {
+    console.error('Update QR claim error:', error);
+    res.status(500).json({
+      message: 'Server error while updating QR code',
+      code: 'QR_CLAIM_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/qrcodes/:claimId/location
+// @desc    Record a new location for a claimed QR code. A location captured offline
+//          sends its `recordedAt`; if the location changed after that it is refused
+//          with a conflict unless `overwrite` is true.
+// @access  Private
+router.put('/:claimId/location', [
+  authenticateToken,
+  canAccessClaim('edit'),
+  ...locationValidation,
+  capturedAtValidation('recordedAt'),
+  body('overwrite')
+    .optional()
+    .isBoolean()
+    .withMessage('overwrite must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = req.claim;
+
+    if (!EDITABLE_STATUSES.includes(claim.qrCode.status)) {
+      return rejectForStatus(res, claim.qrCode.status, 'update the location of');
+    }
+
+    const recordedAt = req.body.recordedAt ? new Date(req.body.recordedAt) : new Date();
+    const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+
+    // The same timestamp means this exact update was already applied and is being replayed
+    if (req.body.recordedAt && !overwrite && claim.locationUpdatedAt >= recordedAt) {
+      const tracked = claim.location?.lat !== undefined;
+      return res.status(409).json({
+        message: tracked
+          ? 'The location was changed after this one was recorded'
+          : 'Location tracking was stopped after this location was recorded',
+        code: 'LOCATION_CONFLICT',
+        location: tracked ? claim.location : null,
+        locationUpdatedAt: claim.locationUpdatedAt
+      });
+    }
+
+    const { accuracy, source = 'manual' } = req.body;
+    const point = await LocationPoint.create({
+      claim: claim._id,
+      qrCode: claim.qrCode._id,
+      lat: parseFloat(req.body.lat),
+      lng: parseFloat(req.body.lng),
+      accuracy: accuracy !== undefined && accuracy !== null ? parseFloat(accuracy) : undefined,
+      source,
+      recordedAt
+    });
+
+    // The claim keeps the latest position; the trail keeps every one
+    claim.location = {
+      lat: point.lat,
+      lng: point.lng
+    };
+    // When the position was recorded, not when it arrived, so older queued
+    // updates replayed after it are still seen as older
+    claim.locationUpdatedAt = recordedAt;
+    await claim.save();
+
+    const alerts = await checkGeofences(claim.qrCode, {
+      lat: point.lat,
+      lng: point.lng,
+      accuracy: point.accuracy,
+      source
+    });
+
+    res.json({
+      message: 'Location updated successfully',
+      claim,
+      point,
+      alerts
+    });
+
+  } catch (error) {
+    console.error('Update QR location error:', error);
+    res.status(500).json({
+      message: 'Server error while updating location',
+      code: 'QR_LOCATION_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/qrcodes/:claimId/locations
+// @desc    Get the location trail of a claimed QR code, oldest first
+// @access  Private
+router.get('/:claimId/locations', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    const { from = '', to = '' } = req.query;
+    const filter = { claim: claim._id };
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({
+          message: 'Invalid date range',
+          code: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      filter.recordedAt = {};
+      if (fromDate) filter.recordedAt.$gte = fromDate;
+      if (toDate) {
+        // A bare date includes the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+        filter.recordedAt.$lt = toDate;
+      }
+    }
+
+    // Keep the most recent points when the range holds more than we return
+    const points = await LocationPoint.find(filter)
+      .select('-claim -qrCode')
+      .sort({ recordedAt: -1 })
+      .limit(MAX_TRAIL_POINTS);
+    const total = await LocationPoint.countDocuments(filter);
+
+    res.json({
+      points: points.reverse(),
+      total,
+      truncated: total > points.length
+    });
+
+  } catch (error) {
+    console.error('Get QR locations error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching location history',
+      code: 'QR_LOCATIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/qrcodes/:claimId/geofences
+// @desc    Get the geofences that apply to a claimed QR code
+// @access  Private
+router.get('/:claimId/geofences', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    const targets = [{ qrCode: claim.qrCode._id }];
+    if (claim.qrCode.batch) targets.push({ batch: claim.qrCode.batch });
+
+    const geofences = await Geofence.find({ $or: targets }).sort({ createdAt: 1 });
+
+    // Holders may only remove fences they drew themselves
+    res.json({
+      geofences: geofences.map(fence => ({
+        ...fence.toObject(),
+        editable: !!fence.qrCode && fence.createdBy.equals(req.user._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get QR geofences error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching geofences',
+      code: 'GEOFENCES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/:claimId/geofences
+// @desc    Draw a geofence for a claimed QR code
+// @access  Private
+router.post('/:claimId/geofences', [authenticateToken, canAccessClaim('edit'), ...geofenceValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = req.claim;
+
+    if (!EDITABLE_STATUSES.includes(claim.qrCode.status)) {
+      return rejectForStatus(res, claim.qrCode.status, 'add a geofence to');
+    }
+
+    const geofence = await Geofence.create({
+      name: req.body.name,
+      ...getShapeFields(req.body),
+      qrCode: claim.qrCode._id,
+      claim: claim._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Geofence created successfully',
+      geofence: { ...geofence.toObject(), editable: true }
+    });
+
+  } catch (error) {
+    console.error('Create QR geofence error:', error);
+    res.status(500).json({
+      message: 'Server error while creating geofence',
+      code: 'GEOFENCE_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/qrcodes/:claimId/geofences/:geofenceId
+// @desc    Remove a geofence the holder drew for a claimed QR code
+// @access  Private
+router.delete('/:claimId/geofences/:geofenceId', [authenticateToken, canAccessClaim('edit')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    const geofence = await Geofence.findOneAndDelete({
+      _id: req.params.geofenceId,
+      qrCode: claim.qrCode._id,
+      createdBy: req.user._id
+    });
+    if (!geofence) {
+      return res.status(404).json({
+        message: 'Geofence not found',
+        code: 'GEOFENCE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Geofence deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete QR geofence error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting geofence',
+      code: 'GEOFENCE_DELETE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/qrcodes/:claimId/alerts
+// @desc    Get the out-of-zone alerts raised for a claimed QR code
+// @access  Private
+router.get('/:claimId/alerts', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    const { page = 1, limit = 20 } = req.query;
+
+    // Alerts from before this user claimed the code belong to its previous holder
+    const filter = { qrCode: claim.qrCode._id, triggeredAt: { $gte: claim.createdAt } };
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const alerts = await GeofenceAlert.find(filter)
+      .sort({ triggeredAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await GeofenceAlert.countDocuments(filter);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = page < totalPages;
+    const hasPrevPage = page > 1;
+
+    res.json({
+      alerts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalAlerts: total,
+        hasNextPage,
+        hasPrevPage,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get QR alerts error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching alerts',
+      code: 'GEOFENCE_ALERTS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/qrcodes/:claimId/location
+// @desc    Stop showing a current location for a claimed QR code (the trail is kept)
+// @access  Private
+router.delete('/:claimId/location', [authenticateToken, canAccessClaim('edit')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    if (!EDITABLE_STATUSES.includes(claim.qrCode.status)) {
+      return rejectForStatus(res, claim.qrCode.status, 'update the location of');
+    }
+
+    claim.location = undefined;
+    claim.locationUpdatedAt = new Date();
+    await claim.save();
+
+    res.json({
+      message: 'Location cleared successfully',
+      claim
+    });
+
+  } catch (error) {
+    console.error('Clear QR location error:', error);
+    res.status(500).json({
+      message: 'Server error while clearing location',
+      code: 'QR_LOCATION_CLEAR_ERROR'
+    });
+  }
+});
+
+// @route   PUT /api/qrcodes/:claimId/public-card
+// @desc    Choose what strangers see when they scan a claimed QR code
+// @access  Private
+router.put('/:claimId/public-card', [
+  authenticateToken,
+  canAccessClaim('manage'),
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  body('showPurpose')
+    .optional()
+    .isBoolean()
+    .withMessage('showPurpose must be a boolean'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  body('contactName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Contact name cannot exceed 100 characters'),
+  body('contactEmail')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email address'),
+  body('contactPhone')
+    .optional({ checkFalsy: true })
+    .matches(/^[\+]?[1-9][\d]{0,15}$/)
+    .withMessage('Please enter a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = req.claim;
+
+    if (!EDITABLE_STATUSES.includes(claim.qrCode.status)) {
+      return rejectForStatus(res, claim.qrCode.status, 'update the public card of');
+    }
+
+    const { enabled, showPurpose = true, message, contactName, contactEmail, contactPhone } = req.body;
+
+    // Only what the owner typed here is ever shown publicly, never their account details
+    claim.publicCard = {
+      enabled,
+      showPurpose,
+      message: message || undefined,
+      contactName: contactName || undefined,
+      contactEmail: contactEmail || undefined,
+      contactPhone: contactPhone || undefined
+    };
+    await claim.save();
+
+    res.json({
+      message: 'Public card updated successfully',
+      claim
+    });
+
+  } catch (error) {
+    console.error('Update public card error:', error);
+    res.status(500).json({
+      message: 'Server error while updating public card',
+      code: 'PUBLIC_CARD_UPDATE_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/qrcodes/:claimId/scans
+// @desc    Get the scan history of a claimed QR code
+// @access  Private
+router.get('/:claimId/scans', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    // Scans from before this user claimed the code belong to its previous holder
+    const { scans, pagination } = await findScanPage({
+      qrCode: claim.qrCode._id,
+      scannedAt: { $gte: claim.createdAt }
+    }, req.query);
+
+    // Owners see whether a scan was theirs, not who else scanned their item
+    res.json({
+      scans: scans.map(scan => {
+        const { user, ...event } = scan.toObject();
+        return { ...event, scannedByYou: !!user && user._id.equals(req.user._id) };
+      }),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get QR scans error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching scan history',
+      code: 'QR_SCANS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/qrcodes/:claimId/shares
+// @desc    Get the users a claimed QR code is shared with
+// @access  Private
+router.get('/:claimId/shares', [authenticateToken, canAccessClaim('manage')], async (req, res) => {
+  try {
+    await req.claim.populate('sharedWith.user', 'firstName lastName email');
+
+    res.json({
+      shares: req.claim.sharedWith
+    });
+
+  } catch (error) {
+    console.error('Get QR shares error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching shares',
+      code: 'QR_SHARES_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/:claimId/shares
+// @desc    Share a claimed QR code with another user, or change their role
+// @access  Private
+router.post('/:claimId/shares', [
+  authenticateToken,
+  canAccessClaim('manage'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email address'),
+  body('role')
+    .isIn(['viewer', 'co-owner'])
+    .withMessage('Role must be viewer or co-owner')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const claim = req.claim;
+    const { email, role } = req.body;
+
+    const user = await User.findByEmail(email);
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        message: 'No active user with that email address',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user._id.equals(claim.user)) {
+      return res.status(400).json({
+        message: 'You cannot share a QR code with yourself',
+        code: 'SHARE_WITH_SELF'
+      });
+    }
+
+    const existing = claim.sharedWith.find(entry => entry.user.equals(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      claim.sharedWith.push({ user: user._id, role });
+    }
+    await claim.save();
+    await claim.populate('sharedWith.user', 'firstName lastName email');
+
+    res.json({
+      message: `QR code shared with ${user.email} as ${role}`,
+      shares: claim.sharedWith
+    });
+
+  } catch (error) {
+    console.error('Share QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while sharing QR code',
+      code: 'QR_SHARE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/qrcodes/:claimId/shares/:userId
+// @desc    Stop sharing a QR code with a user (holders, or the user leaving it themselves)
+// @access  Private
+router.delete('/:claimId/shares/:userId', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const claim = req.claim;
+    const leaving = req.params.userId === req.user._id.toString();
+
+    if (req.claimAccess !== 'owner' && !leaving) {
+      return res.status(403).json({
+        message: 'Access denied. Only the holder can change who a QR code is shared with.',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    const remaining = claim.sharedWith.filter(entry => entry.user.toString() !== req.params.userId);
+    if (remaining.length === claim.sharedWith.length) {
+      return res.status(404).json({
+        message: 'This QR code is not shared with that user',
+        code: 'SHARE_NOT_FOUND'
+      });
+    }
+
+    claim.sharedWith = remaining;
+    await claim.save();
+
+    res.json({
+      message: leaving ? 'You no longer have access to this QR code' : 'Access removed',
+      shares: claim.sharedWith
+    });
+
+  } catch (error) {
+    console.error('Unshare QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while removing access',
+      code: 'QR_UNSHARE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/:claimId/lost
+// @desc    Report a claimed QR code as lost
+// @access  Private
+router.post('/:claimId/lost', [authenticateToken, canAccessClaim('edit')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    const qrCode = await QrCode.findById(claim.qrCode._id);
+    if (qrCode.status !== 'claimed') {
+      return rejectForStatus(res, qrCode.status, 'report as lost');
+    }
+
+    qrCode.transitionTo('lost', req.user._id, req.body.reason);
+    await qrCode.save();
+    await claim.populate('qrCode', QR_CODE_FIELDS);
+
+    res.json({
+      message: 'QR code reported as lost',
+      claim
+    });
+
+  } catch (error) {
+    console.error('Report QR lost error:', error);
+    res.status(500).json({
+      message: 'Server error while reporting QR code as lost',
+      code: 'QR_LOST_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/:claimId/found
+// @desc    Mark a lost QR code as found again
+// @access  Private
+router.post('/:claimId/found', [authenticateToken, canAccessClaim('edit')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    const qrCode = await QrCode.findById(claim.qrCode._id);
+    if (qrCode.status !== 'lost') {
+      return rejectForStatus(res, qrCode.status, 'mark as found');
+    }
+
+    qrCode.transitionTo('claimed', req.user._id, 'Found by holder');
+    await qrCode.save();
+    await claim.populate('qrCode', QR_CODE_FIELDS);
+
+    res.json({
+      message: 'QR code marked as found',
+      claim
+    });
+
+  } catch (error) {
+    console.error('Mark QR found error:', error);
+    res.status(500).json({
+      message: 'Server error while marking QR code as found',
+      code: 'QR_FOUND_ERROR'
+    });
+  }
+});
+
+// Holders can remove any attachment; co-owners only the ones they uploaded
+const canRemoveAttachment = (req, attachment) => {
+  const uploaderId = attachment.uploadedBy._id || attachment.uploadedBy;
+  return req.claimAccess === 'owner' || (req.claimAccess === 'co-owner' && uploaderId.equals(req.user._id));
+};
+
+// @route   GET /api/qrcodes/:claimId/attachments
+// @desc    Get the photos and documents attached to a claimed QR code
+// @access  Private
+router.get('/:claimId/attachments', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ claim: req.claim._id })
+      .populate('uploadedBy', 'firstName lastName')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      attachments: attachments.map(attachment => ({
+        ...attachment.toObject(),
+        removable: canRemoveAttachment(req, attachment)
+      })),
+      maxAttachments: MAX_ATTACHMENTS_PER_CODE,
+      maxFileSize: MAX_ATTACHMENT_BYTES
+    });
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching attachments',
+      code: 'ATTACHMENTS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/qrcodes/:claimId/attachments
+// @desc    Attach a photo or document (multipart field "file", optional "caption")
+// @access  Private
+router.post('/:claimId/attachments', [authenticateToken, canAccessClaim('edit'), uploadAttachment], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    if (!EDITABLE_STATUSES.includes(claim.qrCode.status)) {
+      return rejectForStatus(res, claim.qrCode.status, 'add files to');
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Choose a file to upload',
+        code: 'ATTACHMENT_REQUIRED'
+      });
+    }
+
+    const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+    if (caption.length > 200) {
+      return res.status(400).json({
+        message: 'Caption cannot exceed 200 characters',
+        code: 'INVALID_ATTACHMENT_CAPTION'
+      });
+    }
+
+    const type = detectFileType(req.file.buffer);
+    if (!type) {
+      return res.status(400).json({
+        message: `Only ${ALLOWED_TYPES_LABEL} can be attached`,
+        code: 'ATTACHMENT_TYPE_NOT_ALLOWED'
+      });
+    }
+
+    const count = await Attachment.countDocuments({ claim: claim._id });
+    if (count >= MAX_ATTACHMENTS_PER_CODE) {
+      return res.status(409).json({
+        message: `A QR code can have at most ${MAX_ATTACHMENTS_PER_CODE} attachments`,
+        code: 'ATTACHMENT_LIMIT_REACHED'
+      });
+    }
+
+    const attachment = await storeAttachment(claim, req.file, {
+      userId: req.user._id,
+      caption: caption || undefined,
+      type
+    });
+    await attachment.populate('uploadedBy', 'firstName lastName');
+
+    // Storage keys stay on the server
+    const { storageKey, thumbnailKey, ...fields } = attachment.toObject();
+
+    res.status(201).json({
+      message: 'File attached successfully',
+      attachment: { ...fields, removable: true }
+    });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      message: 'Server error while uploading attachment',
+      code: 'ATTACHMENT_UPLOAD_ERROR'
+    });
+  }
+});
+
+// Load an attachment of the claim in req.claim, answering 404 when there is none
+const findAttachment = async (req, res, fields = '') => {
+  const attachment = mongoose.isValidObjectId(req.params.attachmentId)
+    ? await Attachment.findOne({ _id: req.params.attachmentId, claim: req.claim._id }).select(fields)
+    : null;
+  if (!attachment) {
+    res.status(404).json({
+      message: 'Attachment not found',
+      code: 'ATTACHMENT_NOT_FOUND'
+    });
+  }
+  return attachment;
+};
+
+// Send a stored file, or a 404 if it has gone missing from storage
+const sendStoredFile = (res, key, headers) => {
+  const stream = getStorage().read(key);
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else if (error.code === 'ENOENT') {
+      res.status(404).json({
+        message: 'Attachment file not found',
+        code: 'ATTACHMENT_FILE_MISSING'
+      });
+    } else {
+      console.error('Read attachment error:', error);
+      res.status(500).json({
+        message: 'Server error while reading attachment',
+        code: 'ATTACHMENT_READ_ERROR'
+      });
+    }
+  });
+  stream.once('open', () => res.set(headers));
+  stream.pipe(res);
+};
+
+// @route   GET /api/qrcodes/:claimId/attachments/:attachmentId/file
+// @desc    Download an attached file
+// @access  Private
+router.get('/:claimId/attachments/:attachmentId/file', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res, '+storageKey');
+    if (!attachment) return;
+
+    // Only images are shown inline; anything else is always downloaded
+    const disposition = attachment.kind === 'image' ? 'inline' : 'attachment';
+    sendStoredFile(res, attachment.storageKey, {
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      message: 'Server error while downloading attachment',
+      code: 'ATTACHMENT_DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// @route   GET /api/qrcodes/:claimId/attachments/:attachmentId/thumbnail
+// @desc    Get the thumbnail of an attached image
+// @access  Private
+router.get('/:claimId/attachments/:attachmentId/thumbnail', [authenticateToken, canAccessClaim('view')], async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res, '+thumbnailKey');
+    if (!attachment) return;
+
+    if (!attachment.thumbnailKey) {
+      return res.status(404).json({
+        message: 'This attachment has no thumbnail',
+        code: 'ATTACHMENT_THUMBNAIL_NOT_FOUND'
+      });
+    }
+
+    sendStoredFile(res, attachment.thumbnailKey, {
+      'Content-Type': 'image/webp',
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+  } catch (error) {
+    console.error('Get attachment thumbnail error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching thumbnail',
+      code: 'ATTACHMENT_THUMBNAIL_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/qrcodes/:claimId/attachments/:attachmentId
+// @desc    Remove an attachment from a claimed QR code
+// @access  Private
+router.delete('/:claimId/attachments/:attachmentId', [authenticateToken, canAccessClaim('edit')], async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, res);
+    if (!attachment) return;
+
+    if (!canRemoveAttachment(req, attachment)) {
+      return res.status(403).json({
+        message: 'Only the holder can remove files other people attached',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    await removeAttachments({ _id: attachment._id });
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      message: 'Server error while deleting attachment',
+      code: 'ATTACHMENT_DELETE_ERROR'
+    });
+  }
+});
+
+// @route   DELETE /api/qrcodes/:claimId
+// @desc    Release a claimed QR code so it can be claimed again
+// @access  Private
+router.delete('/:claimId', [authenticateToken, canAccessClaim('manage')], async (req, res) => {
+  try {
+    const claim = req.claim;
+
+    // Suspended codes are frozen until an admin reinstates them.
+    // Retired and expired codes can be removed from the list but stay out of the pool.
+    const qrCode = await QrCode.findById(claim.qrCode._id);
+    if (qrCode && qrCode.status === 'suspended') {
+      return rejectForStatus(res, qrCode.status, 'release');
+    }
+
+    await claim.deleteOne();
+    // The trail, files and fences drawn by the holder or co-owners must not
+    // follow the code to the next holder
+    await LocationPoint.deleteMany({ claim: claim._id });
+    await Geofence.deleteMany({ claim: claim._id });
+    await removeAttachments({ claim: claim._id });
+    await cancelPendingTransfers(claim.qrCode._id);
+
+    if (qrCode && qrCode.status !== 'expired' && qrCode.canTransitionTo('unassigned')) {
+      qrCode.transitionTo('unassigned', req.user._id, 'Released by holder');
+      await qrCode.save();
+    }
+
+    res.json({
+      message: 'QR code released successfully',
+      code: 'QR_RELEASED'
+    });
+
+  } catch (error) {
+    console.error('Release QR code error:', error);
+    res.status(500).json({
+      message: 'Server error while releasing QR code',
+      code: 'QR_RELEASE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
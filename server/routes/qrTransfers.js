@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const QrTransfer = require('../models/QrTransfer');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  expireStaleTransfers,
+  moveClaim
+} = require('../utils/qrTransfer');
+
+const router = express.Router();
+
+// Statuses in which a claimed code may change hands
+const TRANSFERABLE_STATUSES = ['claimed', 'lost'];
+
+// How many settled transfers to list alongside the pending ones
+const RECENT_TRANSFER_LIMIT = 20;
+
+const USER_FIELDS = 'firstName lastName email';
+
+const transferIdValidation = param('transferId')
+  .isMongoId()
+  .withMessage('Invalid transfer ID');
+
+// Find a pending transfer addressed to or sent by the current user
+const findPendingTransfer = async (req, res, role) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return null;
+  }
+
+  await expireStaleTransfers({ _id: req.params.transferId });
+
+  const transfer = await QrTransfer.findOne({ _id: req.params.transferId, [role]: req.user._id });
+  if (!transfer) {
+    res.status(404).json({
+      message: 'Transfer not found',
+      code: 'TRANSFER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (transfer.status !== 'pending') {
+    res.status(409).json({
+      message: `This transfer is already ${transfer.status}`,
+      code: 'TRANSFER_NOT_PENDING',
+      status: transfer.status
+    });
+    return null;
+  }
+
+  return transfer;
+};
+
+// @route   GET /api/transfers
+// @desc    Get the current user's incoming and outgoing transfers
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    await expireStaleTransfers({ $or: [{ toUser: req.user._id }, { fromUser: req.user._id }] });
+
+    // Every pending transfer, then the most recent settled ones
+    const listFor = async (role) => {
+      const pending = await QrTransfer.find({ [role]: req.user._id, status: 'pending' })
+        .populate('fromUser', USER_FIELDS)
+        .populate('toUser', USER_FIELDS)
+        .sort({ createdAt: -1 });
+      const settled = await QrTransfer.find({ [role]: req.user._id, status: { $ne: 'pending' } })
+        .populate('fromUser', USER_FIELDS)
+        .populate('toUser', USER_FIELDS)
+        .sort({ updatedAt: -1 })
+        .limit(RECENT_TRANSFER_LIMIT);
+      return [...pending, ...settled];
+    };
+
+    res.json({
+      incoming: await listFor('toUser'),
+      outgoing: await listFor('fromUser')
+    });
+
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({
+      message: 'Server error while fetching transfers',
+      code: 'TRANSFERS_FETCH_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transfers
+// @desc    Offer one of the current user's claimed codes to another user
+// @access  Private
+router.post('/', [
+  authenticateToken,
+  body('claimId')
+    .isMongoId()
+    .withMessage('Invalid claim ID'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email address'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { claimId, email, message, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    const claim = await QrClaim.findOne({ _id: claimId, user: req.user._id })
+      .populate('qrCode', 'status');
+    if (!claim) {
+      return res.status(404).json({
+        message: 'QR code not found',
+        code: 'QR_CLAIM_NOT_FOUND'
+      });
+    }
+
+    if (!TRANSFERABLE_STATUSES.includes(claim.qrCode.status)) {
+      return res.status(409).json({
+        message: `Cannot transfer a QR code that is ${claim.qrCode.status}`,
+        code: 'INVALID_QR_STATUS',
+        status: claim.qrCode.status
+      });
+    }
+
+    const recipient = await User.findByEmail(email);
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({
+        message: 'No active user with that email address',
+        code: 'RECIPIENT_NOT_FOUND'
+      });
+    }
+
+    if (recipient._id.equals(req.user._id)) {
+      return res.status(400).json({
+        message: 'You already hold this QR code',
+        code: 'TRANSFER_TO_SELF'
+      });
+    }
+
+    await expireStaleTransfers({ qrCode: claim.qrCode._id });
+    const pending = await QrTransfer.exists({ qrCode: claim.qrCode._id, status: 'pending' });
+    if (pending) {
+      return res.status(409).json({
+        message: 'This QR code already has a pending transfer',
+        code: 'TRANSFER_PENDING'
+      });
+    }
+
+    const transfer = await QrTransfer.create({
+      qrCode: claim.qrCode._id,
+      code: claim.code,
+      purpose: claim.purpose,
+      fromUser: req.user._id,
+      toUser: recipient._id,
+      message,
+      expiresAt: new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+    });
+    await transfer.populate([
+      { path: 'fromUser', select: USER_FIELDS },
+      { path: 'toUser', select: USER_FIELDS }
+    ]);
+
+    res.status(201).json({
+      message: `Transfer offered to ${recipient.email}`,
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    res.status(500).json({
+      message: 'Server error while creating transfer',
+      code: 'TRANSFER_CREATE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transfers/:transferId/accept
+// @desc    Accept a transfer and become the holder of the code
+// @access  Private
+router.post('/:transferId/accept', [authenticateToken, transferIdValidation], async (req, res) => {
+  try {
+    const transfer = await findPendingTransfer(req, res, 'toUser');
+    if (!transfer) return;
+
+    // The sender may have released the code or had it suspended since offering it
+    const claim = await QrClaim.findOne({ qrCode: transfer.qrCode, user: transfer.fromUser });
+    const qrCode = await QrCode.findById(transfer.qrCode).select('status');
+    if (!claim || !qrCode || !TRANSFERABLE_STATUSES.includes(qrCode.status)) {
+      transfer.status = 'cancelled';
+      transfer.respondedAt = new Date();
+      await transfer.save();
+      return res.status(409).json({
+        message: 'This QR code can no longer be transferred',
+        code: 'TRANSFER_STALE'
+      });
+    }
+
+    const newClaim = await moveClaim(claim, req.user._id);
+
+    transfer.status = 'accepted';
+    transfer.respondedAt = new Date();
+    await transfer.save();
+
+    await newClaim.populate([
+      { path: 'qrCode', select: 'code status statusChangedAt batch validFrom validUntil' },
+      { path: 'category', select: 'name fields isActive' }
+    ]);
+
+    res.json({
+      message: 'Transfer accepted',
+      transfer,
+      claim: newClaim
+    });
+
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    res.status(500).json({
+      message: 'Server error while accepting transfer',
+      code: 'TRANSFER_ACCEPT_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transfers/:transferId/decline
+// @desc    Decline a transfer
+// @access  Private
+router.post('/:transferId/decline', [authenticateToken, transferIdValidation], async (req, res) => {
+  try {
+    const transfer = await findPendingTransfer(req, res, 'toUser');
+    if (!transfer) return;
+
+    transfer.status = 'declined';
+    transfer.respondedAt = new Date();
+    await transfer.save();
+
+    res.json({
+      message: 'Transfer declined',
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Decline transfer error:', error);
+    res.status(500).json({
+      message: 'Server error while declining transfer',
+      code: 'TRANSFER_DECLINE_ERROR'
+    });
+  }
+});
+
+// @route   POST /api/transfers/:transferId/cancel
+// @desc    Withdraw a transfer the current user offered
+// @access  Private
+router.post('/:transferId/cancel', [authenticateToken, transferIdValidation], async (req, res) => {
+  try {
+    const transfer = await findPendingTransfer(req, res, 'fromUser');
+    if (!transfer) return;
+
+    transfer.status = 'cancelled';
+    transfer.respondedAt = new Date();
+    await transfer.save();
+
+    res.json({
+      message: 'Transfer cancelled',
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({
+      message: 'Server error while cancelling transfer',
+      code: 'TRANSFER_CANCEL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
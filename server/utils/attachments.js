@@ -0,0 +1,134 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const { getStorage, createStorageKey } = require('./storage');
+
+// Largest file a user can attach, in bytes
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024;
+
+// Most files one claimed code can hold
+const MAX_ATTACHMENTS_PER_CODE = 20;
+
+// Longest edge of a generated thumbnail, in pixels
+const THUMBNAIL_SIZE = 320;
+
+// Accepted file types. The type is read from the file's first bytes; the
+// name and the type the browser claims are not trusted.
+const ATTACHMENT_TYPES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', kind: 'image', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { mimeType: 'image/png', extension: 'png', kind: 'image', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', extension: 'webp', kind: 'image', matches: bytes => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'image/gif', extension: 'gif', kind: 'image', matches: bytes => /^GIF8[79]a$/.test(bytes.toString('latin1', 0, 6)) },
+  { mimeType: 'application/pdf', extension: 'pdf', kind: 'document', matches: bytes => bytes.toString('latin1', 0, 5) === '%PDF-' },
+  // Plain text has no signature; anything without NUL bytes that decodes as UTF-8 counts
+  { mimeType: 'text/plain', extension: 'txt', kind: 'document', matches: bytes => !bytes.includes(0) && Buffer.from(bytes.toString('utf8'), 'utf8').equals(bytes) }
+];
+
+// Human readable list of what can be uploaded
+const ALLOWED_TYPES_LABEL = 'JPEG, PNG, WebP or GIF images, PDF documents or plain text files';
+
+const detectFileType = (buffer) => {
+  return buffer.length > 0 ? ATTACHMENT_TYPES.find(type => type.matches(buffer)) || null : null;
+};
+
+// Accept one file in the `file` field, held in memory so its contents can be checked
+// before anything is stored. Oversized uploads are answered here with a 400.
+const uploadAttachment = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1, fields: 5 }
+  }).single('file')(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Files cannot be larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`
+          : 'Upload a single file in the "file" field',
+        code: error.code === 'LIMIT_FILE_SIZE' ? 'ATTACHMENT_TOO_LARGE' : 'INVALID_ATTACHMENT_UPLOAD'
+      });
+    }
+    next(error);
+  });
+};
+
+// Shrink an image to a small WebP for the gallery, turned the way its EXIF data says.
+// Returns null for images that cannot be decoded.
+const createThumbnail = async (buffer) => {
+  try {
+    return await sharp(buffer, { animated: false })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 75 })
+      .toBuffer();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store an uploaded file (and its thumbnail) against a claim
+const storeAttachment = async (claim, file, { userId, caption, type }) => {
+  const storage = getStorage();
+  const folder = claim.qrCode._id.toString();
+  const storageKey = createStorageKey(folder, type.extension);
+  await storage.save(storageKey, file.buffer);
+
+  let thumbnailKey = null;
+  try {
+    if (type.kind === 'image') {
+      const thumbnail = await createThumbnail(file.buffer);
+      if (thumbnail) {
+        thumbnailKey = createStorageKey(folder, 'webp');
+        await storage.save(thumbnailKey, thumbnail);
+      }
+    }
+
+    return await Attachment.create({
+      claim: claim._id,
+      qrCode: claim.qrCode._id,
+      uploadedBy: userId,
+      originalName: (file.originalname || `attachment.${type.extension}`).slice(0, 255),
+      mimeType: type.mimeType,
+      kind: type.kind,
+      size: file.size,
+      caption,
+      storageKey,
+      thumbnailKey,
+      hasThumbnail: !!thumbnailKey
+    });
+  } catch (error) {
+    await storage.remove(storageKey);
+    if (thumbnailKey) await storage.remove(thumbnailKey);
+    throw error;
+  }
+};
+
+// Delete the attachments matching `filter` and their stored files. A file that
+// cannot be removed is reported but does not stop the rest.
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('+storageKey +thumbnailKey');
+  if (attachments.length === 0) return 0;
+
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    for (const key of [attachment.storageKey, attachment.thumbnailKey].filter(Boolean)) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error('Remove attachment file error:', error);
+      }
+    }
+  }
+
+  const { deletedCount } = await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  return deletedCount;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_CODE,
+  ALLOWED_TYPES_LABEL,
+  detectFileType,
+  uploadAttachment,
+  storeAttachment,
+  removeAttachments
+};
\ No newline at end of file
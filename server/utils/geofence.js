@@ -0,0 +1,153 @@
+const { body } = require('express-validator');
+const Geofence = require('../models/Geofence');
+const GeofenceAlert = require('../models/GeofenceAlert');
+
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_POLYGON_POINTS = 100;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points in metres
+const distanceBetween = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Flat x/y in metres around `origin`; accurate enough at geofence scale
+const project = (point, origin) => ({
+  x: toRadians(point.lng - origin.lng) * Math.cos(toRadians(origin.lat)) * EARTH_RADIUS_METERS,
+  y: toRadians(point.lat - origin.lat) * EARTH_RADIUS_METERS
+});
+
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+// Metres from `point` to the nearest edge of a polygon, or 0 when it is inside
+const distanceOutsidePolygon = (point, vertices) => {
+  const projected = vertices.map(vertex => project(vertex, point));
+  const origin = { x: 0, y: 0 };
+
+  // Ray casting from the point along +x
+  let inside = false;
+  for (let i = 0, j = projected.length - 1; i < projected.length; j = i++) {
+    const a = projected[i];
+    const b = projected[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  if (inside) return 0;
+
+  return Math.min(...projected.map((vertex, i) => distanceToSegment(origin, vertex, projected[(i + 1) % projected.length])));
+};
+
+// Metres between `point` and the fence boundary, 0 when the point is inside
+const distanceOutside = (fence, point) => {
+  if (fence.shape === 'circle') {
+    return Math.max(0, distanceBetween(fence.center, point) - fence.radius);
+  }
+  return distanceOutsidePolygon(point, fence.points);
+};
+
+// Check a reported position of `qrCode` against every active fence on the code
+// or its batch and record an alert for each one it is outside of. A position is
+// only treated as outside when its whole accuracy radius is, so coarse scan
+// positions do not raise false alarms. Failures are logged, not thrown, so they
+// never block the location update that triggered them.
+const checkGeofences = async (qrCode, { lat, lng, accuracy, source }) => {
+  try {
+    const targets = [{ qrCode: qrCode._id }];
+    if (qrCode.batch) targets.push({ batch: qrCode.batch });
+
+    const fences = await Geofence.find({ active: true, $or: targets });
+    const alerts = [];
+
+    for (const fence of fences) {
+      const distance = distanceOutside(fence, { lat, lng });
+      if (distance > (accuracy || 0)) {
+        alerts.push(await GeofenceAlert.create({
+          geofence: fence._id,
+          geofenceName: fence.name,
+          qrCode: qrCode._id,
+          code: qrCode.code,
+          lat,
+          lng,
+          accuracy,
+          source,
+          distance: Math.round(distance)
+        }));
+      }
+    }
+
+    return alerts;
+  } catch (error) {
+    console.error('Check geofences error:', error);
+    return [];
+  }
+};
+
+// Validation rules for creating a fence
+const geofenceValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Geofence name must be between 1 and 100 characters'),
+  body('shape')
+    .isIn(['circle', 'polygon'])
+    .withMessage('Shape must be circle or polygon'),
+  body('center.lat')
+    .if(body('shape').equals('circle'))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Centre latitude must be a number between -90 and 90'),
+  body('center.lng')
+    .if(body('shape').equals('circle'))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Centre longitude must be a number between -180 and 180'),
+  body('radius')
+    .if(body('shape').equals('circle'))
+    .isFloat({ min: 10, max: 100000 })
+    .withMessage('Radius must be between 10 and 100000 metres'),
+  body('points')
+    .if(body('shape').equals('polygon'))
+    .isArray({ min: 3, max: MAX_POLYGON_POINTS })
+    .withMessage(`A polygon needs between 3 and ${MAX_POLYGON_POINTS} points`),
+  body('points.*.lat')
+    .if(body('shape').equals('polygon'))
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Point latitude must be a number between -90 and 90'),
+  body('points.*.lng')
+    .if(body('shape').equals('polygon'))
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Point longitude must be a number between -180 and 180')
+];
+
+// Shape fields of a validated request body
+const getShapeFields = ({ shape, center, radius, points }) => {
+  if (shape === 'circle') {
+    return {
+      shape,
+      center: { lat: parseFloat(center.lat), lng: parseFloat(center.lng) },
+      radius: parseFloat(radius)
+    };
+  }
+  return {
+    shape,
+    points: points.map(point => ({ lat: parseFloat(point.lat), lng: parseFloat(point.lng) }))
+  };
+};
+
+module.exports = {
+  distanceBetween,
+  distanceOutside,
+  checkGeofences,
+  geofenceValidation,
+  getShapeFields
+};
\ No newline at end of file
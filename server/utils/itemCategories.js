@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const { body } = require('express-validator');
+const ItemCategory = require('../models/ItemCategory');
+const QrClaim = require('../models/QrClaim');
+
+// Most custom fields one category can define
+const MAX_CATEGORY_FIELDS = 20;
+
+// Most choices one select field can offer
+const MAX_SELECT_OPTIONS = 50;
+
+// Longest value a text field accepts
+const MAX_TEXT_LENGTH = 500;
+
+// Serial numbers are stored upper-cased so the same number is always spelled the same way
+const SERIAL_PATTERN = /^[A-Z0-9][A-Z0-9\-/.]{0,63}$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation rules for creating or updating a category
+const categoryValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category name must be between 1 and 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('fields')
+    .optional()
+    .isArray({ max: MAX_CATEGORY_FIELDS })
+    .withMessage(`A category can have at most ${MAX_CATEGORY_FIELDS} fields`),
+  body('fields.*.label')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Field labels must be between 1 and 60 characters'),
+  body('fields.*.type')
+    .isIn(ItemCategory.FIELD_TYPES)
+    .withMessage(`Field type must be one of: ${ItemCategory.FIELD_TYPES.join(', ')}`),
+  body('fields.*.required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be a boolean'),
+  body('fields.*.options')
+    .optional()
+    .isArray({ max: MAX_SELECT_OPTIONS })
+    .withMessage(`A select field can have at most ${MAX_SELECT_OPTIONS} options`),
+  body('fields.*.min')
+    .optional({ values: 'null' })
+    .isFloat()
+    .withMessage('Minimum must be a number'),
+  body('fields.*.max')
+    .optional({ values: 'null' })
+    .isFloat()
+    .withMessage('Maximum must be a number')
+];
+
+// Turn a label into a field key, e.g. "Serial No." -> "serial_no"
+const toFieldKey = (label) => {
+  const key = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '').slice(0, 40);
+  return key || 'field';
+};
+
+// Check a submitted field list and put it in stored form. Fields that already exist
+// keep their key and type, so values saved on claims stay meaningful.
+// Returns { fields } or { error }.
+const normalizeFields = (fields = [], existingFields = []) => {
+  const existing = new Map(existingFields.map(field => [field.key, field]));
+  const keys = new Set();
+  const normalized = [];
+
+  for (const field of fields) {
+    const label = field.label.trim();
+    let key = field.key && existing.has(field.key) ? field.key : toFieldKey(label);
+    if (!field.key || !existing.has(field.key)) {
+      // New fields never reuse the key of a field that exists or is being added
+      for (let suffix = 2; keys.has(key) || existing.has(key); suffix++) {
+        key = `${toFieldKey(label).slice(0, 36)}_${suffix}`;
+      }
+    }
+    if (keys.has(key)) {
+      return { error: `Field "${label}" is listed twice` };
+    }
+    keys.add(key);
+
+    const previous = existing.get(key);
+    if (previous && previous.type !== field.type) {
+      return { error: `Field "${label}" cannot change type; add a new field instead` };
+    }
+
+    const entry = { key, label, type: field.type, required: field.required === true };
+
+    if (field.type === 'select') {
+      const options = [...new Set((field.options || []).map(option => String(option).trim()).filter(Boolean))];
+      if (options.length === 0) {
+        return { error: `Select field "${label}" needs at least one option` };
+      }
+      if (options.some(option => option.length > 100)) {
+        return { error: `Options for "${label}" cannot exceed 100 characters` };
+      }
+      entry.options = options;
+    }
+
+    if (field.type === 'number') {
+      const min = field.min === undefined || field.min === null || field.min === '' ? undefined : Number(field.min);
+      const max = field.max === undefined || field.max === null || field.max === '' ? undefined : Number(field.max);
+      if (min !== undefined && max !== undefined && min > max) {
+        return { error: `Minimum for "${label}" cannot be above its maximum` };
+      }
+      entry.min = min;
+      entry.max = max;
+    }
+
+    normalized.push(entry);
+  }
+
+  return { fields: normalized };
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Check one submitted value against its field. Returns { value } or { error }.
+const checkFieldValue = (field, raw) => {
+  switch (field.type) {
+    case 'text': {
+      const value = String(raw).trim();
+      if (value.length > MAX_TEXT_LENGTH) {
+        return { error: `${field.label} cannot exceed ${MAX_TEXT_LENGTH} characters` };
+      }
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(value)) {
+        return { error: `${field.label} must be a number` };
+      }
+      if (field.min !== undefined && field.min !== null && value < field.min) {
+        return { error: `${field.label} must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && field.max !== null && value > field.max) {
+        return { error: `${field.label} must be at most ${field.max}` };
+      }
+      return { value };
+    }
+    case 'date': {
+      const value = String(raw).trim();
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!DATE_PATTERN.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+        return { error: `${field.label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value };
+    }
+    case 'select': {
+      const value = String(raw).trim();
+      if (!field.options.includes(value)) {
+        return { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+      }
+      return { value };
+    }
+    case 'serial': {
+      const value = String(raw).trim().toUpperCase();
+      if (!SERIAL_PATTERN.test(value)) {
+        return { error: `${field.label} must be up to 64 letters, digits, dashes, dots or slashes` };
+      }
+      return { value };
+    }
+    default:
+      return { error: `${field.label} has an unknown type` };
+  }
+};
+
+// Check submitted custom field values against a category. Values for fields the
+// category does not define are dropped. Returns { details, errors } where errors
+// use the same shape as express-validator's.
+const validateDetails = (category, values) => {
+  const submitted = values && typeof values === 'object' && !Array.isArray(values) ? values : {};
+  const details = {};
+  const errors = [];
+
+  for (const field of category.fields) {
+    const raw = submitted[field.key];
+    const path = `details.${field.key}`;
+    if (isBlank(raw)) {
+      if (field.required) {
+        errors.push({ type: 'field', location: 'body', path, msg: `${field.label} is required` });
+      }
+      continue;
+    }
+
+    if (typeof raw === 'object') {
+      errors.push({ type: 'field', location: 'body', path, msg: `${field.label} must be a single value` });
+      continue;
+    }
+
+    const result = checkFieldValue(field, raw);
+    if (result.error) {
+      errors.push({ type: 'field', location: 'body', path, value: raw, msg: result.error });
+    } else {
+      details[field.key] = result.value;
+    }
+  }
+
+  return { details, errors };
+};
+
+// Serial numbers must be unique among items of the same category
+const findDuplicateSerials = async (category, details, claimId) => {
+  const errors = [];
+  for (const field of category.fields.filter(field => field.type === 'serial')) {
+    const value = details[field.key];
+    if (value === undefined) continue;
+
+    const filter = { category: category._id, [`details.${field.key}`]: value };
+    if (claimId) filter._id = { $ne: claimId };
+    if (await QrClaim.exists(filter)) {
+      errors.push({
+        type: 'field',
+        location: 'body',
+        path: `details.${field.key}`,
+        value,
+        msg: `${field.label} ${value} is already registered to another item`
+      });
+    }
+  }
+  return errors;
+};
+
+// Apply the `category` and `details` in req.body to a claim. An empty category
+// clears both. Archived categories can only be kept, not newly chosen.
+// Sends the error response and returns false when the input is rejected.
+const applyCategory = async (req, res, claim) => {
+  const { category: categoryId, details } = req.body;
+  if (categoryId === undefined) {
+    if (details !== undefined && !claim.category) {
+      res.status(400).json({
+        message: 'Choose a category before filling in its fields',
+        code: 'CATEGORY_REQUIRED'
+      });
+      return false;
+    }
+    if (details === undefined) return true;
+  }
+
+  if (categoryId === null || categoryId === '') {
+    claim.category = null;
+    claim.details = undefined;
+    return true;
+  }
+
+  // The claim's current category may already be populated
+  const currentId = claim.category ? String(claim.category._id || claim.category) : null;
+  const id = categoryId === undefined ? currentId : String(categoryId);
+  const category = mongoose.isValidObjectId(id) ? await ItemCategory.findById(id) : null;
+  const keepingCurrent = currentId === id;
+  if (!category || (!category.isActive && !keepingCurrent)) {
+    res.status(400).json({
+      message: 'Category not found',
+      code: 'CATEGORY_NOT_FOUND'
+    });
+    return false;
+  }
+
+  const result = validateDetails(category, details);
+  const errors = result.errors.length > 0
+    ? result.errors
+    : await findDuplicateSerials(category, result.details, claim._id);
+  if (errors.length > 0) {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors
+    });
+    return false;
+  }
+
+  claim.category = category._id;
+  claim.details = result.details;
+  return true;
+};
+
+module.exports = {
+  MAX_CATEGORY_FIELDS,
+  categoryValidation,
+  normalizeFields,
+  validateDetails,
+  applyCategory
+};
\ No newline at end of file
@@ -0,0 +1,147 @@
+const PDFDocument = require('pdfkit');
+const { drawQrToPdf } = require('./qrRender');
+
+const MM_TO_PT = 72 / 25.4;
+
+// Page sizes in millimetres
+const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  LETTER: { width: 215.9, height: 279.4 }
+};
+
+// Common label-sheet layouts, all measurements in millimetres
+const LABEL_LAYOUTS = {
+  'avery-5160': {
+    description: 'Avery 5160 / Letter, 30 labels (3 x 10)',
+    pageSize: 'LETTER', columns: 3, rows: 10,
+    labelWidth: 66.675, labelHeight: 25.4,
+    marginTop: 12.7, marginLeft: 4.7625, gapX: 3.175, gapY: 0
+  },
+  'avery-5163': {
+    description: 'Avery 5163 / Letter, 10 labels (2 x 5)',
+    pageSize: 'LETTER', columns: 2, rows: 5,
+    labelWidth: 101.6, labelHeight: 50.8,
+    marginTop: 12.7, marginLeft: 3.96875, gapX: 4.7625, gapY: 0
+  },
+  'avery-l7160': {
+    description: 'Avery L7160 / A4, 21 labels (3 x 7)',
+    pageSize: 'A4', columns: 3, rows: 7,
+    labelWidth: 63.5, labelHeight: 38.1,
+    marginTop: 15.15, marginLeft: 7.25, gapX: 2.5, gapY: 0
+  },
+  'avery-l7163': {
+    description: 'Avery L7163 / A4, 14 labels (2 x 7)',
+    pageSize: 'A4', columns: 2, rows: 7,
+    labelWidth: 99.1, labelHeight: 38.1,
+    marginTop: 15.15, marginLeft: 4.65, gapX: 2.5, gapY: 0
+  },
+  'a4-square-4x6': {
+    description: 'A4, 24 square labels (4 x 6)',
+    pageSize: 'A4', columns: 4, rows: 6,
+    labelWidth: 45, labelHeight: 45,
+    marginTop: 13.5, marginLeft: 9, gapX: 3, gapY: 0
+  }
+};
+
+// Options that may override a layout preset
+const LAYOUT_OVERRIDES = ['columns', 'rows', 'labelWidth', 'labelHeight', 'marginTop', 'marginLeft', 'gapX', 'gapY'];
+
+// Print 16-digit codes in groups of four so they are easy to read back
+const formatCode = (code) => code.replace(/(\d{4})(?=\d)/g, '$1 ');
+
+// Merge a preset with caller overrides and check that the labels fit on the page.
+// Returns { layout } or { error } with a human readable message.
+const resolveLayout = (options = {}) => {
+  const preset = LABEL_LAYOUTS[options.layout || 'avery-5160'];
+  if (!preset) {
+    return { error: `Layout must be one of: ${Object.keys(LABEL_LAYOUTS).join(', ')}` };
+  }
+
+  const layout = { ...preset };
+  for (const key of LAYOUT_OVERRIDES) {
+    if (options[key] !== undefined && options[key] !== '') {
+      layout[key] = Number(options[key]);
+    }
+  }
+
+  if (options.pageSize) {
+    if (!PAGE_SIZES[options.pageSize]) {
+      return { error: `Page size must be one of: ${Object.keys(PAGE_SIZES).join(', ')}` };
+    }
+    layout.pageSize = options.pageSize;
+  }
+
+  if (LAYOUT_OVERRIDES.some(key => !Number.isFinite(layout[key]) || layout[key] < 0)) {
+    return { error: 'Layout measurements must be non-negative numbers' };
+  }
+  if (!Number.isInteger(layout.columns) || !Number.isInteger(layout.rows) || layout.columns < 1 || layout.rows < 1) {
+    return { error: 'Columns and rows must be positive whole numbers' };
+  }
+  if (layout.labelWidth < 15 || layout.labelHeight < 15) {
+    return { error: 'Labels must be at least 15mm wide and high' };
+  }
+
+  const page = PAGE_SIZES[layout.pageSize];
+  const usedWidth = layout.marginLeft + layout.columns * layout.labelWidth + (layout.columns - 1) * layout.gapX;
+  const usedHeight = layout.marginTop + layout.rows * layout.labelHeight + (layout.rows - 1) * layout.gapY;
+  if (usedWidth > page.width + 0.01 || usedHeight > page.height + 0.01) {
+    return { error: 'Labels do not fit on the page with these measurements' };
+  }
+
+  return { layout };
+};
+
+// Render labels into a paginated PDF and pipe it to `output`.
+// Each label is { code, payload } where payload is the text encoded in the symbol.
+const renderLabelSheet = (labels, layout, output, title) => {
+  const page = PAGE_SIZES[layout.pageSize];
+  const doc = new PDFDocument({
+    size: [page.width * MM_TO_PT, page.height * MM_TO_PT],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: title || 'QR code labels', Creator: 'Addwise' }
+  });
+  doc.pipe(output);
+
+  const perPage = layout.columns * layout.rows;
+  const labelWidth = layout.labelWidth * MM_TO_PT;
+  const labelHeight = layout.labelHeight * MM_TO_PT;
+  const padding = 2 * MM_TO_PT;
+  const textHeight = Math.min(10, labelHeight * 0.18);
+
+  labels.forEach((label, index) => {
+    if (index % perPage === 0) {
+      doc.addPage();
+    }
+
+    const slot = index % perPage;
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    const x = (layout.marginLeft + column * (layout.labelWidth + layout.gapX)) * MM_TO_PT;
+    const y = (layout.marginTop + row * (layout.labelHeight + layout.gapY)) * MM_TO_PT;
+
+    // Largest square symbol that leaves room for the code text underneath
+    const symbolSize = Math.min(labelWidth - padding * 2, labelHeight - padding * 2 - textHeight);
+    const symbolX = x + (labelWidth - symbolSize) / 2;
+    const symbolY = y + padding;
+    drawQrToPdf(doc, label.payload, symbolX, symbolY, symbolSize, { quietZone: 2 });
+
+    doc.font('Courier')
+      .fontSize(textHeight * 0.85)
+      .fillColor('#000000')
+      .text(formatCode(label.code), x, symbolY + symbolSize, {
+        width: labelWidth,
+        align: 'center',
+        lineBreak: false
+      });
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  LABEL_LAYOUTS,
+  PAGE_SIZES,
+  resolveLayout,
+  renderLabelSheet
+};
\ No newline at end of file
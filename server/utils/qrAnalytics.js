@@ -0,0 +1,351 @@
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const QrBatch = require('../models/QrBatch');
+const ScanEvent = require('../models/ScanEvent');
+const LocationPoint = require('../models/LocationPoint');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods codes generated can be grouped by
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+
+// Default reporting window when no start date is given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest window a report can cover
+const MAX_RANGE_DAYS = 731;
+
+// How many codes the most- and least-active lists hold
+const ACTIVITY_LIST_SIZE = 10;
+
+// Generation-to-claim buckets, as [label, upper bound in days]
+const CLAIM_DELAY_BUCKETS = [
+  ['Same day', 1],
+  ['1-7 days', 7],
+  ['1-4 weeks', 28],
+  ['1-3 months', 91],
+  ['Over 3 months', Infinity]
+];
+
+// Parse the `from`, `to` and `interval` query parameters. `to` is exclusive; a bare
+// date includes the whole day. Returns null when the range is unusable.
+const parseAnalyticsRange = ({ from, to, interval = 'day' } = {}) => {
+  if (!ANALYTICS_INTERVALS.includes(interval)) return null;
+
+  const end = to ? new Date(to) : new Date();
+  if (isNaN(end)) return null;
+  if (!to || /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(0, 0, 0, 0);
+    end.setUTCDate(end.getUTCDate() + 1);
+  }
+
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (isNaN(start) || start >= end || end - start > MAX_RANGE_DAYS * DAY_MS) return null;
+
+  return { start, end, interval };
+};
+
+// Expression giving the period a date falls in as a string key: YYYY-MM-DD for days,
+// the Monday starting the week for weeks and YYYY-MM for months (all UTC)
+const periodKeyExpression = (field, interval) => {
+  if (interval === 'month') {
+    return { $dateToString: { format: '%Y-%m', date: field } };
+  }
+  if (interval === 'week') {
+    // $dayOfWeek is 1 for Sunday, so this is the number of days since Monday
+    const daysSinceMonday = { $mod: [{ $add: [{ $dayOfWeek: field }, 5] }, 7] };
+    return {
+      $dateToString: {
+        format: '%Y-%m-%d',
+        date: { $subtract: [field, { $multiply: [daysSinceMonday, DAY_MS] }] }
+      }
+    };
+  }
+  return { $dateToString: { format: '%Y-%m-%d', date: field } };
+};
+
+// Every period key between start and end, matching periodKeyExpression
+const listPeriods = (start, end, interval) => {
+  const cursor = new Date(start);
+  cursor.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    cursor.setUTCDate(1);
+  }
+
+  const periods = [];
+  while (cursor < end) {
+    const key = cursor.toISOString().slice(0, 10);
+    periods.push(interval === 'month' ? key.slice(0, 7) : key);
+    if (interval === 'month') {
+      cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    } else {
+      cursor.setUTCDate(cursor.getUTCDate() + (interval === 'week' ? 7 : 1));
+    }
+  }
+  return periods;
+};
+
+// Turn aggregated { _id: period, count } rows into a series with a zero for every empty period
+const fillSeries = (rows, periods) => {
+  const counts = new Map(rows.map(row => [row._id, row.count]));
+  return periods.map(period => ({ period, count: counts.get(period) || 0 }));
+};
+
+const codesGenerated = async ({ start, end, interval }) => {
+  const rows = await QrCode.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end } } },
+    { $group: { _id: periodKeyExpression('$createdAt', interval), count: { $sum: 1 } } }
+  ]);
+  return fillSeries(rows, listPeriods(start, end, interval));
+};
+
+// Share of the codes generated in the range that are held by someone, per batch
+const claimRateByBatch = async ({ start, end }) => {
+  const rows = await QrCode.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end } } },
+    {
+      $lookup: {
+        from: QrClaim.collection.name,
+        localField: '_id',
+        foreignField: 'qrCode',
+        as: 'claim'
+      }
+    },
+    {
+      $group: {
+        _id: '$batch',
+        total: { $sum: 1 },
+        claimed: { $sum: { $cond: [{ $gt: [{ $size: '$claim' }, 0] }, 1, 0] } }
+      }
+    },
+    {
+      $lookup: {
+        from: QrBatch.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'batch'
+      }
+    },
+    { $sort: { total: -1 } }
+  ]);
+
+  return rows.map(row => ({
+    batch: row._id ? { _id: row._id, name: row.batch[0] ? row.batch[0].name : 'Deleted batch' } : null,
+    total: row.total,
+    claimed: row.claimed,
+    claimRate: row.total > 0 ? row.claimed / row.total : 0
+  }));
+};
+
+// How long codes first claimed in the range waited after being generated. Codes
+// claimed before status history was recorded have no first-claim date and are left out.
+const timeToClaim = async ({ start, end }) => {
+  const [result] = await QrCode.aggregate([
+    { $match: { 'statusHistory.to': 'claimed' } },
+    {
+      $project: {
+        firstClaimedAt: {
+          $min: {
+            $map: {
+              input: {
+                $filter: {
+                  input: '$statusHistory',
+                  cond: { $and: [{ $eq: ['$$this.to', 'claimed'] }, { $ne: ['$$this.from', 'lost'] }] }
+                }
+              },
+              in: '$$this.changedAt'
+            }
+          }
+        },
+        createdAt: 1
+      }
+    },
+    { $match: { firstClaimedAt: { $gte: start, $lt: end } } },
+    { $project: { days: { $divide: [{ $subtract: ['$firstClaimedAt', '$createdAt'] }, DAY_MS] } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              averageDays: { $avg: '$days' },
+              maxDays: { $max: '$days' }
+            }
+          }
+        ],
+        days: [{ $sort: { days: 1 } }, { $group: { _id: null, days: { $push: '$days' } } }]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0];
+  const days = result.days[0] ? result.days[0].days : [];
+  const buckets = CLAIM_DELAY_BUCKETS.map(([label]) => ({ label, count: 0 }));
+  for (const value of days) {
+    buckets[CLAIM_DELAY_BUCKETS.findIndex(([, limit]) => value < limit)].count++;
+  }
+
+  return {
+    count: totals ? totals.count : 0,
+    averageDays: totals ? totals.averageDays : null,
+    medianDays: days.length > 0 ? days[Math.floor((days.length - 1) / 2)] : null,
+    maxDays: totals ? totals.maxDays : null,
+    buckets
+  };
+};
+
+const scansPerDay = async ({ start, end }) => {
+  const rows = await ScanEvent.aggregate([
+    { $match: { scannedAt: { $gte: start, $lt: end } } },
+    { $group: { _id: periodKeyExpression('$scannedAt', 'day'), count: { $sum: 1 } } }
+  ]);
+  return fillSeries(rows, listPeriods(start, end, 'day'));
+};
+
+// Codes scanned most often in the range
+const mostActiveCodes = async ({ start, end }) => {
+  const rows = await ScanEvent.aggregate([
+    { $match: { scannedAt: { $gte: start, $lt: end } } },
+    { $group: { _id: '$qrCode', code: { $first: '$code' }, scans: { $sum: 1 }, lastScannedAt: { $max: '$scannedAt' } } },
+    {
+      $lookup: {
+        from: QrCode.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'qrCode'
+      }
+    },
+    // Deleted codes keep their scans until they are purged
+    { $unwind: '$qrCode' },
+    { $match: { 'qrCode.deletedAt': null } },
+    { $sort: { scans: -1, lastScannedAt: -1 } },
+    { $limit: ACTIVITY_LIST_SIZE }
+  ]);
+
+  return rows.map(row => ({
+    code: row.code,
+    status: row.qrCode.status,
+    scans: row.scans,
+    lastScannedAt: row.lastScannedAt
+  }));
+};
+
+// Claimed codes scanned least often in the range, including ones never scanned
+const leastActiveCodes = async ({ start, end }) => {
+  const rows = await QrCode.aggregate([
+    { $match: { status: 'claimed' } },
+    {
+      $lookup: {
+        from: ScanEvent.collection.name,
+        let: { qrCodeId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$qrCode', '$$qrCodeId'] }, scannedAt: { $gte: start, $lt: end } } },
+          { $group: { _id: null, scans: { $sum: 1 }, lastScannedAt: { $max: '$scannedAt' } } }
+        ],
+        as: 'activity'
+      }
+    },
+    {
+      $project: {
+        code: 1,
+        status: 1,
+        scans: { $ifNull: [{ $first: '$activity.scans' }, 0] },
+        lastScannedAt: { $first: '$activity.lastScannedAt' }
+      }
+    },
+    { $sort: { scans: 1, code: 1 } },
+    { $limit: ACTIVITY_LIST_SIZE }
+  ]);
+
+  return rows.map(row => ({
+    code: row.code,
+    status: row.status,
+    scans: row.scans,
+    lastScannedAt: row.lastScannedAt || null
+  }));
+};
+
+// Held codes that have never had a position recorded
+const codesWithoutLocation = async () => {
+  const unlocated = {
+    points: { $size: 0 },
+    $or: [{ 'location.lat': null }, { 'location.lng': null }]
+  };
+
+  const [result] = await QrClaim.aggregate([
+    {
+      $lookup: {
+        from: QrCode.collection.name,
+        localField: 'qrCode',
+        foreignField: '_id',
+        as: 'qrCode'
+      }
+    },
+    // Claims on deleted codes stay hidden until the code is restored or purged
+    { $unwind: '$qrCode' },
+    { $match: { 'qrCode.deletedAt': null } },
+    {
+      $lookup: {
+        from: LocationPoint.collection.name,
+        let: { claimId: '$_id' },
+        pipeline: [{ $match: { $expr: { $eq: ['$claim', '$$claimId'] } } }, { $limit: 1 }],
+        as: 'points'
+      }
+    },
+    {
+      $facet: {
+        claimed: [{ $count: 'count' }],
+        unlocated: [{ $match: unlocated }, { $count: 'count' }],
+        codes: [
+          { $match: unlocated },
+          { $sort: { createdAt: 1 } },
+          { $limit: ACTIVITY_LIST_SIZE },
+          {
+            $lookup: {
+              from: User.collection.name,
+              localField: 'user',
+              foreignField: '_id',
+              as: 'user'
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    total: result.unlocated[0] ? result.unlocated[0].count : 0,
+    claimedTotal: result.claimed[0] ? result.claimed[0].count : 0,
+    codes: result.codes.map(claim => ({
+      code: claim.code,
+      status: claim.qrCode.status,
+      user: claim.user[0]
+        ? { _id: claim.user[0]._id, firstName: claim.user[0].firstName, lastName: claim.user[0].lastName, email: claim.user[0].email }
+        : null,
+      claimedAt: claim.createdAt
+    }))
+  };
+};
+
+// Every QR program metric for the admin analytics view
+const buildQrAnalytics = async (range) => ({
+  range: { from: range.start, to: range.end, interval: range.interval },
+  codesGenerated: await codesGenerated(range),
+  claimRateByBatch: await claimRateByBatch(range),
+  timeToClaim: await timeToClaim(range),
+  scansPerDay: await scansPerDay(range),
+  mostActiveCodes: await mostActiveCodes(range),
+  leastActiveCodes: await leastActiveCodes(range),
+  codesWithoutLocation: await codesWithoutLocation()
+});
+
+module.exports = {
+  ANALYTICS_INTERVALS,
+  MAX_RANGE_DAYS,
+  parseAnalyticsRange,
+  buildQrAnalytics
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QrCode = require('../models/QrCode');
+
+const CODE_LENGTH = 16;
+const MAX_ATTEMPTS = 5;
+
+// Luhn check digit for a string of digits
+const computeCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit counting from the right of the final code
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Check that a code is 16 digits and its last digit is a valid Luhn check digit
+const isValidCode = (code) => {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${CODE_LENGTH}}$`).test(code)) {
+    return false;
+  }
+  return computeCheckDigit(code.slice(0, -1)) === code.slice(-1);
+};
+
+// Generate one code: 15 digits from a CSPRNG followed by a check digit
+const generateCode = () => {
+  let digits = '';
+  for (let i = 0; i < CODE_LENGTH - 1; i++) {
+    digits += crypto.randomInt(10);
+  }
+  return digits + computeCheckDigit(digits);
+};
+
+// Generate `count` codes that are unique among themselves and not already stored
+const generateUniqueCodes = async (count) => {
+  const codes = new Set();
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && codes.size < count; attempt++) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.size) {
+      const code = generateCode();
+      if (!codes.has(code)) candidates.add(code);
+    }
+
+    // Soft-deleted codes still hold their value until they are purged
+    const taken = await QrCode.distinct('code', { code: { $in: [...candidates] }, deletedAt: QrCode.ANY_DELETION_STATE });
+    const takenSet = new Set(taken);
+    candidates.forEach(code => {
+      if (!takenSet.has(code)) codes.add(code);
+    });
+  }
+
+  if (codes.size < count) {
+    throw new Error('Could not generate enough unique QR codes');
+  }
+  return [...codes];
+};
+
+// Create `count` QR codes with the given extra fields, retrying codes that
+// collide with ones inserted concurrently by another request.
+const createQrCodes = async (count, fields) => {
+  const created = [];
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && created.length < count; attempt++) {
+    const codes = await generateUniqueCodes(count - created.length);
+    const docs = codes.map(code => ({ _id: new mongoose.Types.ObjectId(), code, ...fields }));
+
+    try {
+      created.push(...await QrCode.insertMany(docs, { ordered: false }));
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Keep whatever was inserted and generate replacements for the rest
+      created.push(...await QrCode.find({ _id: { $in: docs.map(doc => doc._id) } }));
+    }
+  }
+
+  if (created.length < count) {
+    throw new Error('Could not generate enough unique QR codes');
+  }
+  return created;
+};
+
+// Record on codes stored before the hasCheckDigit flag existed whether they end
+// in a valid check digit, so ones printed without one can still be typed in
+const flagLegacyCodes = async () => {
+  const unflagged = { hasCheckDigit: { $exists: false }, deletedAt: QrCode.ANY_DELETION_STATE };
+  const codes = await QrCode.find(unflagged).select('code').lean();
+  if (codes.length === 0) return 0;
+
+  const withoutCheckDigit = codes.filter(qr => !isValidCode(qr.code)).map(qr => qr._id);
+  await QrCode.updateMany({ ...unflagged, _id: { $in: withoutCheckDigit } }, { $set: { hasCheckDigit: false } });
+  await QrCode.updateMany(unflagged, { $set: { hasCheckDigit: true } });
+  return withoutCheckDigit.length;
+};
+
+module.exports = {
+  CODE_LENGTH,
+  computeCheckDigit,
+  isValidCode,
+  generateCode,
+  createQrCodes,
+  flagLegacyCodes
+};
\ No newline at end of file
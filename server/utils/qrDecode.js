@@ -0,0 +1,460 @@
+const multer = require('multer');
+const sharp = require('sharp');
+const jsQR = require('jsqr');
+const rateLimit = require('express-rate-limit');
+
+// Largest photo accepted for decoding, in bytes
+const MAX_DECODE_BYTES = (parseInt(process.env.QR_DECODE_MAX_MB) || 15) * 1024 * 1024;
+
+// Images with more pixels than this are refused before they are decoded
+const MAX_DECODE_PIXELS = 50 * 1000 * 1000;
+
+// Longest edge, in pixels, photos are reduced to before they are searched. The
+// passes below never need more, and it bounds the work one upload can cause.
+const MAX_DECODE_EDGE = 3000;
+
+// Decoding takes seconds of CPU, so each user may only start a few a minute and
+// only a few run at once across the server; a short queue waits behind them
+const DECODES_PER_MINUTE = parseInt(process.env.QR_DECODE_PER_MINUTE) || 10;
+const MAX_CONCURRENT_DECODES = parseInt(process.env.QR_DECODE_CONCURRENCY) || 1;
+const MAX_QUEUED_DECODES = MAX_CONCURRENT_DECODES * 4;
+
+// Scales and angles tried, in order. Full resolution phone photos are too large
+// for the detector and small crops decode better enlarged, so the image is first
+// tried upright at a few sizes (longest edge in pixels). jsQR copes with quarter
+// turns and mild slants on its own; the angles (degrees clockwise) cover codes
+// photographed at a steep slant.
+const DECODE_PASSES = [
+  { size: 1024, angle: 0 },
+  { size: 1600, angle: 0 },
+  { size: 640, angle: 0 },
+  { size: 1024, angle: 45 },
+  { size: 1024, angle: 22.5 },
+  { size: 1024, angle: 67.5 }
+];
+
+// Finding every code in a photo: jsQR reads one symbol and fails outright when
+// several are in view, so the image is first split into candidate regions. Dark
+// pixels are grown by a few pixels at a working size, which joins a symbol's
+// modules into one blob while the quiet zone around it keeps neighbours apart.
+// A larger radius copes with photos where the modules are further apart.
+const SEGMENT_SIZE = 1200;
+const SEGMENT_RADII = [2, 5];
+
+// Blobs smaller than this many working pixels on a side are ignored
+const MIN_BLOB_SIZE = 16;
+
+// Longest edge each candidate region is scaled to before it is read
+const REGION_SIZE = 640;
+
+// Most symbols read from one image
+const MAX_SYMBOLS = 100;
+
+// Clean-ups applied to the scaled and turned greyscale image
+const DECODE_FILTERS = {
+  normalised: image => image.normalise(),
+  sharpened: image => image.normalise().sharpen(),
+  threshold: image => image.normalise().threshold(128)
+};
+
+// Accept one image in the `image` field, held in memory for decoding.
+// Oversized uploads are answered here with a 400.
+const uploadQrImage = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_DECODE_BYTES, files: 1, fields: 5 }
+  }).single('image')(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Images cannot be larger than ${MAX_DECODE_BYTES / 1024 / 1024} MB`
+          : 'Upload a single image in the "image" field',
+        code: error.code === 'LIMIT_FILE_SIZE' ? 'IMAGE_TOO_LARGE' : 'INVALID_IMAGE_UPLOAD'
+      });
+    }
+    next(error);
+  });
+};
+
+// Limit how often one user can ask for a decode; answers with a 429 beyond it
+const decodeRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: DECODES_PER_MINUTE,
+  keyGenerator: (req) => req.user._id.toString(),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: `You can decode at most ${DECODES_PER_MINUTE} images a minute. Try again shortly.`,
+    code: 'DECODE_RATE_LIMITED'
+  }
+});
+
+let activeDecodes = 0;
+const waitingDecodes = [];
+
+// Run `task` once a decode slot is free. Resolves with { result }, or with
+// { busy: true } without running it when the queue is already full.
+const withDecodeSlot = async (task) => {
+  if (activeDecodes < MAX_CONCURRENT_DECODES) {
+    activeDecodes++;
+  } else if (waitingDecodes.length < MAX_QUEUED_DECODES) {
+    // The finishing decode hands its slot straight over
+    await new Promise(resolve => waitingDecodes.push(resolve));
+  } else {
+    return { busy: true };
+  }
+
+  try {
+    return { result: await task() };
+  } finally {
+    const next = waitingDecodes.shift();
+    if (next) {
+      next();
+    } else {
+      activeDecodes--;
+    }
+  }
+};
+
+// The photo turned upright as its EXIF data says, no larger than MAX_DECODE_EDGE,
+// flattened onto white and reduced to one greyscale channel. `scale` is its
+// width over the upright upload's, for mapping positions back.
+const loadGreyscale = async (buffer) => {
+  const input = sharp(buffer, { animated: false, limitInputPixels: MAX_DECODE_PIXELS });
+  const { width, height, orientation } = await input.metadata();
+  const uprightWidth = orientation >= 5 ? height : width;
+
+  const { data, info } = await input
+    .rotate()
+    .resize(MAX_DECODE_EDGE, MAX_DECODE_EDGE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels, scale: info.width / uprightWidth };
+};
+
+const rawInput = image => ({ raw: { width: image.width, height: image.height, channels: image.channels } });
+
+// Run a sharp pipeline over raw pixels and return its raw output
+const transform = async (image, pipeline) => {
+  const { data, info } = await pipeline(sharp(image.data, rawInput(image)))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels };
+};
+
+// Filter a scaled and turned image, returning the RGBA pixels jsQR reads
+const prepareImage = async (image, filter) => {
+  const filtered = await transform(image, DECODE_FILTERS[filter]);
+  const pixels = new Uint8ClampedArray(filtered.width * filtered.height * 4);
+  for (let i = 0, j = 0; i < filtered.data.length; i += filtered.channels, j += 4) {
+    pixels[j] = pixels[j + 1] = pixels[j + 2] = filtered.data[i];
+    pixels[j + 3] = 255;
+  }
+  return { pixels, width: filtered.width, height: filtered.height };
+};
+
+const readSymbol = (prepared) => jsQR(prepared.pixels, prepared.width, prepared.height, {
+  inversionAttempts: 'attemptBoth'
+});
+
+// Map a point found in the scaled and turned image back to the uploaded image
+const toSourcePoint = (point, { scaled, prepared, angle, scale }) => {
+  const radians = angle * Math.PI / 180;
+  const dx = point.x - prepared.width / 2;
+  const dy = point.y - prepared.height / 2;
+  const x = dx * Math.cos(radians) + dy * Math.sin(radians) + scaled.width / 2;
+  const y = -dx * Math.sin(radians) + dy * Math.cos(radians) + scaled.height / 2;
+  return { x: Math.round(x / scale), y: Math.round(y / scale) };
+};
+
+// A box's corners and enclosing rectangle
+const boxAround = (corners) => {
+  const xs = Object.values(corners).map(point => point.x);
+  const ys = Object.values(corners).map(point => point.y);
+  const x = Math.max(0, Math.min(...xs));
+  const y = Math.max(0, Math.min(...ys));
+  return {
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y,
+    corners
+  };
+};
+
+// Corners and enclosing rectangle of a symbol, in the uploaded image's pixels
+const toBoundingBox = (location, placement) => {
+  const corners = {
+    topLeft: toSourcePoint(location.topLeftCorner, placement),
+    topRight: toSourcePoint(location.topRightCorner, placement),
+    bottomRight: toSourcePoint(location.bottomRightCorner, placement),
+    bottomLeft: toSourcePoint(location.bottomLeftCorner, placement)
+  };
+  return boxAround(corners);
+};
+
+// Find and decode a QR code in a photo. Scales, turns and filters the image until
+// a symbol is read (see DECODE_PASSES and DECODE_FILTERS). Returns { error } for files that are not readable images, or
+// { symbol } where symbol is null when no code was found, and otherwise
+//   { payload, box, confidence, attempts, preprocessing }
+// `confidence` is the share of filters that read the same payload at the size and
+// angle where it was found: 1 means every variant of the image agreed.
+const decodeQrImage = async (buffer) => {
+  let grey;
+  try {
+    grey = await loadGreyscale(buffer);
+  } catch (error) {
+    return { error: 'The image could not be read' };
+  }
+
+  const tried = new Set();
+  const filters = Object.keys(DECODE_FILTERS);
+  let attempts = 0;
+
+  for (const { size, angle } of DECODE_PASSES) {
+    const scaled = await transform(grey, image => image.resize(size, size, { fit: 'inside' }));
+    // Small images reach the same size more than once
+    if (tried.has(`${scaled.width}@${angle}`)) continue;
+    tried.add(`${scaled.width}@${angle}`);
+
+    const turned = angle
+      ? await transform(scaled, image => image.rotate(angle, { background: '#ffffff' }))
+      : scaled;
+
+    for (const [index, filter] of filters.entries()) {
+      attempts++;
+      const prepared = await prepareImage(turned, filter);
+      const result = readSymbol(prepared);
+      if (!result) continue;
+
+      // Filters tried before this one already failed; check the rest
+      let agreeing = 1;
+      for (const other of filters.slice(index + 1)) {
+        const check = readSymbol(await prepareImage(turned, other));
+        if (check && check.data === result.data) agreeing++;
+      }
+
+      const placement = { scaled, prepared, angle, scale: scaled.width / grey.width * grey.scale };
+      return {
+        symbol: {
+          payload: result.data,
+          box: toBoundingBox(result.location, placement),
+          confidence: Math.round(agreeing / filters.length * 100) / 100,
+          attempts,
+          preprocessing: { size: Math.max(scaled.width, scaled.height), angle, filter }
+        }
+      };
+    }
+  }
+
+  return { symbol: null };
+};
+
+// Grow the dark pixels of a width x height mask by `radius` in every direction
+const dilate = (mask, width, height, radius) => {
+  const spread = (source, length, count, stride, step) => {
+    const target = new Uint8Array(source.length);
+    const prefix = new Int32Array(length + 1);
+    for (let line = 0; line < count; line++) {
+      const start = line * stride;
+      for (let i = 0; i < length; i++) {
+        prefix[i + 1] = prefix[i] + source[start + i * step];
+      }
+      for (let i = 0; i < length; i++) {
+        const from = Math.max(0, i - radius);
+        const to = Math.min(length, i + radius + 1);
+        target[start + i * step] = prefix[to] > prefix[from] ? 1 : 0;
+      }
+    }
+    return target;
+  };
+  const rows = spread(mask, width, height, width, 1);
+  return spread(rows, height, width, 1, width);
+};
+
+// Bounding rectangles of the connected blobs in a mask
+const findBlobs = (mask, width, height) => {
+  const seen = new Uint8Array(mask.length);
+  const stack = new Int32Array(mask.length);
+  const blobs = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    let size = 0;
+    let left = width;
+    let top = height;
+    let right = 0;
+    let bottom = 0;
+    stack[size++] = start;
+    seen[start] = 1;
+
+    while (size > 0) {
+      const index = stack[--size];
+      const x = index % width;
+      const y = (index - x) / width;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+      for (const next of neighbours) {
+        if (next >= 0 && mask[next] && !seen[next]) {
+          seen[next] = 1;
+          stack[size++] = next;
+        }
+      }
+    }
+
+    blobs.push({ left, top, width: right - left + 1, height: bottom - top + 1 });
+  }
+
+  return blobs;
+};
+
+// Regions of the greyscale image likely to hold one symbol each, in its pixels
+const findCandidateRegions = async (grey) => {
+  const working = await transform(grey, image => image
+    .resize(SEGMENT_SIZE, SEGMENT_SIZE, { fit: 'inside' })
+    .normalise()
+    .threshold(128));
+  const mask = new Uint8Array(working.width * working.height);
+  for (let i = 0; i < mask.length; i++) {
+    mask[i] = working.data[i * working.channels] < 128 ? 1 : 0;
+  }
+
+  const scale = grey.width / working.width;
+  const regions = [];
+  for (const radius of SEGMENT_RADII) {
+    const blobs = findBlobs(dilate(mask, working.width, working.height, radius), working.width, working.height);
+    for (const blob of blobs) {
+      // Symbols are square; long thin blobs are lines of text or edges
+      const shortSide = Math.min(blob.width, blob.height);
+      if (shortSide < MIN_BLOB_SIZE || Math.max(blob.width, blob.height) > shortSide * 3) continue;
+
+      // Keep the quiet zone, which dilation partly ate into, inside the region
+      const margin = (radius + shortSide * 0.1) * scale;
+      const left = Math.max(0, Math.floor(blob.left * scale - margin));
+      const top = Math.max(0, Math.floor(blob.top * scale - margin));
+      regions.push({
+        left,
+        top,
+        width: Math.min(grey.width - left, Math.ceil(blob.width * scale + margin * 2)),
+        height: Math.min(grey.height - top, Math.ceil(blob.height * scale + margin * 2))
+      });
+    }
+  }
+  return regions;
+};
+
+// Read the symbol in one candidate region with every filter. Returns null when
+// no filter reads it, otherwise { payload, box, confidence } in the image's pixels.
+const readRegion = async (grey, region) => {
+  const crop = await transform(grey, image => image
+    .extract(region)
+    .resize(REGION_SIZE, REGION_SIZE, { fit: 'inside' }));
+  const filters = Object.keys(DECODE_FILTERS);
+
+  let first = null;
+  let agreeing = 0;
+  for (const [index, filter] of filters.entries()) {
+    // Most regions are not symbols at all; give up on those early
+    if (!first && index === filters.length - 1) break;
+    const prepared = await prepareImage(crop, filter);
+    const result = readSymbol(prepared);
+    if (!result || (first && result.data !== first.result.data)) continue;
+    if (!first) first = { result, prepared };
+    agreeing++;
+  }
+  if (!first) return null;
+
+  const scale = crop.width / region.width;
+  const box = toBoundingBox(first.result.location, { scaled: crop, prepared: first.prepared, angle: 0, scale });
+  // Corners are relative to the region; move them onto the whole image
+  const shift = point => ({ x: point.x + region.left, y: point.y + region.top });
+  return {
+    payload: first.result.data,
+    box: {
+      ...shift(box),
+      width: box.width,
+      height: box.height,
+      corners: Object.fromEntries(Object.entries(box.corners).map(([name, point]) => [name, shift(point)]))
+    },
+    confidence: Math.round(agreeing / filters.length * 100) / 100
+  };
+};
+
+// Order symbols in reading order. Taken from the top, a symbol starts a new row
+// unless its top is within half a symbol of the top of the row's first symbol;
+// each row is then read left to right.
+const orderInRows = (symbols) => {
+  const rows = [];
+  [...symbols].sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x).forEach(symbol => {
+    const row = rows[rows.length - 1];
+    const first = row && row[0];
+    if (first && symbol.box.y - first.box.y < Math.min(first.box.height, symbol.box.height) / 2) {
+      row.push(symbol);
+    } else {
+      rows.push([symbol]);
+    }
+  });
+  return rows.flatMap(row => row.sort((a, b) => a.box.x - b.box.x || a.box.y - b.box.y));
+};
+
+// Find every QR code in a photo, e.g. a sheet of labels or a shelf. Returns
+// { error } for files that are not readable images, or { symbols } ordered in
+// rows from the top left, each { payload, box, confidence } as in decodeQrImage.
+// A code that appears more than once is listed once.
+const decodeAllQrImages = async (buffer) => {
+  let grey;
+  try {
+    grey = await loadGreyscale(buffer);
+  } catch (error) {
+    return { error: 'The image could not be read' };
+  }
+
+  const found = new Map();
+  for (const region of await findCandidateRegions(grey)) {
+    if (found.size >= MAX_SYMBOLS) break;
+
+    // Blobs found again at a larger radius usually hold a symbol already read
+    const holdsFound = [...found.values()].some(({ box }) => {
+      const x = box.x + box.width / 2;
+      const y = box.y + box.height / 2;
+      return x >= region.left && x < region.left + region.width && y >= region.top && y < region.top + region.height;
+    });
+    if (holdsFound) continue;
+
+    const symbol = await readRegion(grey, region);
+    if (symbol && (!found.has(symbol.payload) || found.get(symbol.payload).confidence < symbol.confidence)) {
+      found.set(symbol.payload, symbol);
+    }
+  }
+
+  // Boxes are found in the reduced image; report them in the upload's pixels
+  const toUpload = point => ({ x: Math.round(point.x / grey.scale), y: Math.round(point.y / grey.scale) });
+  const symbols = orderInRows([...found.values()])
+    .map(symbol => ({
+      ...symbol,
+      box: boxAround(Object.fromEntries(Object.entries(symbol.box.corners).map(([name, point]) => [name, toUpload(point)])))
+    }));
+
+  return { symbols };
+};
+
+module.exports = {
+  MAX_DECODE_BYTES,
+  uploadQrImage,
+  decodeRateLimit,
+  withDecodeSlot,
+  decodeQrImage,
+  decodeAllQrImages
+};
\ No newline at end of file
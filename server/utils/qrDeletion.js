@@ -0,0 +1,63 @@
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const QrTransfer = require('../models/QrTransfer');
+const LocationPoint = require('../models/LocationPoint');
+const Geofence = require('../models/Geofence');
+const GeofenceAlert = require('../models/GeofenceAlert');
+const ScanEvent = require('../models/ScanEvent');
+const { removeAttachments } = require('./attachments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a soft-deleted code can still be restored before it is purged
+const RETENTION_DAYS = parseInt(process.env.QR_DELETE_RETENTION_DAYS) || 30;
+
+// How often the server looks for codes past their retention window
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Last moment a soft-deleted code can be restored
+const getRestoreDeadline = (qrCode) => new Date(qrCode.deletedAt.getTime() + RETENTION_DAYS * DAY_MS);
+
+// Permanently remove soft-deleted codes matching `filter` along with everything
+// recorded about them. Returns the number of codes removed.
+const purgeQrCodes = async (filter) => {
+  const ids = await QrCode.distinct('_id', { ...filter, deletedAt: { $ne: null, ...filter.deletedAt } });
+  if (ids.length === 0) return 0;
+
+  const claimIds = await QrClaim.distinct('_id', { qrCode: { $in: ids } });
+  await removeAttachments({ qrCode: { $in: ids } });
+  await LocationPoint.deleteMany({ claim: { $in: claimIds } });
+  await QrClaim.deleteMany({ _id: { $in: claimIds } });
+  await QrTransfer.deleteMany({ qrCode: { $in: ids } });
+  await Geofence.deleteMany({ qrCode: { $in: ids } });
+  await GeofenceAlert.deleteMany({ qrCode: { $in: ids } });
+  await ScanEvent.deleteMany({ qrCode: { $in: ids } });
+  const { deletedCount } = await QrCode.deleteMany({ _id: { $in: ids } });
+
+  return deletedCount;
+};
+
+// Purge every code whose retention window has passed
+const purgeExpiredQrCodes = () => purgeQrCodes({
+  deletedAt: { $lt: new Date(Date.now() - RETENTION_DAYS * DAY_MS) }
+});
+
+// Purge expired codes now and then periodically for as long as the server runs
+const schedulePurge = () => {
+  const run = () => purgeExpiredQrCodes()
+    .then(count => {
+      if (count > 0) console.log(`Purged ${count} deleted QR code(s)`);
+    })
+    .catch(error => console.error('Purge deleted QR codes error:', error));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  getRestoreDeadline,
+  purgeQrCodes,
+  purgeExpiredQrCodes,
+  schedulePurge
+};
\ No newline at end of file
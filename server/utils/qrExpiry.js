@@ -0,0 +1,140 @@
+const { body } = require('express-validator');
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const { cancelPendingTransfers } = require('./qrTransfer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days before a claimed code expires its owner is warned
+const EXPIRY_WARNING_DAYS = parseInt(process.env.QR_EXPIRY_WARNING_DAYS) || 7;
+
+// How often the server looks for codes whose validity window has ended
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Validation rules for setting a validity window; an empty end leaves that side open
+const validityValidation = [
+  body('validFrom')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Valid from must be a date'),
+  body('validUntil')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Valid until must be a date')
+    .bail()
+    .custom((value, { req }) => !req.body.validFrom || new Date(value) > new Date(req.body.validFrom))
+    .withMessage('Valid until must be after valid from')
+];
+
+// Validity window fields from a validated request body
+const getValidityFields = (fields) => ({
+  validFrom: fields.validFrom ? new Date(fields.validFrom) : null,
+  validUntil: fields.validUntil ? new Date(fields.validUntil) : null
+});
+
+// Expire the codes matching `filter` whose window has ended. Pending offers to
+// hand one over are cancelled since they could no longer be accepted.
+const expireQrCodes = async (filter, userId) => {
+  const ids = await QrCode.distinct('_id', {
+    ...filter,
+    status: { $in: QrCode.STATUSES.filter(from => QrCode.canTransition(from, 'expired')) },
+    validUntil: { $lte: new Date() }
+  });
+  if (ids.length === 0) return 0;
+
+  await cancelPendingTransfers({ $in: ids });
+  return QrCode.bulkTransition({ _id: { $in: ids } }, 'expired', userId, 'Validity window ended');
+};
+
+// Expire every code whose validity window has ended
+const expireDueQrCodes = () => expireQrCodes({}, null);
+
+// Mark the claims on codes that expire within the warning period so their
+// owners are told. Each claim is only marked once per window.
+const warnExpiringClaims = async () => {
+  const now = new Date();
+  const ids = await QrCode.distinct('_id', {
+    status: { $in: ['claimed', 'lost'] },
+    validUntil: { $gt: now, $lte: new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS) }
+  });
+  if (ids.length === 0) return 0;
+
+  const { modifiedCount } = await QrClaim.updateMany(
+    { qrCode: { $in: ids }, expiryWarnedAt: null },
+    { $set: { expiryWarnedAt: now } }
+  );
+  return modifiedCount;
+};
+
+// The status an expired code returns to when its window is extended: the one it
+// had before it expired, so a suspension or a loss report survives the expiry.
+// A claim released in the meantime sends it back to the pool.
+const statusBeforeExpiry = (qrCode, held) => {
+  const expiry = [...qrCode.statusHistory].reverse().find(change => change.to === 'expired');
+  const previous = expiry ? expiry.from : null;
+  if (previous === 'suspended') return 'suspended';
+  if (!held) return 'unassigned';
+  return previous === 'lost' ? 'lost' : 'claimed';
+};
+
+// Set the validity window of every code matching `filter` and bring their status
+// in line with it straight away rather than at the next sweep: codes whose window
+// has now ended expire, and expired codes given a longer window go back to the
+// status they had before they expired.
+const applyValidity = async (filter, window, userId) => {
+  const ids = await QrCode.distinct('_id', filter);
+  if (ids.length === 0) return { updated: 0, expired: 0, reinstated: 0 };
+
+  await QrCode.updateMany({ _id: { $in: ids } }, { $set: window });
+  // Owners are warned again ahead of the new end of the window
+  await QrClaim.updateMany({ qrCode: { $in: ids } }, { $set: { expiryWarnedAt: null } });
+
+  const extended = window.validUntil && window.validUntil <= new Date()
+    ? []
+    : await QrCode.find({ _id: { $in: ids }, status: 'expired' }).select('statusHistory');
+  const heldIds = new Set((await QrClaim.distinct('qrCode', { qrCode: { $in: extended.map(qrCode => qrCode._id) } })).map(String));
+
+  const byStatus = new Map();
+  extended.forEach(qrCode => {
+    const status = statusBeforeExpiry(qrCode, heldIds.has(String(qrCode._id)));
+    byStatus.set(status, [...(byStatus.get(status) || []), qrCode._id]);
+  });
+
+  const reason = 'Validity window extended';
+  let reinstated = 0;
+  for (const [status, statusIds] of byStatus) {
+    reinstated += await QrCode.bulkTransition({ _id: { $in: statusIds }, status: 'expired' }, status, userId, reason);
+  }
+  const expired = await expireQrCodes({ _id: { $in: ids } }, userId);
+
+  return { updated: ids.length, expired, reinstated };
+};
+
+// Expire codes and warn owners now and then periodically for as long as the server runs
+const scheduleExpirySweep = () => {
+  const run = async () => {
+    try {
+      const expired = await expireDueQrCodes();
+      if (expired > 0) console.log(`Expired ${expired} QR code(s)`);
+
+      const warned = await warnExpiringClaims();
+      if (warned > 0) console.log(`Warned owners of ${warned} QR code(s) about to expire`);
+    } catch (error) {
+      console.error('Expire QR codes error:', error);
+    }
+  };
+
+  run();
+  setInterval(run, EXPIRY_SWEEP_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  validityValidation,
+  getValidityFields,
+  expireQrCodes,
+  expireDueQrCodes,
+  warnExpiringClaims,
+  applyValidity,
+  scheduleExpirySweep
+};
\ No newline at end of file
@@ -0,0 +1,299 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const QrCode = require('../models/QrCode');
+const QrClaim = require('../models/QrClaim');
+const QrBatch = require('../models/QrBatch');
+const { CODE_LENGTH, computeCheckDigit } = require('./qrCodeGenerator');
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_COLUMNS = ['code', 'batch', 'purpose', 'assignee', 'check_digit'];
+
+// Split CSV text into rows of fields. Handles quoted fields containing commas,
+// newlines and doubled quotes; blank lines and a leading byte order mark are dropped.
+const parseCsv = (input) => {
+  const text = input.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Normalise a code from the file. Codes are stored exactly as printed, so only
+// separators are dropped; the last digit is only checked as a Luhn check digit
+// when the file says the code has one.
+const normalizeCode = (raw, hasCheckDigit) => {
+  const code = raw.replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(code)) {
+    return { error: 'Code must contain only digits' };
+  }
+  if (code.length !== CODE_LENGTH) {
+    return { error: `Code must be ${CODE_LENGTH} digits` };
+  }
+  if (hasCheckDigit && computeCheckDigit(code.slice(0, -1)) !== code.slice(-1)) {
+    return { error: 'Check digit does not match' };
+  }
+  return { code };
+};
+
+// Read the optional check_digit column; a blank cell uses the file-wide setting
+const readCheckDigit = (value, fallback) => {
+  if (!value) return { hasCheckDigit: fallback };
+  if (['yes', 'true', '1'].includes(value.toLowerCase())) return { hasCheckDigit: true };
+  if (['no', 'false', '0'].includes(value.toLowerCase())) return { hasCheckDigit: false };
+  return { error: 'check_digit must be yes or no' };
+};
+
+// Turn the header row into a column index map, or return an error message
+const readHeader = (header) => {
+  const columns = header.map(name => name.trim().toLowerCase());
+  const unknown = columns.filter(name => name && !IMPORT_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Allowed columns are ${IMPORT_COLUMNS.join(', ')}` };
+  }
+  if (!columns.includes('code')) {
+    return { error: 'The file needs a "code" column' };
+  }
+  return { index: Object.fromEntries(IMPORT_COLUMNS.map(name => [name, columns.indexOf(name)])) };
+};
+
+// Look up batches by ID or by name. Names that match more than one batch are
+// reported as ambiguous rather than guessed.
+const resolveBatches = async (values) => {
+  const ids = values.filter(value => mongoose.isValidObjectId(value));
+  const batches = await QrBatch.find({ $or: [{ _id: { $in: ids } }, { name: { $in: values } }] })
+    .select('name validFrom validUntil');
+
+  const resolved = new Map();
+  values.forEach(value => {
+    const matches = batches.filter(batch => batch._id.toString() === value || batch.name === value);
+    if (matches.length === 1) {
+      resolved.set(value, { batch: matches[0] });
+    } else {
+      resolved.set(value, { error: matches.length ? `Batch name "${value}" matches more than one batch; use its ID` : `Batch "${value}" not found` });
+    }
+  });
+  return resolved;
+};
+
+// Check every row of an import and report what would happen to it. Rows are
+// numbered as in the file, counting the header as row 1. With `checkDigits`
+// every code is expected to end in a check digit unless its row says otherwise.
+const validateImport = async (text, { checkDigits = false } = {}) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { error: 'The file is empty' };
+  }
+
+  const { index, error } = readHeader(header);
+  if (error) return { error };
+
+  if (lines.length === 0) {
+    return { error: 'The file has no rows' };
+  }
+  if (lines.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can contain at most ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const cell = (fields, name) => (index[name] >= 0 ? (fields[index[name]] || '').trim() : '');
+
+  const rows = lines.map((fields, i) => {
+    const row = { row: i + 2, code: cell(fields, 'code'), errors: [] };
+    const batch = cell(fields, 'batch');
+    const purpose = cell(fields, 'purpose');
+    const assignee = cell(fields, 'assignee').toLowerCase();
+    if (batch) row.batch = batch;
+    if (purpose) row.purpose = purpose;
+    if (assignee) row.assignee = assignee;
+
+    const checkDigit = readCheckDigit(cell(fields, 'check_digit'), checkDigits);
+    if (checkDigit.error) {
+      row.errors.push(checkDigit.error);
+    } else if (!row.code) {
+      row.errors.push('Code is required');
+    } else {
+      const normalized = normalizeCode(row.code, checkDigit.hasCheckDigit);
+      if (normalized.error) {
+        row.errors.push(normalized.error);
+      } else {
+        row.code = normalized.code;
+        row.hasCheckDigit = checkDigit.hasCheckDigit;
+      }
+    }
+
+    if (purpose.length > 200) {
+      row.errors.push('Purpose cannot exceed 200 characters');
+    }
+    // A purpose only has somewhere to go once the code is claimed
+    if (purpose && !assignee) {
+      row.errors.push('Purpose needs an assignee');
+    }
+    if (assignee && !purpose) {
+      row.errors.push('An assigned code needs a purpose');
+    }
+    return row;
+  });
+
+  // Duplicates within the file: the first occurrence wins
+  const firstRow = new Map();
+  rows.forEach(row => {
+    if (row.errors.length > 0) return;
+    if (firstRow.has(row.code)) {
+      row.errors.push(`Duplicate of row ${firstRow.get(row.code)}`);
+    } else {
+      firstRow.set(row.code, row.row);
+    }
+  });
+
+  const stored = await QrCode.find({ code: { $in: [...firstRow.keys()] }, deletedAt: QrCode.ANY_DELETION_STATE })
+    .select('code deletedAt');
+  const existing = new Map(stored.map(qr => [qr.code, qr]));
+
+  const batchValues = [...new Set(rows.filter(row => row.batch).map(row => row.batch))];
+  const batches = await resolveBatches(batchValues);
+
+  const emails = [...new Set(rows.filter(row => row.assignee).map(row => row.assignee))];
+  const users = await User.find({ email: { $in: emails } }).select('email isActive');
+  const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+  rows.forEach(row => {
+    if (existing.has(row.code)) {
+      row.errors.push(existing.get(row.code).deletedAt ? 'Code was deleted; restore it instead' : 'Code already exists');
+    }
+    if (row.batch) {
+      const match = batches.get(row.batch);
+      if (match.error) {
+        row.errors.push(match.error);
+      } else {
+        row.batchId = match.batch._id;
+        row.validFrom = match.batch.validFrom || null;
+        row.validUntil = match.batch.validUntil || null;
+      }
+    }
+    if (row.assignee) {
+      const user = usersByEmail.get(row.assignee);
+      if (!user || !user.isActive) {
+        row.errors.push(`No active user with email ${row.assignee}`);
+      } else {
+        row.userId = user._id;
+      }
+    }
+    row.status = row.errors.length > 0 ? 'invalid' : 'valid';
+  });
+
+  return { rows };
+};
+
+// Insert the valid rows of a validated import, creating claims for assigned
+// codes. Codes added to a batch take on its validity window. Rows whose code
+// was inserted by someone else in the meantime are marked invalid instead of
+// failing the whole import.
+const applyImport = async (rows, adminId) => {
+  const valid = rows.filter(row => row.status === 'valid');
+  const importedAt = new Date();
+
+  const docs = valid.map(row => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      code: row.code,
+      hasCheckDigit: row.hasCheckDigit,
+      createdBy: adminId,
+      createdAt: importedAt
+    };
+    if (row.batchId) {
+      doc.batch = row.batchId;
+      doc.validFrom = row.validFrom;
+      doc.validUntil = row.validUntil;
+    }
+    if (row.userId) {
+      doc.status = 'claimed';
+      doc.statusChangedAt = importedAt;
+      doc.statusChangedBy = adminId;
+      doc.statusHistory = [{ from: 'unassigned', to: 'claimed', changedBy: adminId, changedAt: importedAt, reason: 'Assigned on import' }];
+    }
+    row.docId = doc._id;
+    return doc;
+  });
+
+  try {
+    await QrCode.insertMany(docs, { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const inserted = new Set((await QrCode.find({ _id: { $in: docs.map(doc => doc._id) } }).select('_id'))
+    .map(qr => qr._id.toString()));
+
+  const claims = [];
+  valid.forEach(row => {
+    if (!inserted.has(row.docId.toString())) {
+      row.status = 'invalid';
+      row.errors.push('Code already exists');
+      return;
+    }
+    row.status = 'imported';
+    if (row.userId) {
+      claims.push({ qrCode: row.docId, code: row.code, user: row.userId, purpose: row.purpose });
+    }
+  });
+
+  if (claims.length > 0) {
+    await QrClaim.insertMany(claims);
+  }
+
+  // Keep each batch's quantity in line with the codes it now holds
+  const addedPerBatch = new Map();
+  valid.forEach(row => {
+    if (row.status === 'imported' && row.batchId) {
+      const key = row.batchId.toString();
+      addedPerBatch.set(key, (addedPerBatch.get(key) || 0) + 1);
+    }
+  });
+  for (const [batchId, added] of addedPerBatch) {
+    await QrBatch.updateOne({ _id: batchId }, { $inc: { quantity: added } });
+  }
+};
+
+// Row report as returned to the client
+const formatImportRow = ({ row, code, batch, purpose, assignee, status, errors }) => ({
+  row, code, batch, purpose, assignee, status, errors
+});
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  parseCsv,
+  validateImport,
+  applyImport,
+  formatImportRow
+};
\ No newline at end of file
@@ -0,0 +1,341 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const sharp = require('sharp');
+// The public API does not expose the block structure needed to check logo overlap
+const ECCode = require('qrcode/lib/core/error-correction-code');
+const { getSymbolTotalCodewords } = require('qrcode/lib/core/utils');
+
+// Default number of light modules around the symbol, as required by the QR spec
+const DEFAULT_QUIET_ZONE = 4;
+
+const MM_TO_PT = 72 / 25.4;
+
+const EC_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Defaults and limits for single-code vector exports; sizes are in millimetres
+// and the logo size is a fraction of the symbol width
+const EXPORT_DEFAULTS = {
+  format: 'svg',
+  size: 50,
+  errorCorrectionLevel: 'H',
+  quietZone: DEFAULT_QUIET_ZONE,
+  foreground: '#000000',
+  background: '#ffffff',
+  logoSize: 0.2
+};
+const EXPORT_LIMITS = {
+  size: { min: 10, max: 500 },
+  quietZone: { min: 0, max: 10 },
+  logoSize: { min: 0.05, max: 0.4 }
+};
+const MAX_LOGO_BYTES = 512 * 1024;
+
+// Scanners need dark modules on a light background with reasonable contrast
+const MIN_CONTRAST_RATIO = 3;
+
+// Share of each block's error correction a logo may use; the rest is kept for
+// print defects, scratches and dirt
+const LOGO_ERROR_BUDGET = 0.75;
+
+// Codewords per version 1-3 symbol reserved for misdecode protection (ISO/IEC 18004 table 9)
+const MISDECODE_PROTECTION = {
+  1: { L: 3, M: 2, Q: 1, H: 1 },
+  2: { L: 2 },
+  3: { L: 1 }
+};
+
+// Draw a QR symbol into a PDFKit document as vector rectangles.
+// `size` is the width of the whole symbol including its quiet zone, in points.
+const drawQrToPdf = (doc, text, x, y, size, options = {}) => {
+  const {
+    errorCorrectionLevel = 'M',
+    quietZone = DEFAULT_QUIET_ZONE,
+    color = '#000000'
+  } = options;
+
+  const { modules } = QRCode.create(text, { errorCorrectionLevel });
+  const moduleSize = size / (modules.size + quietZone * 2);
+  const originX = x + quietZone * moduleSize;
+  const originY = y + quietZone * moduleSize;
+
+  // Merge horizontal runs of dark modules into one rectangle each
+  doc.save().fillColor(color);
+  forEachDarkRun(modules, (row, col, length) => {
+    doc.rect(originX + col * moduleSize, originY + row * moduleSize, length * moduleSize, moduleSize);
+  });
+  doc.fill().restore();
+};
+
+// Call `draw(row, col, length)` for every horizontal run of dark modules
+const forEachDarkRun = (modules, draw) => {
+  for (let row = 0; row < modules.size; row++) {
+    let runStart = -1;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && runStart < 0) {
+        runStart = col;
+      } else if (!dark && runStart >= 0) {
+        draw(row, runStart, col - runStart);
+        runStart = -1;
+      }
+    }
+  }
+};
+
+// Module range [start, end) covered by a centred logo of `logoSize` times the
+// symbol width, plus one module of clear space around it
+const logoArea = (symbolSize, logoSize) => {
+  const side = Math.ceil(symbolSize * logoSize) + 2;
+  const start = Math.floor((symbolSize - side) / 2);
+  return { start, end: start + side };
+};
+
+// Codeword index of every data module, following the zigzag walk the encoder
+// uses to place them. Function patterns map to -1.
+const mapCodewords = (modules) => {
+  const size = modules.size;
+  const map = new Int32Array(size * size).fill(-1);
+  let inc = -1;
+  let row = size - 1;
+  let bit = 0;
+
+  for (let col = size - 1; col > 0; col -= 2) {
+    if (col === 6) col--;
+    for (;;) {
+      for (let c = 0; c < 2; c++) {
+        if (!modules.isReserved(row, col - c)) {
+          map[row * size + col - c] = Math.floor(bit / 8);
+          bit++;
+        }
+      }
+      row += inc;
+      if (row < 0 || row >= size) {
+        row -= inc;
+        inc = -inc;
+        break;
+      }
+    }
+  }
+  return map;
+};
+
+// Block each interleaved codeword belongs to, and how many codeword errors a block can correct
+const describeBlocks = (symbol, levelName) => {
+  const { version, errorCorrectionLevel: level } = symbol;
+  const total = getSymbolTotalCodewords(version);
+  const blocks = ECCode.getBlocksCount(version, level);
+  const dataTotal = total - ECCode.getTotalCodewordsCount(version, level);
+  const blocksInGroup1 = blocks - (total % blocks);
+  const dataInGroup1 = Math.floor(dataTotal / blocks);
+  const ecCount = Math.floor(total / blocks) - dataInGroup1;
+
+  const owner = [];
+  for (let i = 0; i <= dataInGroup1; i++) {
+    for (let b = 0; b < blocks; b++) {
+      if (i < (b < blocksInGroup1 ? dataInGroup1 : dataInGroup1 + 1)) owner.push(b);
+    }
+  }
+  for (let i = 0; i < ecCount; i++) {
+    for (let b = 0; b < blocks; b++) owner.push(b);
+  }
+
+  const protection = MISDECODE_PROTECTION[version]?.[levelName] || 0;
+  return { owner, blocks, correctable: Math.floor((ecCount - protection) / 2) };
+};
+
+// Whether a centred logo of `logoSize` leaves the symbol decodable: it must stay
+// clear of the finder, timing and format patterns, and damage no more codewords
+// in any block than LOGO_ERROR_BUDGET of what that block can correct.
+const logoFits = (symbol, levelName, logoSize) => {
+  const { modules } = symbol;
+  const { start, end } = logoArea(modules.size, logoSize);
+  if (start <= 8 || end >= modules.size - 8) return false;
+
+  const codewords = mapCodewords(modules);
+  const { owner, blocks, correctable } = describeBlocks(symbol, levelName);
+  const damaged = new Set();
+  for (let row = start; row < end; row++) {
+    for (let col = start; col < end; col++) {
+      const index = codewords[row * modules.size + col];
+      // Remainder bits past the last codeword carry no data
+      if (index >= 0 && index < owner.length) damaged.add(index);
+    }
+  }
+
+  const perBlock = new Array(blocks).fill(0);
+  damaged.forEach(index => perBlock[owner[index]]++);
+  return perBlock.every(count => count <= Math.floor(correctable * LOGO_ERROR_BUDGET));
+};
+
+// Largest logo size, in hundredths of the symbol width, that still fits
+const maxLogoSize = (symbol, levelName) => {
+  let size = 0;
+  for (let candidate = 0.01; candidate <= EXPORT_LIMITS.logoSize.max + 0.001; candidate += 0.01) {
+    if (!logoFits(symbol, levelName, candidate)) break;
+    size = candidate;
+  }
+  return Math.floor(size * 100) / 100;
+};
+
+// Relative luminance of a #rrggbb colour (WCAG definition)
+const luminance = (hex) => {
+  const [r, g, b] = [1, 3, 5].map(i => {
+    const channel = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// Decode a base64 PNG or JPEG data URL into { type, buffer, dataUrl }
+const parseLogo = (dataUrl) => {
+  const match = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl);
+  if (!match) return null;
+  return { type: match[1], buffer: Buffer.from(match[2], 'base64'), dataUrl };
+};
+
+// Whether the logo bytes really are an image of the type its data URL declares;
+// PDFKit throws part way through a document on anything else
+const isReadableLogo = async (logo) => {
+  try {
+    const { format } = await sharp(logo.buffer).metadata();
+    return format === logo.type;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Merge export options with the defaults and check the result can be scanned.
+// Returns { options, symbol } or { error } with a human readable message.
+const resolveExportOptions = async (text, input = {}) => {
+  const options = { ...EXPORT_DEFAULTS };
+  Object.keys(EXPORT_DEFAULTS).forEach(name => {
+    if (input[name] !== undefined && input[name] !== '') options[name] = input[name];
+  });
+
+  if (!['svg', 'pdf'].includes(options.format)) {
+    return { error: 'Format must be svg or pdf' };
+  }
+  if (!EC_LEVELS.includes(options.errorCorrectionLevel)) {
+    return { error: `Error correction level must be one of ${EC_LEVELS.join(', ')}` };
+  }
+  for (const [name, { min, max }] of Object.entries(EXPORT_LIMITS)) {
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${name} must be between ${min} and ${max}` };
+    }
+    options[name] = value;
+  }
+  options.quietZone = Math.round(options.quietZone);
+
+  for (const name of ['foreground', 'background']) {
+    if (!/^#[0-9a-f]{6}$/i.test(options[name])) {
+      return { error: `${name} must be a colour like #1a2b3c` };
+    }
+  }
+  const dark = luminance(options.foreground);
+  const light = luminance(options.background);
+  if (dark >= light || (light + 0.05) / (dark + 0.05) < MIN_CONTRAST_RATIO) {
+    return { error: `The foreground must be darker than the background with a contrast ratio of at least ${MIN_CONTRAST_RATIO}:1` };
+  }
+
+  const symbol = QRCode.create(text, { errorCorrectionLevel: options.errorCorrectionLevel });
+
+  if (input.logo) {
+    const logo = parseLogo(input.logo);
+    if (!logo) {
+      return { error: 'Logo must be a PNG or JPEG data URL' };
+    }
+    if (logo.buffer.length > MAX_LOGO_BYTES) {
+      return { error: `Logo cannot exceed ${MAX_LOGO_BYTES / 1024} KB` };
+    }
+    if (!await isReadableLogo(logo)) {
+      return { error: 'Logo could not be read as a PNG or JPEG image' };
+    }
+    if (!logoFits(symbol, options.errorCorrectionLevel, options.logoSize)) {
+      const max = maxLogoSize(symbol, options.errorCorrectionLevel);
+      return {
+        error: max > 0
+          ? `A logo this large would make the code unreadable at level ${options.errorCorrectionLevel}; use at most ${max} of the symbol width or a higher error correction level`
+          : `A logo does not fit at level ${options.errorCorrectionLevel}; use a higher error correction level`
+      };
+    }
+    options.logo = logo;
+  }
+
+  return { options, symbol };
+};
+
+// Render a resolved export as an SVG document
+const renderQrSvg = (symbol, options) => {
+  const { modules } = symbol;
+  const { quietZone, size, foreground, background, logo, logoSize } = options;
+  const extent = modules.size + quietZone * 2;
+
+  let path = '';
+  forEachDarkRun(modules, (row, col, length) => {
+    path += `M${col + quietZone} ${row + quietZone}h${length}v1h-${length}z`;
+  });
+
+  let logoMarkup = '';
+  if (logo) {
+    const { start, end } = logoArea(modules.size, logoSize);
+    const side = modules.size * logoSize;
+    const offset = quietZone + (modules.size - side) / 2;
+    logoMarkup = `<rect x="${start + quietZone}" y="${start + quietZone}" width="${end - start}" height="${end - start}" fill="${background}"/>` +
+      `<image x="${offset}" y="${offset}" width="${side}" height="${side}" preserveAspectRatio="xMidYMid meet" href="${logo.dataUrl}"/>`;
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}mm" height="${size}mm" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">` +
+    `<rect width="${extent}" height="${extent}" fill="${background}"/>` +
+    `<path d="${path}" fill="${foreground}"/>` +
+    logoMarkup +
+    '</svg>';
+};
+
+// Render a resolved export as a one-page PDF the size of the symbol. Resolves
+// with the whole document so nothing is sent if rendering fails part way.
+const renderQrPdf = (symbol, options, title) => new Promise((resolve, reject) => {
+  const { modules } = symbol;
+  const { quietZone, foreground, background, logo, logoSize } = options;
+  const size = options.size * MM_TO_PT;
+  const moduleSize = size / (modules.size + quietZone * 2);
+
+  const doc = new PDFDocument({ size: [size, size], margin: 0, info: { Title: title } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.rect(0, 0, size, size).fill(background);
+  doc.save().fillColor(foreground);
+  forEachDarkRun(modules, (row, col, length) => {
+    doc.rect((col + quietZone) * moduleSize, (row + quietZone) * moduleSize, length * moduleSize, moduleSize);
+  });
+  doc.fill().restore();
+
+  if (logo) {
+    const { start, end } = logoArea(modules.size, logoSize);
+    const side = modules.size * logoSize * moduleSize;
+    const offset = (quietZone + modules.size / 2) * moduleSize - side / 2;
+    doc.rect((start + quietZone) * moduleSize, (start + quietZone) * moduleSize, (end - start) * moduleSize, (end - start) * moduleSize).fill(background);
+    try {
+      doc.image(logo.buffer, offset, offset, { fit: [side, side], align: 'center', valign: 'center' });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  EC_LEVELS,
+  EXPORT_DEFAULTS,
+  EXPORT_LIMITS,
+  drawQrToPdf,
+  resolveExportOptions,
+  renderQrSvg,
+  renderQrPdf
+};
\ No newline at end of file
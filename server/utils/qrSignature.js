@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Bytes of the HMAC kept in the payload; 96 bits keeps the symbol small while
+// making a forged signature impractical to guess.
+const SIGNATURE_BYTES = 12;
+
+const getSecret = () => process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const getBaseUrl = () => (process.env.QR_PUBLIC_BASE_URL || process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Plain codes printed before signing was introduced are still accepted unless disabled
+const allowUnsigned = () => process.env.QR_ALLOW_UNSIGNED !== 'false';
+
+// Compute the URL-safe signature for a code
+const signCode = (code) => {
+  return crypto.createHmac('sha256', getSecret())
+    .update(code)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+};
+
+// Build the text encoded in a QR symbol: a public link carrying the signature
+const buildPayload = (code) => `${getBaseUrl()}/q/${code}?s=${signCode(code)}`;
+
+// Parse scanned text into its code and signature.
+// Returns { code, signature } for links, { code, signature: null } for bare
+// legacy codes and null for anything else. Only bare codes predate signing, so
+// a link without a signature, or one pointing anywhere but our own scan page,
+// gets an empty signature and fails verification.
+const parsePayload = (text) => {
+  const value = typeof text === 'string' ? text.trim() : '';
+
+  if (/^\d{16}$/.test(value)) {
+    return { code: value, signature: null };
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  const match = url.pathname.match(/\/q\/(\d{16})\/?$/);
+  if (!match) return null;
+
+  const base = new URL(getBaseUrl());
+  const ours = url.origin === base.origin &&
+    url.pathname.replace(/\/$/, '') === `${base.pathname.replace(/\/+$/, '')}/q/${match[1]}`;
+
+  return { code: match[1], signature: ours ? url.searchParams.get('s') || '' : '' };
+};
+
+// Check a code against the signature that came with it (null when there was none)
+const verifySignature = (code, signature) => {
+  if (signature === null || signature === undefined) {
+    return { code, signature: 'unsigned', accepted: allowUnsigned() };
+  }
+
+  const expected = Buffer.from(signCode(code));
+  const actual = Buffer.from(signature);
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+  return { code, signature: valid ? 'valid' : 'forged', accepted: valid };
+};
+
+// Check scanned text. `signature` is one of:
+//   'valid'    - signed by this server
+//   'unsigned' - a bare legacy code (accepted only while QR_ALLOW_UNSIGNED is on)
+//   'forged'   - looks like one of our links but the signature is missing or does
+//                not match, or the link points at another site
+//   'invalid'  - not a QR payload we recognise
+const verifyPayload = (text) => {
+  const parsed = parsePayload(text);
+  if (!parsed) {
+    return { code: null, signature: 'invalid', accepted: false };
+  }
+
+  return verifySignature(parsed.code, parsed.signature);
+};
+
+module.exports = {
+  signCode,
+  buildPayload,
+  parsePayload,
+  verifySignature,
+  verifyPayload
+};
\ No newline at end of file
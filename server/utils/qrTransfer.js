@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const QrClaim = require('../models/QrClaim');
+const QrTransfer = require('../models/QrTransfer');
+const LocationPoint = require('../models/LocationPoint');
+const Geofence = require('../models/Geofence');
+const { removeAttachments } = require('./attachments');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+// Mark pending transfers whose window has passed as expired
+const expireStaleTransfers = (filter = {}) => {
+  return QrTransfer.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Cancel every pending transfer of a code, e.g. when it is released or moved
+const cancelPendingTransfers = (qrCodeId, exceptId) => {
+  const filter = { qrCode: qrCodeId, status: 'pending' };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return QrTransfer.updateMany(filter, { $set: { status: 'cancelled', respondedAt: new Date() } });
+};
+
+// Hand a claim over to another user. The new holder gets a fresh claim with the
+// same purpose and item details; the previous holder's location trail, public
+// card, shares, attachments and every geofence drawn on the claim stay behind,
+// just as when a code is released.
+const moveClaim = async (claim, toUserId) => {
+  let newClaim;
+
+  // A code can only have one claim, so the old one goes first; the transaction
+  // makes sure the code is never left without either
+  await mongoose.connection.transaction(async (session) => {
+    await QrClaim.deleteOne({ _id: claim._id }, { session });
+    [newClaim] = await QrClaim.create([{
+      qrCode: claim.qrCode,
+      code: claim.code,
+      user: toUserId,
+      purpose: claim.purpose,
+      category: claim.category,
+      details: claim.details
+    }], { session });
+  });
+
+  // What stays behind is only cleared once the new holder has the code
+  await LocationPoint.deleteMany({ claim: claim._id });
+  await Geofence.deleteMany({ claim: claim._id });
+  await removeAttachments({ claim: claim._id });
+
+  return newClaim;
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  expireStaleTransfers,
+  cancelPendingTransfers,
+  moveClaim
+};
\ No newline at end of file
@@ -0,0 +1,168 @@
+const ScanEvent = require('../models/ScanEvent');
+const QrClaim = require('../models/QrClaim');
+const LocationPoint = require('../models/LocationPoint');
+const { checkGeofences } = require('./geofence');
+
+// Two decimal places is about 1km at the equator
+const COARSE_ACCURACY_METERS = 1000;
+
+const roundCoordinate = (value) => Math.round(value * 100) / 100;
+
+const toCoarseLocation = (location) => {
+  if (!location) return undefined;
+  const lat = Number(location.lat);
+  const lng = Number(location.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return undefined;
+  }
+  return { lat: roundCoordinate(lat), lng: roundCoordinate(lng) };
+};
+
+// Record a scan of a stored QR code. Logging must never stop the scan itself,
+// so failures are reported and swallowed. `scannedAt` is set for scans that
+// were captured offline and synced later.
+const recordScan = async (qrCode, { req, source, signature, location, scannedAt }) => {
+  try {
+    const coarseLocation = toCoarseLocation(location);
+    const scan = await ScanEvent.create({
+      qrCode: qrCode._id,
+      code: qrCode.code,
+      batch: qrCode.batch || null,
+      user: req.user ? req.user._id : null,
+      source,
+      signature,
+      location: coarseLocation,
+      scannedAt,
+      userAgent: (req.get('User-Agent') || '').slice(0, 500) || undefined
+    });
+
+    // Only a signed scan by a signed-in user is trusted to raise geofence alerts
+    // or extend the holder's location trail. Bare codes can be typed in by anyone
+    // who knows them, and the public link is printed on the label and takes any
+    // position.
+    if (coarseLocation && signature === 'valid' && req.user) {
+      await checkGeofences(qrCode, { ...coarseLocation, accuracy: COARSE_ACCURACY_METERS, source: 'scan' });
+
+      const claim = await QrClaim.findOne({ qrCode: qrCode._id }).select('_id');
+      if (claim) {
+        await LocationPoint.create({
+          claim: claim._id,
+          qrCode: qrCode._id,
+          ...coarseLocation,
+          accuracy: COARSE_ACCURACY_METERS,
+          source: 'scan',
+          recordedAt: scan.scannedAt
+        });
+      }
+    }
+
+    return scan;
+  } catch (error) {
+    console.error('Record scan error:', error);
+    return null;
+  }
+};
+
+// Add the optional `source`, `from` and `to` query filters to a base filter.
+// Returns null when either date cannot be parsed.
+const buildScanFilter = (base, { source, from, to } = {}) => {
+  const filter = { ...base };
+  if (source && ScanEvent.SOURCES.includes(source)) {
+    filter.source = source;
+  }
+
+  if (from || to) {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return null;
+    }
+
+    filter.scannedAt = { ...filter.scannedAt };
+    if (fromDate) filter.scannedAt.$gte = fromDate;
+    if (toDate) {
+      // A bare date includes the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+      filter.scannedAt.$lt = toDate;
+    }
+  }
+  return filter;
+};
+
+// Get one page of scan events, newest first
+const findScanPage = async (filter, { page = 1, limit = 20 } = {}) => {
+  page = Math.max(parseInt(page) || 1, 1);
+  limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const scans = await ScanEvent.find(filter)
+    .populate('user', 'firstName lastName email')
+    .sort({ scannedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await ScanEvent.countDocuments(filter);
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    scans,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalScans: total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+// Totals for every scan matching `match`: by source, by signature result and per day
+const summarizeScans = async (match) => {
+  const [summary] = await ScanEvent.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              codes: { $addToSet: '$qrCode' },
+              firstScannedAt: { $min: '$scannedAt' },
+              lastScannedAt: { $max: '$scannedAt' }
+            }
+          }
+        ],
+        bySource: [{ $group: { _id: '$source', count: { $sum: 1 } } }],
+        bySignature: [{ $group: { _id: '$signature', count: { $sum: 1 } } }],
+        daily: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$scannedAt' } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = summary.totals[0];
+  const countBy = (rows, keys) => Object.fromEntries(keys.map(key => [
+    key,
+    (rows.find(row => row._id === key) || { count: 0 }).count
+  ]));
+
+  return {
+    total: totals ? totals.total : 0,
+    uniqueCodes: totals ? totals.codes.length : 0,
+    firstScannedAt: totals ? totals.firstScannedAt : null,
+    lastScannedAt: totals ? totals.lastScannedAt : null,
+    bySource: countBy(summary.bySource, ScanEvent.SOURCES),
+    bySignature: countBy(summary.bySignature, ['valid', 'unsigned', 'forged']),
+    daily: summary.daily.map(row => ({ date: row._id, count: row.count }))
+  };
+};
+
+module.exports = {
+  recordScan,
+  buildScanFilter,
+  findScanPage,
+  summarizeScans
+};
\ No newline at end of file
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where uploaded files live. A driver is an object with:
+//   save(key, buffer)  - store the bytes under `key`
+//   read(key)          - a readable stream of the bytes
+//   remove(key)        - delete the bytes; removing a missing key is not an error
+// Keys are generated by the server and look like `<folder>/<random>.<ext>`.
+
+// Local disk driver storing each key as a file below `root`
+const createLocalStorage = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+    read: (key) => fs.createReadStream(resolveKey(key)),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+// Factories for each driver, keyed by the name used in ATTACHMENT_STORAGE
+const STORAGE_DRIVERS = {
+  local: () => createLocalStorage({
+    root: process.env.ATTACHMENT_STORAGE_DIR || path.join(__dirname, '..', 'uploads')
+  })
+};
+
+let storage = null;
+
+// Make another driver available, e.g. one backed by object storage
+const registerStorageDriver = (name, factory) => {
+  STORAGE_DRIVERS[name] = factory;
+};
+
+// The driver chosen by ATTACHMENT_STORAGE, created on first use
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.ATTACHMENT_STORAGE || 'local';
+    if (!STORAGE_DRIVERS[name]) {
+      throw new Error(`Unknown attachment storage driver: ${name}`);
+    }
+    storage = STORAGE_DRIVERS[name]();
+  }
+  return storage;
+};
+
+// A fresh, unguessable key in `folder`
+const createStorageKey = (folder, extension) => {
+  return `${folder}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+};
+
+module.exports = {
+  createLocalStorage,
+  registerStorageDriver,
+  getStorage,
+  createStorageKey
+};
\ No newline at end of file
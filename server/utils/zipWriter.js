@@ -0,0 +1,113 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+// CRC-32 lookup table (IEEE polynomial) used by the ZIP format
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// DOS date and time fields for a JavaScript Date
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// Write a ZIP archive to `stream` one file at a time, so large bundles never
+// have to be held in memory. Await addFile() for each entry, then call finish().
+// Entries are deflated unless `compress` is false, which suits data that is
+// already compressed such as PNG images. No ZIP64 support: keep archives under 4 GB.
+const createZipWriter = (stream) => {
+  const entries = [];
+  let offset = 0;
+
+  // Returns false when the stream wants the writer to wait for 'drain'
+  const write = (buffer) => {
+    offset += buffer.length;
+    return stream.write(buffer);
+  };
+
+  const addFile = async (name, content, { compress = true } = {}) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    const stored = compress ? zlib.deflateRawSync(data) : data;
+    const fileName = Buffer.from(name);
+    const { time, date } = dosDateTime(new Date());
+    const entry = {
+      fileName,
+      method: compress ? 8 : 0,
+      time,
+      date,
+      crc: crc32(data),
+      compressedSize: stored.length,
+      size: data.length,
+      offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(fileName.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    entries.push(entry);
+    write(header);
+    write(fileName);
+    if (!write(stored)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  const finish = () => {
+    const directoryOffset = offset;
+    entries.forEach(entry => {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      write(header);
+      write(entry.fileName);
+    });
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    write(end);
+    stream.end();
+  };
+
+  return { addFile, finish };
+};
+
+module.exports = {
+  createZipWriter
+};
\ No newline at end of file